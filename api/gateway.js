@@ -3,6 +3,9 @@ const cors = require('cors');
 const helmet = require('helmet');
 const axios = require('axios');
 const { Logger } = require('../utils/logger');
+const { DuplicateDetectionManager } = require('../utils/duplicate-detection-manager');
+const { getConfigLoader } = require('../utils/config-loader');
+const { TenantRegistry } = require('../utils/tenant-registry');
 
 class APIGateway {
   constructor() {
@@ -11,6 +14,10 @@ class APIGateway {
     this.routerHost = process.env.ROUTER_HOST || 'localhost';
     this.workflowHost = process.env.WORKFLOW_HOST || 'localhost';
     this.apiKey = process.env.API_KEY || 'your-secret-api-key';
+    this.routerSecret = process.env.ROUTER_SHARED_SECRET || '';
+    this.configLoader = getConfigLoader();
+    this.tenants = new TenantRegistry(this.configLoader.get());
+    this.configLoader.onChange(config => this.tenants.applyConfig(config));
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -24,14 +31,66 @@ class APIGateway {
 
   authenticateAPI(req, res, next) {
     const apiKey = req.header('X-API-Key') || req.query.apiKey;
+    // Tenant keys first; the shared API_KEY keeps working as the default tenant
+    const tenant = this.tenants.authenticate(apiKey) ||
+      (apiKey && apiKey === this.apiKey ? this.tenants.getDefault() : null);
     
-    if (!apiKey || apiKey !== this.apiKey) {
+    if (!tenant) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
     
+    req.tenant = tenant;
     next();
   }
 
+  // The router trusts X-Tenant-Id only alongside the shared secret, and applies that tenant's policy
+  tenantHeaders(req) {
+    return { headers: { 'X-Tenant-Id': req.tenant.id, 'X-Router-Secret': this.routerSecret } };
+  }
+
+  // Pipes the router's Server-Sent Events through as they arrive instead of buffering the whole answer
+  async relayStream(req, res, path) {
+    const upstream = new AbortController();
+    res.on('close', () => upstream.abort());
+
+    try {
+      const response = await axios.post(`http://${this.routerHost}:8080${path}`, req.body, {
+        ...this.tenantHeaders(req),
+        responseType: 'stream',
+        signal: upstream.signal
+      });
+
+      res.status(response.status).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      response.data.pipe(res);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        return;
+      }
+      this.logger.error('Streaming request failed:', error);
+
+      // Failures before the stream opened (bad input, unknown tenant) come back as a JSON body
+      let body = { error: 'Processing failed' };
+      if (error.response) {
+        try {
+          let raw = '';
+          for await (const chunk of error.response.data) {
+            raw += chunk;
+          }
+          body = JSON.parse(raw);
+        } catch (parseError) {
+          // Keep the generic body
+        }
+      }
+      res.status(error.response?.status || 500).json(body);
+    }
+  }
+
   setupRoutes() {
     // Health check
     this.app.get('/health', async (req, res) => {
@@ -55,19 +114,34 @@ class APIGateway {
 
     // Intelligent content processing
     this.app.post('/process', this.authenticateAPI.bind(this), async (req, res) => {
+      if ((req.body.options || {}).stream === true) {
+        return this.relayStream(req, res, '/route');
+      }
+
       try {
-        const response = await axios.post(`http://${this.routerHost}:8080/route`, req.body);
+        const response = await axios.post(`http://${this.routerHost}:8080/route`, req.body, this.tenantHeaders(req));
         res.json(response.data);
       } catch (error) {
         this.logger.error('Processing request failed:', error);
-        res.status(500).json({ error: 'Processing failed' });
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Processing failed' });
+      }
+    });
+
+    // Routing decision trace (dry run, no model is called)
+    this.app.post('/process/explain', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.post(`http://${this.routerHost}:8080/route/explain`, req.body, this.tenantHeaders(req));
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Explain request failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Explain failed' });
       }
     });
 
     // Batch processing
     this.app.post('/batch', this.authenticateAPI.bind(this), async (req, res) => {
       try {
-        const response = await axios.post(`http://${this.routerHost}:8080/batch`, req.body);
+        const response = await axios.post(`http://${this.routerHost}:8080/batch`, req.body, this.tenantHeaders(req));
         res.json(response.data);
       } catch (error) {
         this.logger.error('Batch processing failed:', error);
@@ -78,7 +152,7 @@ class APIGateway {
     // Workflow execution
     this.app.post('/workflow', this.authenticateAPI.bind(this), async (req, res) => {
       try {
-        const response = await axios.post(`http://${this.routerHost}:8080/workflow`, req.body);
+        const response = await axios.post(`http://${this.routerHost}:8080/workflow`, req.body, this.tenantHeaders(req));
         res.json(response.data);
       } catch (error) {
         this.logger.error('Workflow execution failed:', error);
@@ -99,7 +173,7 @@ class APIGateway {
           }
         };
         
-        const response = await axios.post(`http://${this.routerHost}:8080/route`, processRequest);
+        const response = await axios.post(`http://${this.routerHost}:8080/route`, processRequest, this.tenantHeaders(req));
         res.json({
           query,
           trading_analysis: response.data.result.result,
@@ -123,7 +197,7 @@ class APIGateway {
           options
         };
         
-        const response = await axios.post(`http://${this.routerHost}:8080/workflow`, workflowRequest);
+        const response = await axios.post(`http://${this.routerHost}:8080/workflow`, workflowRequest, this.tenantHeaders(req));
         res.json({
           query,
           results: response.data.result,
@@ -135,6 +209,70 @@ class APIGateway {
       }
     });
 
+    // Tenant policies (admin keys only)
+    this.app.get('/tenants', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.get(`http://${this.routerHost}:8080/tenants`, this.tenantHeaders(req));
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Tenant status request failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Failed to fetch tenant status' });
+      }
+    });
+
+    // Learning router report
+    this.app.get('/routing/learning', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.get(`http://${this.routerHost}:8080/routing/learning`, this.tenantHeaders(req));
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Learning report request failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Failed to fetch learning report' });
+      }
+    });
+
+    // Shadow routing comparisons
+    this.app.get('/routing/shadow', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.get(`http://${this.routerHost}:8080/routing/shadow`, { ...this.tenantHeaders(req), params: req.query });
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Shadow report request failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Failed to fetch shadow comparisons' });
+      }
+    });
+
+    this.app.get('/routing/shadow/:id', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.get(`http://${this.routerHost}:8080/routing/shadow/${encodeURIComponent(req.params.id)}`, this.tenantHeaders(req));
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Shadow comparison request failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Failed to fetch shadow comparison' });
+      }
+    });
+
+    // Conversation sessions
+    this.app.get('/conversations/:id', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.get(`http://${this.routerHost}:8080/conversations/${encodeURIComponent(req.params.id)}`, this.tenantHeaders(req));
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Conversation request failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Failed to fetch conversation' });
+      }
+    });
+
+    this.app.delete('/conversations/:id', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const response = await axios.delete(`http://${this.routerHost}:8080/conversations/${encodeURIComponent(req.params.id)}`, this.tenantHeaders(req));
+        res.json(response.data);
+      } catch (error) {
+        this.logger.error('Conversation delete failed:', error);
+        res.status(error.response?.status || 500).json(error.response?.data || { error: 'Failed to delete conversation' });
+      }
+    });
+
     // Model management
     this.app.get('/models', this.authenticateAPI.bind(this), async (req, res) => {
       try {
@@ -147,19 +285,66 @@ class APIGateway {
         res.status(500).json({ error: 'Failed to fetch models' });
       }
     });
+
+    // Force reprocess endpoint
+    this.app.post('/reprocess', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const { identifier, reason = 'manual_request' } = req.body;
+    
+        const duplicateManager = new DuplicateDetectionManager();
+        await duplicateManager.initialize();
+    
+        await duplicateManager.forceReprocess(identifier, reason);
+    
+        res.json({
+          success: true,
+          message: `Content marked for reprocessing: ${identifier}`,
+          reason: reason,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to mark for reprocessing' });
+      }
+    });
+
+    // Check processing status
+    this.app.get('/status/:identifier', this.authenticateAPI.bind(this), async (req, res) => {
+      try {
+        const { identifier } = req.params;
+    
+        const duplicateManager = new DuplicateDetectionManager();
+        await duplicateManager.initialize();
+    
+        const status = await duplicateManager.checkIfProcessed({ url: identifier });
+    
+        res.json({
+          identifier,
+          status,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to check status' });
+      }
+    });
   }
 
   start() {
     const port = process.env.PORT || 3000;
+    // Tenant keys and policies follow router_config.json edits
+    this.configLoader.watch();
     this.app.listen(port, () => {
       this.logger.info(`🚀 API Gateway running on port ${port}`);
       console.log(`📚 API Documentation:`);
-      console.log(`  POST /process - Intelligent content processing`);
+      console.log(`  POST /process - Intelligent content processing (options.stream for Server-Sent Events)`);
+      console.log(`  POST /process/explain - Routing decision trace (dry run)`);
       console.log(`  POST /batch - Batch processing`);
       console.log(`  POST /workflow - Workflow execution`);
       console.log(`  POST /search - Semantic search`);
       console.log(`  POST /analyze/trading - Trading analysis`);
+      console.log(`  GET /conversations/:id - Conversation session history`);
       console.log(`  GET /models - List available models`);
+      console.log(`  GET /routing/learning - Adaptive routing report`);
+      console.log(`  GET /routing/shadow - Shadow routing comparisons`);
       console.log(`  GET /health - System health check`);
     });
   }
@@ -169,45 +354,4 @@ if (require.main === module) {
   const gateway = new APIGateway();
   gateway.start();
 }
-// Force reprocess endpoint
-this.app.post('/reprocess', this.authenticateAPI.bind(this), async (req, res) => {
-  try {
-    const { identifier, reason = 'manual_request' } = req.body;
-    
-    const duplicateManager = new DuplicateDetectionManager();
-    await duplicateManager.initialize();
-    
-    await duplicateManager.forceReprocess(identifier, reason);
-    
-    res.json({
-      success: true,
-      message: `Content marked for reprocessing: ${identifier}`,
-      reason: reason,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to mark for reprocessing' });
-  }
-});
-
-// Check processing status
-this.app.get('/status/:identifier', this.authenticateAPI.bind(this), async (req, res) => {
-  try {
-    const { identifier } = req.params;
-    
-    const duplicateManager = new DuplicateDetectionManager();
-    await duplicateManager.initialize();
-    
-    const status = await duplicateManager.checkIfProcessed({ url: identifier });
-    
-    res.json({
-      identifier,
-      status,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to check status' });
-  }
-});
-
 module.exports = APIGateway;
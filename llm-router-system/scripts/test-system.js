@@ -5,6 +5,8 @@ class SystemTester {
   constructor() {
     this.logger = new Logger('SystemTester');
     this.baseUrl = 'http://localhost:8080';
+    // The router refuses routing requests without the secret it shares with the gateway
+    axios.defaults.headers.common['X-Router-Secret'] = process.env.ROUTER_SHARED_SECRET || '';
   }
 
   async runTests() {
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { IntelligentRouter } = require('../utils/intelligent-router');
+const { ConfigLoader } = require('../utils/config-loader');
+const { TenantRegistry } = require('../utils/tenant-registry');
+const { readRequestLog } = require('../utils/request-log');
+
+const DEFAULT_CONFIG_PATH = process.env.ROUTER_CONFIG_PATH || './config/router_config.json';
+const PREVIEW_CHARS = 120;
+
+// Stands in for the cost ledger during a replay: the budget guard sees the projected spend of the
+// requests replayed so far on the same recorded day, not the live ledger
+class ReplayLedger {
+  constructor() {
+    this.day = new Date().toISOString().split('T')[0];
+    this.dailyCosts = new Map();
+    this.tenantDailyCosts = new Map();
+  }
+
+  setDay(day) {
+    this.day = day;
+  }
+
+  add(cost, tenantId) {
+    this.dailyCosts.set(this.day, (this.dailyCosts.get(this.day) || 0) + cost);
+    if (tenantId) {
+      const tenantDay = `${tenantId}|${this.day}`;
+      this.tenantDailyCosts.set(tenantDay, (this.tenantDailyCosts.get(tenantDay) || 0) + cost);
+    }
+  }
+
+  getDailyCost(day = this.day) {
+    return this.dailyCosts.get(day) || 0;
+  }
+
+  getTenantDailyCost(tenantId, day = this.day) {
+    return this.tenantDailyCosts.get(`${tenantId}|${day}`) || 0;
+  }
+
+  getModelStats() {
+    return undefined;
+  }
+
+  getTotalRequests() {
+    return 0;
+  }
+
+  record() {}
+}
+
+// Routes every logged request with one config. No model is ever called: duplicates are not skipped,
+// the classification model has no backend (keyword rules only) and the learning router starts empty.
+class RoutingReplay {
+  constructor(configPath) {
+    this.configLoader = new ConfigLoader(configPath);
+    this.ledger = new ReplayLedger();
+    this.router = new IntelligentRouter({ configLoader: this.configLoader, ledger: this.ledger });
+    this.router.duplicateManager = { checkIfProcessed: async () => ({ is_duplicate: false }) };
+    // Exploration would make the two runs differ at random
+    const adaptiveRouter = this.router.adaptiveRouter;
+    adaptiveRouter.select = (category, routingDecision) => adaptiveRouter.preview(category, routingDecision);
+    this.tenants = new TenantRegistry(this.router.config);
+  }
+
+  async run(entries) {
+    await this.router.tokenCounter.initialize();
+
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.replay(entry));
+    }
+    return results;
+  }
+
+  async replay(entry) {
+    const tenant = entry.tenant ? this.tenants.get(entry.tenant) : this.tenants.getDefault();
+    if (!tenant) {
+      return { route: 'rejected:unknown_tenant', reasoning: `Unknown tenant ${entry.tenant}`, cost: 0 };
+    }
+
+    const { content, content_type: contentType, options } = this.prepare(entry, tenant);
+    if (!content) {
+      return { route: 'rejected:no_content', reasoning: 'Content or images are required', cost: 0 };
+    }
+
+    this.ledger.setDay((entry.timestamp || new Date().toISOString()).split('T')[0]);
+    const decision = await this.router.determineRoute(content, contentType, options);
+    const cost = await this.projectCost(decision, content, contentType, options);
+    this.ledger.add(cost, tenant.id);
+
+    return {
+      route: `${decision.route_to}:${decision.model || decision.workflow}`,
+      reasoning: decision.reasoning,
+      cost
+    };
+  }
+
+  // Same tenant defaults as RouterController.prepareRequest; images only need their metadata here
+  prepare(entry, tenant) {
+    const options = { ...(entry.options || {}), tenant: tenant, user_tier: tenant.tier };
+    if (!options.priority && tenant.default_priority) {
+      options.priority = tenant.default_priority;
+    }
+
+    const images = entry.images || options.images;
+    if (!Array.isArray(images) || images.length === 0) {
+      return { content: entry.content, content_type: entry.content_type, options };
+    }
+
+    options.images = images.map(image => typeof image === 'object' && image !== null
+      ? image
+      : { sha256: crypto.createHash('sha256').update(String(image)).digest('hex') });
+
+    return {
+      content: entry.content || (this.router.config.image_input || {}).default_prompt,
+      content_type: entry.content_type || 'image',
+      options
+    };
+  }
+
+  // Chunked routes are priced chunk by chunk, the way ChunkedExecutor would route them.
+  // A summarize reduce step and an ensemble judge are not projected.
+  async projectCost(decision, content, contentType, options) {
+    if (decision.route_to !== 'chunked') {
+      return this.router.estimateRouteCost(decision, content).estimated_cost;
+    }
+
+    const chunks = this.router.contentChunker.split(content);
+    let total = 0;
+    for (const chunk of chunks) {
+      const chunkDecision = await this.router.determineRoute(chunk.text, contentType, {
+        ...options,
+        chunk: { index: chunk.index, total: chunks.length, parent_routing_id: decision.routing_id }
+      });
+      total += this.router.estimateRouteCost(chunkDecision, chunk.text).estimated_cost;
+    }
+    return total;
+  }
+}
+
+function countRoutes(results) {
+  const distribution = {};
+  results.forEach(result => {
+    distribution[result.route] = (distribution[result.route] || 0) + 1;
+  });
+  return distribution;
+}
+
+function buildReport(logPath, entries, skipped, baseline, candidate) {
+  const baselineDistribution = countRoutes(baseline.results);
+  const candidateDistribution = countRoutes(candidate.results);
+  const routes = [...new Set([...Object.keys(baselineDistribution), ...Object.keys(candidateDistribution)])].sort();
+  const baselineCost = baseline.results.reduce((sum, result) => sum + result.cost, 0);
+  const candidateCost = candidate.results.reduce((sum, result) => sum + result.cost, 0);
+
+  const changed = entries
+    .map((entry, index) => ({ entry, index, before: baseline.results[index], after: candidate.results[index] }))
+    .filter(({ before, after }) => before.route !== after.route)
+    .map(({ entry, index, before, after }) => ({
+      index,
+      timestamp: entry.timestamp,
+      routing_id: entry.routing_id,
+      tenant: entry.tenant,
+      content_preview: String(entry.content || '').slice(0, PREVIEW_CHARS),
+      recorded_route: entry.route,
+      baseline: before,
+      candidate: after,
+      cost_difference: after.cost - before.cost
+    }));
+
+  return {
+    generated_at: new Date().toISOString(),
+    log: { file: logPath, requests: entries.length, skipped_lines: skipped },
+    baseline: { config: baseline.configPath, version: baseline.version },
+    candidate: { config: candidate.configPath, version: candidate.version },
+    distribution: Object.fromEntries(routes.map(route => [route, {
+      baseline: baselineDistribution[route] || 0,
+      candidate: candidateDistribution[route] || 0,
+      delta: (candidateDistribution[route] || 0) - (baselineDistribution[route] || 0)
+    }])),
+    changed: {
+      count: changed.length,
+      share: entries.length > 0 ? changed.length / entries.length : 0,
+      requests: changed
+    },
+    projected_cloud_cost: {
+      baseline: baselineCost,
+      candidate: candidateCost,
+      difference: candidateCost - baselineCost,
+      difference_percent: baselineCost > 0 ? ((candidateCost - baselineCost) / baselineCost) * 100 : null
+    }
+  };
+}
+
+async function replayWith(configPath, entries) {
+  const replay = new RoutingReplay(configPath);
+  return {
+    configPath,
+    version: replay.configLoader.version,
+    results: await replay.run(entries)
+  };
+}
+
+function parseArgs(argv) {
+  const args = { baseline: DEFAULT_CONFIG_PATH, show: 20 };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const value = inline !== undefined ? inline : argv[++i];
+    switch (flag) {
+      case '--log': args.log = value; break;
+      case '--candidate': args.candidate = value; break;
+      case '--baseline': args.baseline = value; break;
+      case '--output': args.output = value; break;
+      case '--show': args.show = parseInt(value, 10); break;
+      default: throw new Error(`Unknown argument ${flag}`);
+    }
+  }
+  if (!args.log || !args.candidate) {
+    throw new Error('Usage: node scripts/replay-routing.js --log <requests.jsonl> --candidate <router_config.json> ' +
+      '[--baseline <router_config.json>] [--output <report.json>] [--show <n>]');
+  }
+  return args;
+}
+
+function printReport(report, show) {
+  const money = value => `$${value.toFixed(4)}`;
+
+  console.log(`\n🔁 Replayed ${report.log.requests} requests from ${report.log.file}` +
+    (report.log.skipped_lines.length > 0 ? ` (${report.log.skipped_lines.length} unreadable lines skipped)` : ''));
+  console.log(`   baseline:  ${report.baseline.config} (version ${report.baseline.version})`);
+  console.log(`   candidate: ${report.candidate.config} (version ${report.candidate.version})`);
+
+  console.log('\n📊 Route distribution (baseline -> candidate):');
+  Object.entries(report.distribution).forEach(([route, counts]) => {
+    const delta = counts.delta === 0 ? '' : ` (${counts.delta > 0 ? '+' : ''}${counts.delta})`;
+    console.log(`   ${route.padEnd(45)} ${String(counts.baseline).padStart(6)} -> ${String(counts.candidate).padStart(6)}${delta}`);
+  });
+
+  console.log(`\n🔀 ${report.changed.count} requests change destination (${(report.changed.share * 100).toFixed(1)}%)`);
+  report.changed.requests.slice(0, show).forEach(change => {
+    console.log(`   #${change.index} ${change.baseline.route} -> ${change.candidate.route}: ${change.content_preview.replace(/\s+/g, ' ')}`);
+  });
+  if (report.changed.count > show) {
+    console.log(`   ... ${report.changed.count - show} more`);
+  }
+
+  const cost = report.projected_cloud_cost;
+  const percent = cost.difference_percent === null ? '' : ` (${cost.difference_percent > 0 ? '+' : ''}${cost.difference_percent.toFixed(1)}%)`;
+  console.log(`\n💰 Projected cloud cost: ${money(cost.baseline)} -> ${money(cost.candidate)}, ${cost.difference >= 0 ? '+' : '-'}${money(Math.abs(cost.difference))}${percent}`);
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const { entries, skipped } = readRequestLog(args.log);
+
+    const baseline = await replayWith(args.baseline, entries);
+    const candidate = await replayWith(args.candidate, entries);
+    const report = buildReport(args.log, entries, skipped, baseline, candidate);
+
+    printReport(report, args.show);
+    if (args.output) {
+      fs.writeFileSync(args.output, JSON.stringify(report, null, 2));
+      console.log(`\n📝 Full report written to ${args.output}`);
+    }
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { RoutingReplay, ReplayLedger, buildReport };
@@ -1,9 +1,20 @@
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const { IntelligentRouter } = require('../utils/intelligent-router');
 const { LocalModelManager } = require('../utils/local-model-manager');
 const { CloudModelManager } = require('../utils/cloud-model-manager');
 const { WorkflowEngine } = require('../utils/workflow-engine');
+const { FallbackExecutor } = require('../utils/fallback-executor');
+const { ChunkedExecutor } = require('../utils/chunked-executor');
+const { EnsembleExecutor } = require('../utils/ensemble-executor');
+const { ImageInputProcessor, ImageInputError } = require('../utils/image-input');
+const { QualityValidator } = require('../utils/quality-validator');
+const { ShadowRouter } = require('../utils/shadow-router');
+const { TenantRegistry } = require('../utils/tenant-registry');
+const { RequestLog } = require('../utils/request-log');
+const { ConversationStore, ConversationError, validateMessages } = require('../utils/conversation-store');
+const { PullJobError } = require('../utils/model-pulls');
 const { Logger } = require('../utils/logger');
 
 class RouterController {
@@ -14,6 +25,31 @@ class RouterController {
     this.localModels = new LocalModelManager();
     this.cloudModels = new CloudModelManager();
     this.workflowEngine = new WorkflowEngine();
+    this.fallbackExecutor = new FallbackExecutor(this.router, this.dispatchRoute.bind(this));
+    this.qualityValidator = new QualityValidator(
+      this.router,
+      this.fallbackExecutor.execute.bind(this.fallbackExecutor),
+      (model, prompt, options) => this.localModels.process(model, prompt, options)
+    );
+    this.chunkedExecutor = new ChunkedExecutor(this.router, this.executeRouting.bind(this));
+    this.ensembleExecutor = new EnsembleExecutor(this.router, this.dispatchRoute.bind(this));
+    this.shadowRouter = new ShadowRouter(this.router, this.dispatchRoute.bind(this));
+    this.router.llmClassifier.setBackend((model, prompt, options) => this.localModels.process(model, prompt, options));
+    this.router.setLocalModelReadiness(modelKey => this.localModels.isModelReady(modelKey));
+    this.imageInput = new ImageInputProcessor(this.router.config);
+    this.tenants = new TenantRegistry(this.router.config);
+    this.requestLog = new RequestLog();
+    this.conversations = new ConversationStore(this.router.config);
+    // Shared with the API gateway; without it every tenant-scoped request is refused
+    this.sharedSecret = process.env.ROUTER_SHARED_SECRET || null;
+    if (!this.sharedSecret) {
+      this.logger.warn('ROUTER_SHARED_SECRET is not set - routing, conversation and report requests will be refused');
+    }
+    this.router.configLoader.onChange(config => {
+      this.imageInput = new ImageInputProcessor(config);
+      this.tenants.applyConfig(config);
+      this.conversations.applyConfig(config);
+    });
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -27,24 +63,36 @@ class RouterController {
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({ 
-        status: 'healthy',
+        // Degraded while configured local models are still being pulled
+        status: this.localModels.missingModels.size > 0 ? 'degraded' : 'healthy',
         local_models: this.localModels.getStatus(),
         cloud_connectivity: this.cloudModels.getStatus(),
+        budget: this.router.budgetGuard.getStatus(),
+        llm_classification: this.router.llmClassifier.getStats(),
+        resilience: this.router.resilience.getStatus(),
+        scheduler: this.localModels.scheduler.getStatus(),
+        conversations: this.conversations.getStatus(),
+        config: this.router.configLoader.getStatus(),
         timestamp: new Date().toISOString()
       });
     });
 
     // Main routing endpoint
-    this.app.post('/route', async (req, res) => {
+    this.app.post('/route', this.attachTenant.bind(this), async (req, res) => {
       try {
-        const { content, content_type, options = {} } = req.body;
+        const { content, content_type, options, conversation } = await this.prepareRequest(req.body, req.tenant);
         
         if (!content) {
-          return res.status(400).json({ error: 'Content is required' });
+          return res.status(400).json({ error: 'Content, messages or images are required' });
+        }
+
+        if (options.stream === true) {
+          return await this.streamRoute(res, content, content_type, options, conversation);
         }
 
         // Intelligent routing decision
         const routingDecision = await this.router.determineRoute(content, content_type, options);
+        this.recordRequest(content, content_type, options, routingDecision);
         
         // Execute the routing decision
         const result = await this.executeRouting(routingDecision, content, options);
@@ -52,13 +100,22 @@ class RouterController {
         // Log performance metrics
         await this.logMetrics(routingDecision, result);
         
-        res.json({
+        // Over budget is 402; a tenant policy that allows no model for the request is 403
+        const rejectedStatus = routingDecision.tenant_policy ? 403 : 402;
+        res.status(result.status === 'rejected' ? rejectedStatus : 200).json({
           routing_decision: routingDecision,
           result: result,
+          session: this.recordConversation(conversation, result),
           timestamp: new Date().toISOString()
         });
 
       } catch (error) {
+        if (error instanceof ImageInputError) {
+          return res.status(400).json({ error: 'Invalid image input', message: error.message });
+        }
+        if (error instanceof ConversationError) {
+          return res.status(error.statusCode).json({ error: 'Invalid conversation', message: error.message });
+        }
         this.logger.error('Routing error:', error);
         res.status(500).json({ 
           error: 'Routing failed', 
@@ -67,8 +124,39 @@ class RouterController {
       }
     });
 
+    // Dry-run routing: full decision trace without calling any model
+    this.app.post('/route/explain', this.attachTenant.bind(this), async (req, res) => {
+      try {
+        const { content, content_type, options } = await this.prepareRequest(req.body, req.tenant);
+        
+        if (!content) {
+          return res.status(400).json({ error: 'Content, messages or images are required' });
+        }
+
+        const explanation = await this.router.explainRoute(content, content_type, options);
+        
+        res.json({
+          explanation: explanation,
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        if (error instanceof ImageInputError) {
+          return res.status(400).json({ error: 'Invalid image input', message: error.message });
+        }
+        if (error instanceof ConversationError) {
+          return res.status(error.statusCode).json({ error: 'Invalid conversation', message: error.message });
+        }
+        this.logger.error('Route explain error:', error);
+        res.status(500).json({ 
+          error: 'Route explain failed', 
+          message: error.message 
+        });
+      }
+    });
+
     // Batch processing endpoint
-    this.app.post('/batch', async (req, res) => {
+    this.app.post('/batch', this.attachTenant.bind(this), async (req, res) => {
       try {
         const { items, options = {} } = req.body;
         
@@ -76,7 +164,7 @@ class RouterController {
           return res.status(400).json({ error: 'Items array is required' });
         }
 
-        const results = await this.processBatch(items, options);
+        const results = await this.processBatch(items, options, req.tenant);
         
         res.json({
           batch_size: items.length,
@@ -91,11 +179,11 @@ class RouterController {
     });
 
     // Workflow execution endpoint
-    this.app.post('/workflow', async (req, res) => {
+    this.app.post('/workflow', this.attachTenant.bind(this), async (req, res) => {
       try {
         const { workflow_name, input_data, options = {} } = req.body;
         
-        const result = await this.workflowEngine.execute(workflow_name, input_data, options);
+        const result = await this.workflowEngine.execute(workflow_name, input_data, { ...options, tenant: req.tenant });
         
         res.json({
           workflow: workflow_name,
@@ -109,6 +197,58 @@ class RouterController {
       }
     });
 
+    // Tenant policies (ids, tiers, allowed models, key counts) are for admins only
+    this.app.get('/tenants', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
+      res.json({
+        tenancy: this.tenants.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Learning router report: per-category route statistics and preference shifts, learned across tenants
+    this.app.get('/routing/learning', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
+      res.json({
+        report: this.router.adaptiveRouter.getReport(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Shadow routing: sampled primary/shadow comparisons of the calling tenant's requests, newest first
+    this.app.get('/routing/shadow', this.attachTenant.bind(this), (req, res) => {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const tenant = this.getReportScope(req.tenant);
+
+      res.json({
+        report: this.shadowRouter.getReport(tenant),
+        comparisons: this.shadowRouter.list({ experiment: req.query.experiment, tenant, limit }),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.app.get('/routing/shadow/:id', this.attachTenant.bind(this), (req, res) => {
+      const comparison = this.shadowRouter.getComparison(req.params.id, this.getReportScope(req.tenant));
+      if (!comparison) {
+        return res.status(404).json({ error: 'Shadow comparison not found' });
+      }
+      res.json({ comparison });
+    });
+
+    // Conversation sessions: history of the calling tenant's own sessions
+    this.app.get('/conversations/:id', this.attachTenant.bind(this), (req, res) => {
+      const session = this.conversations.get(req.params.id, req.tenant.id);
+      if (!session) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      res.json({ session });
+    });
+
+    this.app.delete('/conversations/:id', this.attachTenant.bind(this), (req, res) => {
+      if (!this.conversations.delete(req.params.id, req.tenant.id)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      res.json({ deleted: true, session_id: req.params.id });
+    });
+
     // Model management endpoints
     this.app.get('/models/local', async (req, res) => {
       const models = await this.localModels.listModels();
@@ -116,53 +256,368 @@ class RouterController {
     });
 
     this.app.post('/models/local/load', async (req, res) => {
-      const { model_name } = req.body;
-      const result = await this.localModels.loadModel(model_name);
-      res.json({ result });
+      try {
+        const { model_name } = req.body;
+        const result = await this.localModels.loadModel(model_name);
+        res.json({ result });
+      } catch (error) {
+        // Ollama refused or could not be reached
+        this.logger.error(`Model load failed:`, error);
+        res.status(502).json({ error: 'Model load failed', message: error.message });
+      }
     });
 
     this.app.post('/models/local/unload', async (req, res) => {
+      try {
+        const { model_name } = req.body;
+        const result = await this.localModels.unloadModel(model_name);
+        res.json({ result });
+      } catch (error) {
+        // Ollama refused or could not be reached
+        this.logger.error(`Model unload failed:`, error);
+        res.status(502).json({ error: 'Model unload failed', message: error.message });
+      }
+    });
+
+    // Pull jobs: downloads run in the background and report bytes completed and total. Admins only, since
+    // they fill the model host's disk and list every model being fetched
+    this.app.post('/models/local/pull', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
       const { model_name } = req.body;
-      const result = await this.localModels.unloadModel(model_name);
-      res.json({ result });
+      if (!model_name) {
+        return res.status(400).json({ error: 'model_name is required' });
+      }
+      res.status(202).json({ job: this.localModels.pullModel(model_name) });
+    });
+
+    this.app.get('/models/local/pulls', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
+      res.json({ jobs: this.localModels.pulls.list() });
+    });
+
+    this.app.get('/models/local/pulls/:id', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
+      const job = this.localModels.getPull(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Pull job not found' });
+      }
+      res.json({ job });
+    });
+
+    this.app.post('/models/local/pulls/:id/cancel', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
+      this.respondWithPullJob(res, () => this.localModels.pulls.cancel(req.params.id));
+    });
+
+    // Pulls the model again; Ollama keeps the layers it already downloaded
+    this.app.post('/models/local/pulls/:id/resume', this.attachTenant.bind(this), this.requireAdmin.bind(this), (req, res) => {
+      this.respondWithPullJob(res, () => this.localModels.pulls.resume(req.params.id));
+    });
+  }
+
+  respondWithPullJob(res, action) {
+    try {
+      res.json({ job: action() });
+    } catch (error) {
+      if (error instanceof PullJobError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  // The gateway authenticates the API key and names the tenant in X-Tenant-Id, which is only trusted
+  // alongside the shared secret. Callers with the secret but no tenant header act as the default tenant.
+  attachTenant(req, res, next) {
+    if (!this.sharedSecret) {
+      return res.status(503).json({ error: 'Router shared secret is not configured' });
+    }
+    if (!this.isFromGateway(req)) {
+      return res.status(401).json({ error: 'Missing or invalid router secret' });
+    }
+
+    const tenantId = req.header('X-Tenant-Id');
+
+    req.tenant = tenantId ? this.tenants.get(tenantId) : this.tenants.getDefault();
+
+    if (!req.tenant) {
+      return res.status(403).json({ error: 'Unknown tenant', tenant: tenantId });
+    }
+    next();
+  }
+
+  requireAdmin(req, res, next) {
+    if (!req.tenant.admin) {
+      return res.status(403).json({ error: 'Admin access required', tenant: req.tenant.id });
+    }
+    next();
+  }
+
+  // Admins report across tenants (null), everyone else on their own requests
+  getReportScope(tenant) {
+    return tenant.admin ? null : tenant.id;
+  }
+
+  isFromGateway(req) {
+    const presented = req.header('X-Router-Secret');
+    if (!presented) {
+      return false;
+    }
+    const expected = Buffer.from(this.sharedSecret);
+    const actual = Buffer.from(presented);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Recorded for replaying against candidate configs
+  recordRequest(content, contentType, options, routingDecision) {
+    if ((this.router.config.monitoring.request_log || {}).enabled) {
+      this.requestLog.record({ content, content_type: contentType, options }, routingDecision);
+    }
+  }
+
+  // Server-Sent Events for options.stream: the routing decision first, then the model's tokens as they
+  // arrive, then the result with usage and cost. Every retry or fallback starts with a new attempt event.
+  async streamRoute(res, content, contentType, options, conversation) {
+    const upstream = new AbortController();
+    const send = this.openEventStream(res);
+    res.on('close', () => upstream.abort());
+
+    try {
+      const routingDecision = await this.router.determineRoute(content, contentType, options);
+      this.recordRequest(content, contentType, options, routingDecision);
+      send('routing_decision', routingDecision);
+
+      const result = await this.executeRouting(routingDecision, content, {
+        ...options,
+        signal: upstream.signal,
+        onEvent: send
+      });
+      await this.logMetrics(routingDecision, result);
+
+      send('result', { result, session: this.recordConversation(conversation, result), timestamp: new Date().toISOString() });
+    } catch (error) {
+      if (error instanceof ImageInputError) {
+        send('error', { error: 'Invalid image input', message: error.message });
+      } else {
+        this.logger.error('Streaming routing error:', error);
+        send('error', { error: 'Routing failed', message: error.message });
+      }
+    }
+    res.end();
+  }
+
+  openEventStream(res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Keeps reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+
+    return (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
   }
 
+  // Images arrive as base64, data URLs or file references and travel to the model in options.images.
+  // Tenant, tier and default priority come from the tenant policy, never from the request body.
+  async prepareRequest(body, tenant) {
+    const { content, content_type } = body;
+    const options = {
+      ...(body.options || {}),
+      tenant: tenant,
+      user_tier: tenant.tier
+    };
+    if (!options.priority && tenant.default_priority) {
+      options.priority = tenant.default_priority;
+    }
+
+    const images = body.images || options.images;
+
+    if (!images) {
+      return this.prepareConversation(body, { content, content_type, options }, tenant);
+    }
+
+    return this.prepareConversation(body, {
+      content: content || this.imageInput.settings.default_prompt,
+      content_type: content_type || 'image',
+      options: { ...options, images: await this.imageInput.normalize(images) }
+    }, tenant);
+  }
+
+  // messages, session_id or new_session make the request a conversation: routing sees the whole
+  // transcript and the managers send the messages, oldest turns trimmed to the model's context window
+  prepareConversation(body, request, tenant) {
+    const { messages, session_id: sessionId, new_session: newSession } = body;
+    if (!messages && !sessionId && newSession !== true) {
+      return request;
+    }
+    if (!messages && !request.content) {
+      return request;
+    }
+
+    const incoming = messages ? validateMessages(messages) : [{ role: 'user', content: request.content }];
+
+    let session = null;
+    if (sessionId) {
+      session = this.conversations.get(sessionId, tenant.id);
+      if (!session) {
+        throw new ConversationError(`Unknown or expired session ${sessionId}`, 404);
+      }
+    } else if (newSession === true) {
+      session = this.conversations.create(tenant.id);
+    }
+
+    const history = [...(session ? session.messages : []), ...incoming];
+    return {
+      content: history.map(message => message.content).join('\n\n'),
+      content_type: request.content_type || 'text',
+      options: { ...request.options, messages: history },
+      conversation: session ? { session, incoming } : undefined
+    };
+  }
+
+  // Only answered turns join the session, so a failed request can simply be sent again
+  recordConversation(conversation, result) {
+    if (!conversation) {
+      return undefined;
+    }
+
+    const { session, incoming } = conversation;
+    if ((result.status !== 'success' && result.status !== 'partial') || result.result === undefined) {
+      return { id: session.id, messages: session.messages.length, updated: false };
+    }
+
+    const reply = typeof result.result === 'string' ? result.result : JSON.stringify(result.result);
+    const stored = this.conversations.append(session.id, session.tenant, [...incoming, { role: 'assistant', content: reply }]);
+    return { id: stored.id, messages: stored.messages.length, updated: true };
+  }
+
+  // Dispatches the decision, re-dispatches to cloud when fallback_to_cloud/fallback_condition trip,
+  // and retries or upgrades the model while the answer scores below the quality threshold
   async executeRouting(routingDecision, content, options) {
+    const result = await this.qualityValidator.execute(routingDecision, content, options);
+
+    // Fire and forget: the shadow model's answer is stored, never returned (nor streamed)
+    const { onEvent, signal, ...shadowOptions } = options;
+    this.shadowRouter.maybeShadow(routingDecision, content, shadowOptions, result);
+
+    return result;
+  }
+
+  async dispatchRoute(routingDecision, content, options) {
     const { route_to, model, reasoning } = routingDecision;
     
-    this.logger.info(`Routing to ${route_to}:${model} - ${reasoning}`);
+    this.logger.info(`Routing to ${route_to}:${model || routingDecision.workflow} - ${reasoning}`);
+
+    // Only single model calls stream tokens; workflow, chunked and ensemble answers arrive with the result
+    const { onEvent, ...plainOptions } = options;
+    const callOptions = { ...plainOptions, routing_id: routingDecision.routing_id };
 
-    if (route_to === 'local') {
-      return await this.localModels.process(model, content, options);
-    } else if (route_to === 'cloud') {
-      return await this.cloudModels.process(model, content, options);
+    if (route_to === 'local' || route_to === 'cloud') {
+      const manager = route_to === 'local' ? this.localModels : this.cloudModels;
+      if (onEvent) {
+        onEvent('attempt', { route: `${route_to}:${model}`, reasoning });
+        callOptions.onToken = text => onEvent('token', { text });
+      }
+      const result = await manager.process(model, content, callOptions);
+      // Scored here so fallback conditions and the learning router see quality_score
+      return await this.qualityValidator.score(result, content, routingDecision, callOptions);
+    } else if (route_to === 'workflow') {
+      return await this.executeWorkflowRoute(routingDecision, content, plainOptions);
+    } else if (route_to === 'chunked') {
+      return await this.chunkedExecutor.run(routingDecision, content, plainOptions);
+    } else if (route_to === 'ensemble') {
+      return await this.ensembleExecutor.run(routingDecision, content, plainOptions);
+    } else if (route_to === 'rejected') {
+      return {
+        error: reasoning,
+        model: model,
+        processing_time: 0,
+        status: 'rejected',
+        route_type: 'rejected',
+        estimated_cost: 0
+      };
     } else {
       throw new Error(`Unknown routing destination: ${route_to}`);
     }
   }
 
-  async processBatch(items, options) {
+  // Hands routed content to the workflow engine, shaped like a model manager result
+  async executeWorkflowRoute(routingDecision, content, options) {
+    const startTime = Date.now();
+    const workflowName = routingDecision.workflow;
+
+    try {
+      if (!workflowName) {
+        throw new Error('Workflow route is missing a workflow name');
+      }
+
+      const inputData = {
+        content: content,
+        source_url: options.source_url,
+        tags: options.tags
+      };
+
+      const run = await this.workflowEngine.execute(workflowName, inputData, {
+        ...options,
+        routing_id: routingDecision.routing_id,
+        routing_rule: routingDecision.rule
+      });
+
+      return {
+        result: run.result,
+        model: workflowName,
+        workflow_run: {
+          run_id: run.run_id,
+          routing_id: run.routing_id,
+          status: run.status,
+          duration: run.duration,
+          steps_completed: run.steps_completed.map(step => step.step)
+        },
+        processing_time: Date.now() - startTime,
+        status: 'success',
+        route_type: 'workflow',
+        estimated_cost: 0
+      };
+
+    } catch (error) {
+      this.logger.error(`Workflow routing failed for ${workflowName}:`, error);
+
+      return {
+        error: error.message,
+        model: workflowName,
+        processing_time: Date.now() - startTime,
+        status: 'error',
+        route_type: 'workflow'
+      };
+    }
+  }
+
+  async processBatch(items, options, tenant) {
     const results = [];
-    const batchSize = options.batch_size || 10;
+    // Model calls queue in the scheduler; a wave larger than a route's queue would only be turned away
+    const batchSize = Math.min(options.batch_size || 10, this.localModels.scheduler.settings.max_queue_depth);
     
     // Process in parallel batches
     for (let i = 0; i < items.length; i += batchSize) {
       const batch = items.slice(i, i + batchSize);
       const batchPromises = batch.map(async (item) => {
         try {
+          const request = await this.prepareRequest({ ...item, options }, tenant);
           const routingDecision = await this.router.determineRoute(
-            item.content, 
-            item.content_type, 
-            { ...options, batch_mode: true }
+            request.content, 
+            request.content_type, 
+            { ...request.options, batch_mode: true, batch_size: items.length }
           );
           
-          const result = await this.executeRouting(routingDecision, item.content, options);
+          const result = await this.executeRouting(routingDecision, request.content, request.options);
           
           return {
             id: item.id,
             routing_decision: routingDecision,
             result: result,
+            session: this.recordConversation(request.conversation, result),
             status: 'success'
           };
         } catch (error) {
@@ -184,7 +639,7 @@ class RouterController {
   async logMetrics(routingDecision, result) {
     const metrics = {
       timestamp: new Date().toISOString(),
-      route: `${routingDecision.route_to}:${routingDecision.model}`,
+      route: `${routingDecision.route_to}:${routingDecision.model || routingDecision.workflow}`,
       latency: result.processing_time || 0,
       cost: result.estimated_cost || 0,
       quality_score: result.quality_score || 0,
@@ -193,11 +648,15 @@ class RouterController {
     
     // Store metrics for analysis
     this.logger.info('Processing metrics:', metrics);
+    this.router.recordOutcome(routingDecision, result);
   }
 
   async start() {
     const port = process.env.PORT || 8080;
     
+    // Pick up router_config.json edits without a restart
+    this.router.configLoader.watch();
+
     // Initialize all components
     await this.router.initialize();
     await this.localModels.initialize();
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { Logger } = require('../utils/logger');
+const { pullWithProgress } = require('../utils/model-pulls');
 
 class ModelSetup {
   constructor() {
@@ -47,13 +48,21 @@ class ModelSetup {
     }
   }
 
+  // Streams Ollama's progress instead of blocking silently; an interrupted run picks up where it stopped
   async pullModel(modelName) {
-    const response = await axios.post(`${this.baseUrl}/api/pull`, {
-      name: modelName
+    let lastLine = '';
+    await pullWithProgress(this.baseUrl, modelName, {
+      onProgress: ({ status, bytes_completed: completed, bytes_total: total }) => {
+        const line = total > 0
+          ? `   ${status}: ${(completed / 1024 ** 3).toFixed(2)}GB / ${(total / 1024 ** 3).toFixed(2)}GB (${((completed / total) * 100).toFixed(1)}%)`
+          : `   ${status}`;
+        if (line !== lastLine) {
+          process.stdout.write(`\r${line.padEnd(lastLine.length)}`);
+          lastLine = line;
+        }
+      }
     });
-    
-    // In a real implementation, you'd track the pull progress
-    return response.data;
+    process.stdout.write('\n');
   }
 
   async testModels() {
@@ -0,0 +1,119 @@
+const { AdaptiveRouter } = require('../utils/adaptive-router');
+
+const CANDIDATES = ['local:general_processing', 'local:complex_reasoning', 'cloud:abacus_claude_haiku'];
+
+function buildRouter(adaptive = {}) {
+  return new AdaptiveRouter({
+    monitoring: {
+      optimization: {
+        learning_enabled: true,
+        auto_route_adjustment: true,
+        adaptive_routing: {
+          enabled: true,
+          exploration_rate: 0,
+          min_samples: 3,
+          min_reward_gain: 0.05,
+          candidates: { general_content: CANDIDATES },
+          ...adaptive
+        }
+      }
+    }
+  });
+}
+
+function record(router, route, times, metrics) {
+  for (let i = 0; i < times; i++) {
+    router.recordOutcome('general_content', route, metrics);
+  }
+}
+
+const ruleDecision = { route_to: 'local', model: 'general_processing', reasoning: 'text_medium' };
+const good = { success: true, quality_score: 0.9, latency: 3000, cost: 0 };
+const poor = { success: false, latency: 30000, cost: 0 };
+
+describe('AdaptiveRouter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stays off unless learning and auto route adjustment are enabled too', () => {
+    const router = new AdaptiveRouter({
+      monitoring: { optimization: { learning_enabled: false, adaptive_routing: { enabled: true } } }
+    });
+    expect(router.select('general_content', ruleDecision)).toBeNull();
+  });
+
+  test('keeps the rule decision until a candidate has enough samples', () => {
+    const router = buildRouter();
+    record(router, 'local:complex_reasoning', 2, good);
+    expect(router.select('general_content', ruleDecision)).toBeNull();
+    expect(router.getReport().selections.baseline).toBe(1);
+  });
+
+  test('moves to a clearly better candidate once it has evidence', () => {
+    const router = buildRouter();
+    record(router, 'local:general_processing', 3, poor);
+    record(router, 'local:complex_reasoning', 3, good);
+
+    const decision = router.select('general_content', ruleDecision);
+    expect(decision).toMatchObject({
+      route_to: 'local',
+      model: 'complex_reasoning',
+      adaptive: { mode: 'exploit', category: 'general_content' },
+      original_decision: ruleDecision
+    });
+    expect(router.getReport().categories.general_content.preferred_route).toBe('local:complex_reasoning');
+  });
+
+  test('does not leave a well-sampled rule choice for a marginal gain', () => {
+    const router = buildRouter();
+    record(router, 'local:general_processing', 3, good);
+    record(router, 'local:complex_reasoning', 3, { ...good, latency: 2000 });
+    expect(router.select('general_content', ruleDecision)).toBeNull();
+  });
+
+  test('leaves routes alone that are not candidates for the category', () => {
+    const router = buildRouter();
+    record(router, 'local:complex_reasoning', 3, good);
+    expect(router.select('general_content', { route_to: 'cloud', model: 'abacus_gpt4o' })).toBeNull();
+    expect(router.select('trading_content', ruleDecision)).toBeNull();
+  });
+
+  test('explores undersampled candidates, but not for high priority requests unless allowed', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const router = buildRouter({ exploration_rate: 0.9 });
+    record(router, 'local:general_processing', 3, good);
+    record(router, 'local:complex_reasoning', 3, good);
+
+    expect(router.select('general_content', ruleDecision)).toMatchObject({
+      model: 'abacus_claude_haiku',
+      adaptive: { mode: 'explore' }
+    });
+    expect(router.select('general_content', ruleDecision, { priority: 'high' })).toBeNull();
+  });
+
+  test('preview shows the exploit choice without counting a selection', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const router = buildRouter({ exploration_rate: 1 });
+    record(router, 'local:general_processing', 3, poor);
+    record(router, 'local:complex_reasoning', 3, good);
+
+    expect(router.preview('general_content', ruleDecision).model).toBe('complex_reasoning');
+    expect(router.getReport().selections).toEqual({ explore: 0, exploit: 0, baseline: 0 });
+  });
+
+  test('rewards success, quality, speed and low cost', () => {
+    const router = buildRouter();
+    expect(router.calculateReward({ success: true, quality_score: 1, latency: 0, cost: 0 })).toBeCloseTo(1);
+    expect(router.calculateReward({ success: false, latency: 30000, cost: 0.05 })).toBe(0);
+    // Unscored successes count as middling quality
+    expect(router.calculateReward({ success: true, latency: 0, cost: 0 })).toBeCloseTo(0.85);
+  });
+
+  test('keeps learned statistics across a config reload', () => {
+    const router = buildRouter();
+    record(router, 'local:complex_reasoning', 3, good);
+    router.applyConfig({ monitoring: { optimization: { learning_enabled: true, auto_route_adjustment: true, adaptive_routing: { enabled: true } } } });
+    expect(router.getArm('general_content', 'local:complex_reasoning').count).toBe(3);
+  });
+});
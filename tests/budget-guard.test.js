@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { BudgetGuard } = require('../utils/budget-guard');
+
+const COSTS = { abacus_gpt4o: 0.05, abacus_claude: 0.02, abacus_claude_haiku: 0.001 };
+
+function buildConfig(costLimits = {}) {
+  return {
+    monitoring: { cost_limits: costLimits },
+    local_models: { general_processing: {}, complex_reasoning: {} },
+    cloud_models: { abacus_gpt4o: {}, abacus_claude: {}, abacus_claude_haiku: {} }
+  };
+}
+
+// cost_based rules come from workflow_config.json; tests supply their own instead of the repo's file
+function buildGuard(costLimits, { dailySpent = 0, tenantSpent = 0, costBased = {} } = {}) {
+  const ledger = {
+    getDailyCost: () => dailySpent,
+    getTenantDailyCost: () => tenantSpent
+  };
+  const readFile = jest.spyOn(fs, 'readFileSync')
+    .mockReturnValue(JSON.stringify({ auto_routing_rules: { cost_based: costBased } }));
+  try {
+    return new BudgetGuard(buildConfig(costLimits), ledger, decision => ({ estimated_cost: COSTS[decision.model] || 0 }));
+  } finally {
+    readFile.mockRestore();
+  }
+}
+
+const cloudDecision = { route_to: 'cloud', model: 'abacus_gpt4o', content_category: 'trading_content' };
+
+describe('BudgetGuard.check', () => {
+  test('passes local routes through untouched', () => {
+    const guard = buildGuard({ daily_limit: 0 });
+    const decision = { route_to: 'local', model: 'general_processing' };
+    expect(guard.check(decision, 'text', {})).toBe(decision);
+  });
+
+  test('allows cloud routes within every limit', () => {
+    const guard = buildGuard({ daily_limit: 10, per_request_limit: 1 });
+    const checked = guard.check(cloudDecision, 'text', {});
+    expect(checked.route_to).toBe('cloud');
+    expect(checked.model).toBe('abacus_gpt4o');
+    expect(checked.budget).toMatchObject({ action: 'allowed', estimated_cost: 0.05, budget_class: 'standard' });
+  });
+
+  test('falls back to a cheaper cloud model that fits the per-request limit', () => {
+    const guard = buildGuard({ per_request_limit: 0.01 });
+    const checked = guard.check(cloudDecision, 'text', {});
+    expect(checked).toMatchObject({ route_to: 'cloud', model: 'abacus_claude_haiku' });
+    expect(checked.budget.action).toBe('downgraded');
+    expect(checked.original_decision).toBe(cloudDecision);
+  });
+
+  test('switches to the local fallback model when no cloud model fits', () => {
+    const guard = buildGuard({ daily_limit: 1, local_fallback_model: 'general_processing' }, { dailySpent: 1 });
+    const checked = guard.check(cloudDecision, 'text', {});
+    expect(checked).toMatchObject({ route_to: 'local', model: 'general_processing' });
+    expect(checked.budget.action).toBe('downgraded');
+  });
+
+  test('rejects instead when over_limit_action is reject', () => {
+    const guard = buildGuard({ daily_limit: 1, over_limit_action: 'reject' }, { dailySpent: 1 });
+    const checked = guard.check(cloudDecision, 'text', {});
+    expect(checked.route_to).toBe('rejected');
+    expect(checked.budget.action).toBe('rejected');
+  });
+
+  test('keeps the priority reserve away from standard content', () => {
+    const limits = { daily_limit: 10, priority_content_budget_percentage: 20 };
+    const standard = buildGuard(limits, { dailySpent: 7.99 }).check(cloudDecision, 'text', {});
+    const priority = buildGuard(limits, { dailySpent: 7.99 }).check(cloudDecision, 'text', { priority_tags: ['bitcoin'] });
+
+    expect(standard.model).toBe('abacus_claude_haiku');
+    expect(standard.budget.spend_ceiling).toBe(8);
+    expect(priority.budget).toMatchObject({ action: 'allowed', budget_class: 'priority', spend_ceiling: 10 });
+  });
+
+  test('grants the priority reserve from tagged categories and tenant policy, not from options.priority', () => {
+    const limits = { daily_limit: 10, priority_content_budget_percentage: 20 };
+    const guard = buildGuard(limits, { dailySpent: 7.99 });
+
+    expect(guard.check(cloudDecision, 'text', {}, { priority: 'high' }).budget.budget_class).toBe('standard');
+    expect(guard.check({ ...cloudDecision, content_category: 'priority_tagged_content' }, 'text', {}).budget.budget_class)
+      .toBe('priority');
+    expect(guard.check(cloudDecision, 'text', {}, { tenant: { id: 'premium', default_priority: 'high' } }).budget.budget_class)
+      .toBe('priority');
+  });
+
+  test("enforces the tenant's daily cap and the models it may fall back to", () => {
+    const tenant = { id: 'starter', daily_cost_limit: 5, allowed_models: ['local:complex_reasoning', 'cloud:abacus_gpt4o'] };
+    const guard = buildGuard({}, { tenantSpent: 4.99 });
+    const checked = guard.check(cloudDecision, 'text', {}, { tenant });
+
+    expect(checked).toMatchObject({ route_to: 'local', model: 'complex_reasoning' });
+    expect(checked.budget).toMatchObject({ tenant: 'starter', tenant_daily_limit: 5 });
+  });
+
+  test('rejects when the tenant may use no local fallback', () => {
+    const tenant = { id: 'cloud_only', allowed_models: ['cloud:abacus_gpt4o'] };
+    const guard = buildGuard({ per_request_limit: 0.01 });
+    expect(guard.check(cloudDecision, 'text', {}, { tenant }).route_to).toBe('rejected');
+  });
+});
+
+describe('BudgetGuard local-only mode', () => {
+  test('enters local-only mode once daily spend reaches the limit', () => {
+    const guard = buildGuard({ daily_limit: 5 }, { dailySpent: 5, costBased: { emergency_local_only_mode: true } });
+    const checked = guard.check({ route_to: 'cloud', model: 'abacus_claude_haiku' }, 'text', {});
+
+    expect(checked).toMatchObject({ route_to: 'local', model: 'complex_reasoning' });
+    expect(checked.budget.action).toBe('local_only');
+    expect(guard.getStatus().local_only_mode).toMatchObject({ day: new Date().toISOString().split('T')[0] });
+  });
+
+  test('sends cloud routes local even when over_limit_action is reject', () => {
+    const guard = buildGuard({ daily_limit: 5, over_limit_action: 'reject' }, { dailySpent: 5, costBased: { emergency_local_only_mode: true } });
+    expect(guard.check(cloudDecision, 'text', {}).route_to).toBe('local');
+  });
+
+  test('stays off unless workflow_config enables it', () => {
+    const guard = buildGuard({ daily_limit: 5 }, { dailySpent: 5 });
+    guard.check(cloudDecision, 'text', {});
+    expect(guard.getStatus().local_only_mode).toBeNull();
+  });
+
+  test('ends when the budget day rolls over', () => {
+    const guard = buildGuard({ daily_limit: 5 }, { costBased: { emergency_local_only_mode: true } });
+    guard.localOnlyMode = { day: '2000-01-01', since: '2000-01-01T00:00:00.000Z', reason: 'spent' };
+
+    expect(guard.check(cloudDecision, 'text', {}).budget.action).toBe('allowed');
+    expect(guard.localOnlyMode).toBeNull();
+  });
+});
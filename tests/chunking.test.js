@@ -0,0 +1,145 @@
+const { ContentChunker } = require('../utils/content-chunker');
+const { ChunkedExecutor } = require('../utils/chunked-executor');
+
+// One token per word keeps chunk sizes easy to reason about
+const wordCounter = { count: text => text.split(/\s+/).filter(Boolean).length };
+
+function buildChunker(chunking = {}) {
+  return new ContentChunker({
+    routing_rules: {
+      chunking: { condition: 'tokens > 40', chunk_tokens: 20, overlap_tokens: 6, max_concurrency: 2, ...chunking }
+    }
+  }, wordCounter);
+}
+
+function sentences(count, prefix = 'Sentence') {
+  return Array.from({ length: count }, (_, index) => `${prefix} number ${index} has five words.`).join(' ');
+}
+
+describe('ContentChunker.split', () => {
+  test('leaves short content in one chunk', () => {
+    const chunks = buildChunker().split('Just a short note.');
+    expect(chunks).toEqual([{ index: 0, start: 0, end: 18, tokens: 4, text: 'Just a short note.' }]);
+  });
+
+  test('covers the whole text with overlapping slices that fit the chunk size', () => {
+    const text = sentences(12);
+    const chunks = buildChunker().split(text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.text).toBe(text.slice(chunk.start, chunk.end));
+      expect(chunk.tokens).toBeLessThanOrEqual(20);
+      if (index > 0) {
+        // Overlapping, but never repeating the whole previous chunk
+        expect(chunk.start).toBeLessThan(chunks[index - 1].end);
+        expect(chunk.start).toBeGreaterThan(chunks[index - 1].start);
+      }
+    });
+  });
+
+  test('prefers to end a chunk on a paragraph break', () => {
+    const text = `${sentences(3, 'Intro')}\n\n${sentences(3, 'Body')}`;
+    const chunks = buildChunker({ overlap_tokens: 0 }).split(text);
+    expect(chunks[0].text.trim().endsWith('Intro number 2 has five words.')).toBe(true);
+  });
+
+  test('cuts sentences longer than a chunk at word boundaries', () => {
+    const text = Array.from({ length: 50 }, (_, index) => `word${index}`).join(' ');
+    const chunks = buildChunker({ overlap_tokens: 0 }).split(text);
+
+    expect(chunks.length).toBeGreaterThanOrEqual(3);
+    chunks.forEach(chunk => {
+      expect(chunk.tokens).toBeLessThanOrEqual(20);
+      expect(chunk.text).toMatch(/^word\d+/);
+    });
+  });
+});
+
+describe('ChunkedExecutor.run', () => {
+  function buildExecutor({ execute, reduce = {} }) {
+    const router = {
+      contentChunker: buildChunker({ reduce: { strategy: 'summarize', model: 'local:general_processing', ...reduce } }),
+      determineRoute: jest.fn(async (text, contentType, options) => ({
+        route_to: 'local',
+        model: 'general_processing',
+        routing_id: `chunk-${options.chunk.index}`
+      })),
+      recordOutcome: jest.fn()
+    };
+    return { executor: new ChunkedExecutor(router, execute), router };
+  }
+
+  const decision = { route_to: 'chunked', model: 'general_processing', routing_id: 'parent' };
+
+  test('routes each chunk on its own and merges the outputs in a reduce step', async () => {
+    const execute = jest.fn(async (chunkDecision, text, options) => options.chunk
+      ? { status: 'success', result: `summary of chunk ${options.chunk.index}`, estimated_cost: 0.01, quality_score: 0.8 }
+      : { status: 'success', result: 'merged', estimated_cost: 0.005 });
+    const { executor, router } = buildExecutor({ execute });
+
+    const result = await executor.run(decision, sentences(12));
+    const chunkCount = result.chunks.length;
+
+    expect(chunkCount).toBeGreaterThan(1);
+    expect(router.determineRoute.mock.calls[0][2].chunk).toEqual({ index: 0, total: chunkCount, parent_routing_id: 'parent' });
+    expect(result).toMatchObject({ status: 'success', result: 'merged', route_type: 'chunked' });
+    expect(result.quality_score).toBeCloseTo(0.8);
+    expect(result.reduce).toMatchObject({ strategy: 'summarize', route: 'local:general_processing', status: 'success' });
+    expect(result.estimated_cost).toBeCloseTo(chunkCount * 0.01 + 0.005);
+    expect(execute.mock.calls[chunkCount][1]).toContain('[Chunk 1, characters 0-');
+  });
+
+  test('never runs more chunks at once than max_concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    const execute = jest.fn(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return { status: 'success', result: 'ok' };
+    });
+    const { executor } = buildExecutor({ execute, reduce: { strategy: 'concatenate' } });
+
+    await executor.run(decision, sentences(12));
+    expect(peak).toBe(2);
+  });
+
+  test('reports partial results and concatenates when the reduce step fails', async () => {
+    const execute = jest.fn(async (chunkDecision, text, options) => {
+      if (!options.chunk) {
+        return { status: 'error', error: 'reduce model down' };
+      }
+      return options.chunk.index === 0
+        ? { status: 'error', error: 'timeout' }
+        : { status: 'success', result: `part ${options.chunk.index}` };
+    });
+    const { executor } = buildExecutor({ execute });
+
+    const result = await executor.run(decision, sentences(12));
+    expect(result.status).toBe('partial');
+    expect(result.chunks[0]).toMatchObject({ status: 'error', error: 'timeout' });
+    expect(result.reduce).toMatchObject({ status: 'fallback_concatenate', error: 'reduce model down' });
+    expect(result.result).toContain('part 1');
+  });
+
+  test('concatenates for tenants that may not use the reduce model', async () => {
+    const execute = jest.fn(async () => ({ status: 'success', result: 'part' }));
+    const { executor } = buildExecutor({ execute });
+    const tenant = { id: 'starter', allowed_models: ['local:classification'] };
+
+    const result = await executor.run(decision, sentences(12), { tenant });
+    expect(result.reduce.strategy).toBe('concatenate');
+    expect(execute.mock.calls.every(([, , options]) => options.chunk)).toBe(true);
+  });
+
+  test('fails when every chunk fails', async () => {
+    const { executor } = buildExecutor({ execute: jest.fn(async () => ({ status: 'error', error: 'down' })) });
+    const result = await executor.run(decision, sentences(12));
+    expect(result).toMatchObject({ status: 'error', error: 'All chunks failed' });
+    expect(result.reduce.status).toBe('skipped');
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigLoader, ConfigValidationError } = require('../utils/config-loader');
+
+const CONFIG_PATH = path.join(__dirname, '../config/router_config.json');
+const SCHEMA_PATH = path.join(__dirname, '../config/router_config.schema.json');
+
+function loadRepoConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+describe('ConfigLoader.validateReferences', () => {
+  const loader = new ConfigLoader(CONFIG_PATH, SCHEMA_PATH);
+
+  test('accepts the shipped router config', () => {
+    const config = loadRepoConfig();
+    expect(loader.validateSchema(config)).toEqual([]);
+    expect(loader.validateReferences(config)).toEqual([]);
+  });
+
+  test('reports unknown models in routing rules with their JSON pointer', () => {
+    const config = loadRepoConfig();
+    config.routing_rules.content_type_routing.text_medium.model = 'missing_model';
+    config.routing_rules.content_type_routing.text_long_standard.fallback_model = 'missing_cloud';
+
+    expect(loader.validateReferences(config)).toEqual([
+      { path: '/routing_rules/content_type_routing/text_medium/model', message: 'unknown local model "missing_model"' },
+      { path: '/routing_rules/content_type_routing/text_long_standard/fallback_model', message: 'unknown cloud model "missing_cloud"' }
+    ]);
+  });
+
+  test('reports rule conditions that do not parse', () => {
+    const config = loadRepoConfig();
+    config.routing_rules.content_type_routing.text_medium.condition = 'tokens >= AND';
+
+    const errors = loader.validateReferences(config);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].path).toBe('/routing_rules/content_type_routing/text_medium/condition');
+    expect(errors[0].message).toMatch(/^condition does not parse: /);
+  });
+
+  test('checks routes, pinned models, providers and tenants outside the routing rules', () => {
+    const config = loadRepoConfig();
+    config.scheduler.model_concurrency = { 'local:nonexistent': 1 };
+    config.model_residency.pinned = ['nonexistent'];
+    config.cloud_models.abacus_claude.provider = 'nowhere';
+    config.tenancy.default_tenant = 'nobody';
+    config.tenancy.tenants.starter.allowed_models = ['local:*', 'cloud:nonexistent'];
+
+    expect(loader.validateReferences(config).map(error => error.path)).toEqual(expect.arrayContaining([
+      '/scheduler/model_concurrency/local:nonexistent',
+      '/model_residency/pinned/0',
+      '/cloud_models/abacus_claude/provider',
+      '/tenancy/default_tenant',
+      '/tenancy/tenants/starter/allowed_models/1'
+    ]));
+  });
+
+  test('leaves wildcard tenant routes alone', () => {
+    const config = loadRepoConfig();
+    config.tenancy.tenants.starter.allowed_models = ['local:*', 'cloud:*'];
+    expect(loader.validateReferences(config)).toEqual([]);
+  });
+});
+
+describe('ConfigLoader.reload', () => {
+  let directory;
+  let configPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'router-config-'));
+    configPath = path.join(directory, 'router_config.json');
+    fs.writeFileSync(configPath, JSON.stringify(loadRepoConfig()));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps the last good config when the file fails validation', () => {
+    const loader = new ConfigLoader(configPath, SCHEMA_PATH);
+    const original = loader.get();
+
+    const broken = loadRepoConfig();
+    broken.routing_rules.fallback.cloud_model = 'missing_cloud';
+    fs.writeFileSync(configPath, JSON.stringify(broken));
+
+    const result = loader.reload();
+    expect(result.status).toBe('rejected');
+    expect(result.errors).toEqual([{ path: '/routing_rules/fallback/cloud_model', message: 'unknown cloud model "missing_cloud"' }]);
+    expect(loader.get()).toBe(original);
+  });
+
+  test('raises ConfigValidationError on first load of an invalid file', () => {
+    fs.writeFileSync(configPath, '{ not json');
+    expect(() => new ConfigLoader(configPath, SCHEMA_PATH).get()).toThrow(ConfigValidationError);
+  });
+});
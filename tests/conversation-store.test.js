@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RouterController = require('../scripts/router-controller');
+const { ConversationStore, ConversationError, validateMessages } = require('../utils/conversation-store');
+
+describe('validateMessages', () => {
+  test('keeps only role and content and requires a user message last', () => {
+    expect(validateMessages([{ role: 'system', content: 'Be brief', name: 'x' }, { role: 'user', content: 'Hi' }])).toEqual([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hi' }
+    ]);
+    expect(() => validateMessages([])).toThrow('messages must be a non-empty array');
+    expect(() => validateMessages([{ role: 'tool', content: 'x' }])).toThrow('Message 0: role must be one of system, user, assistant');
+    expect(() => validateMessages([{ role: 'user', content: '  ' }])).toThrow('Message 0: content must be a non-empty string');
+    expect(() => validateMessages([{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }])).toThrow(ConversationError);
+  });
+});
+
+describe('ConversationStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    filePath = path.join(directory, 'conversations.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('replays appended turns and deletions from the log on startup', async () => {
+    const store = new ConversationStore({}, filePath);
+    const kept = store.create('premium');
+    const removed = store.create('premium');
+    store.append(kept.id, 'premium', [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }]);
+    store.append(removed.id, 'premium', [{ role: 'user', content: 'Bye' }]);
+    expect(store.delete(removed.id, 'premium')).toBe(true);
+    await store.flush();
+    fs.appendFileSync(filePath, '{"type": "append", "session_');
+
+    const restarted = new ConversationStore({}, filePath);
+    expect(restarted.get(kept.id, 'premium').messages).toHaveLength(2);
+    expect(restarted.get(removed.id, 'premium')).toBeNull();
+    expect(restarted.getStatus().sessions).toBe(1);
+  });
+
+  test('hides sessions from other tenants and after the TTL', async () => {
+    const store = new ConversationStore({ conversations: { session_ttl_ms: 1000 } }, filePath);
+    const session = store.create('premium');
+    store.append(session.id, 'premium', [{ role: 'user', content: 'Hi' }]);
+
+    expect(store.get(session.id, 'starter')).toBeNull();
+    expect(store.delete(session.id, 'starter')).toBe(false);
+    expect(store.get(session.id, 'premium')).not.toBeNull();
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    expect(store.get(session.id, 'premium')).toBeNull();
+    await store.flush();
+  });
+
+  test('trims the oldest non-system messages and evicts the least recently used session', async () => {
+    const store = new ConversationStore({ conversations: { max_messages: 3, max_sessions: 2 } }, filePath);
+    const [first, second, third] = [store.create('t'), store.create('t'), store.create('t')];
+
+    store.append(first.id, 't', [{ role: 'system', content: 'rules' }, { role: 'user', content: 'one' }, { role: 'assistant', content: 'two' }]);
+    store.append(first.id, 't', [{ role: 'user', content: 'three' }]);
+    expect(store.get(first.id, 't').messages.map(message => message.content)).toEqual(['rules', 'two', 'three']);
+
+    store.append(second.id, 't', [{ role: 'user', content: 'x' }]);
+    store.append(first.id, 't', [{ role: 'assistant', content: 'four' }]);
+    store.append(third.id, 't', [{ role: 'user', content: 'y' }]);
+    expect(store.get(second.id, 't')).toBeNull();
+    expect(store.get(first.id, 't')).not.toBeNull();
+    await store.flush();
+  });
+});
+
+describe('RouterController conversations', () => {
+  let directory;
+  let controller;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    controller = Object.create(RouterController.prototype);
+    controller.conversations = new ConversationStore({}, path.join(directory, 'conversations.jsonl'));
+  });
+
+  afterEach(async () => {
+    await controller.conversations.flush();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('routes on the whole transcript and stores only answered turns', () => {
+    const tenant = { id: 'premium' };
+    const started = controller.prepareConversation({ content: 'What is BTC?', new_session: true }, { content: 'What is BTC?', options: {} }, tenant);
+    expect(started.options.messages).toEqual([{ role: 'user', content: 'What is BTC?' }]);
+
+    expect(controller.recordConversation(started.conversation, { status: 'error', error: 'down' })).toMatchObject({ messages: 0, updated: false });
+    const session = controller.recordConversation(started.conversation, { status: 'success', result: 'A cryptocurrency' });
+    expect(session).toEqual({ id: started.conversation.session.id, messages: 2, updated: true });
+
+    const followUp = controller.prepareConversation({ session_id: session.id, content: 'And ETH?' }, { content: 'And ETH?', options: {} }, tenant);
+    expect(followUp.content).toBe('What is BTC?\n\nA cryptocurrency\n\nAnd ETH?');
+    expect(followUp.content_type).toBe('text');
+    expect(followUp.options.messages).toHaveLength(3);
+  });
+
+  test('answers 404 for sessions of another tenant and leaves plain requests alone', () => {
+    const session = controller.conversations.create('premium');
+    controller.conversations.append(session.id, 'premium', [{ role: 'user', content: 'Hi' }]);
+    const request = { content: 'Hi', options: {} };
+
+    expect(() => controller.prepareConversation({ session_id: session.id }, request, { id: 'starter' })).toThrow(
+      expect.objectContaining({ statusCode: 404, message: `Unknown or expired session ${session.id}` })
+    );
+    expect(controller.prepareConversation({ content: 'Hi' }, request, { id: 'premium' })).toBe(request);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const { EnsembleExecutor, loadEnsembleSettings } = require('../utils/ensemble-executor');
+
+const MEMBERS = ['local:general_processing', 'local:complex_reasoning', 'cloud:abacus_claude_haiku'];
+
+function decision(overrides = {}) {
+  return {
+    route_to: 'ensemble',
+    members: MEMBERS,
+    aggregation: 'auto',
+    judge: { model: 'cloud:abacus_claude', max_input_chars: 4000 },
+    content_category: 'trading_content',
+    routing_id: 'routing-1',
+    ...overrides
+  };
+}
+
+// Answers each member from the table; the judge (or any other route) gets `judgeAnswer`
+function buildExecutor(answers, { judgeAnswer, budgetAction = 'allowed' } = {}) {
+  const dispatch = jest.fn(async (routeDecision, content) => {
+    const route = `${routeDecision.route_to}:${routeDecision.model}`;
+    if (answers[route] instanceof Error) {
+      throw answers[route];
+    }
+    if (answers[route]) {
+      return { model: routeDecision.model, estimated_cost: 0.001, ...answers[route] };
+    }
+    return { status: 'success', result: judgeAnswer, model: routeDecision.model, estimated_cost: 0.002, judged: content };
+  });
+  const router = {
+    budgetGuard: { check: jest.fn(routeDecision => ({ ...routeDecision, budget: { action: budgetAction } })) }
+  };
+  return { executor: new EnsembleExecutor(router, dispatch), dispatch, router };
+}
+
+describe('EnsembleExecutor', () => {
+  test('votes field by field on structured answers, ties going to the earlier member', async () => {
+    const { executor, dispatch } = buildExecutor({
+      'local:general_processing': { status: 'success', result: '{"signal": "buy", "asset": "BTC"}', quality_score: 0.6 },
+      'local:complex_reasoning': { status: 'success', result: '```json\n{"signal": "sell", "asset": "BTC"}\n```', quality_score: 0.8 },
+      'cloud:abacus_claude_haiku': { status: 'success', result: { signal: 'buy', asset: 'ETH' }, quality_score: 1 }
+    });
+
+    const result = await executor.run(decision(), 'Should I buy?', {});
+
+    expect(result).toMatchObject({ status: 'success', route_type: 'ensemble', result: { signal: 'buy', asset: 'BTC' } });
+    expect(result.estimated_cost).toBeCloseTo(0.003);
+    expect(result.quality_score).toBeCloseTo(0.8);
+    expect(result.ensemble.aggregation).toBe('vote');
+    expect(result.ensemble.field_votes.signal).toMatchObject({ votes: 2, voters: 3, routes: ['local:general_processing', 'cloud:abacus_claude_haiku'] });
+    expect(result.ensemble.members.find(member => member.route === 'local:general_processing').agreement).toBe(1);
+    // Voting needs no judge call
+    expect(dispatch).toHaveBeenCalledTimes(3);
+  });
+
+  test('merges free text with the judge model after the budget guard allows it', async () => {
+    const { executor, dispatch, router } = buildExecutor({
+      'local:general_processing': { status: 'success', result: 'Bitcoin looks strong' },
+      'local:complex_reasoning': { status: 'success', result: 'Bitcoin looks weak' },
+      'cloud:abacus_claude_haiku': { status: 'success', result: 'Bitcoin is range bound' }
+    }, { judgeAnswer: 'Bitcoin is mixed' });
+
+    const result = await executor.run(decision(), 'How is BTC?', { messages: [{ role: 'user', content: 'How is BTC?' }] });
+
+    expect(result.result).toBe('Bitcoin is mixed');
+    expect(result.ensemble).toMatchObject({ aggregation: 'judge', judge: { route: 'cloud:abacus_claude', cost: 0.002 } });
+    expect(router.budgetGuard.check).toHaveBeenCalledTimes(1);
+    const [judgeDecision, prompt, judgeOptions] = dispatch.mock.calls[3];
+    expect(judgeDecision).toMatchObject({ route_to: 'cloud', model: 'abacus_claude', routing_id: 'routing-1' });
+    expect(prompt).toContain('ANSWER 3:\nBitcoin is range bound');
+    expect(judgeOptions.messages).toBeUndefined();
+  });
+
+  test('falls back to the consensus pick when the judge is vetoed or off limits', async () => {
+    const answers = {
+      'local:general_processing': { status: 'success', result: 'btc up on etf inflows' },
+      'local:complex_reasoning': { status: 'success', result: 'btc up on strong etf inflows' },
+      'cloud:abacus_claude_haiku': { status: 'success', result: 'strong dollar kept markets quiet' }
+    };
+
+    const vetoed = buildExecutor(answers, { budgetAction: 'downgraded' });
+    const result = await vetoed.executor.run(decision(), 'x', {});
+    expect(result.ensemble).toMatchObject({ aggregation: 'consensus', selected: 'local:complex_reasoning' });
+    expect(vetoed.dispatch).toHaveBeenCalledTimes(3);
+
+    const localOnly = buildExecutor(answers);
+    await localOnly.executor.run(decision({ members: MEMBERS.slice(0, 2) }), 'x', { tenant: { id: 'private', local_only: true } });
+    expect(localOnly.router.budgetGuard.check).not.toHaveBeenCalled();
+    expect(localOnly.dispatch).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports partial results when some members fail, and an error when all do', async () => {
+    const partial = buildExecutor({
+      'local:general_processing': { status: 'success', result: 'answer' },
+      'local:complex_reasoning': new Error('model crashed'),
+      'cloud:abacus_claude_haiku': { status: 'error', error: 'timeout' }
+    });
+    const result = await partial.executor.run(decision(), 'x', {});
+    expect(result).toMatchObject({ status: 'partial', result: 'answer', ensemble: { aggregation: 'single' } });
+    expect(result.attempts.map(attempt => attempt.status)).toEqual(['success', 'error', 'error']);
+    expect(result.attempts[1].error).toBe('model crashed');
+
+    const failed = buildExecutor({
+      'local:general_processing': { status: 'error', error: 'down' },
+      'local:complex_reasoning': { status: 'error', error: 'down' }
+    });
+    await expect(failed.executor.run(decision({ members: MEMBERS.slice(0, 2) }), 'x', {})).resolves.toMatchObject({
+      status: 'error',
+      error: 'All ensemble members failed',
+      ensemble: { aggregation: 'none' }
+    });
+  });
+
+  test('is switched on by the workflow result aggregator unless routing_rules.ensemble says otherwise', () => {
+    const readFileSync = jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({
+      content_analysis_pipeline: { post_processors: [{ name: 'result_aggregator', config: { combine_multiple_outputs: true } }] }
+    }));
+
+    expect(loadEnsembleSettings({ routing_rules: {} })).toMatchObject({ enabled: true, aggregation: 'auto', max_models: 4 });
+    expect(loadEnsembleSettings({ routing_rules: { ensemble: { enabled: false } } }).enabled).toBe(false);
+    readFileSync.mockRestore();
+  });
+});
@@ -0,0 +1,111 @@
+const path = require('path');
+
+// The executor reads ./config like the controller does, from the repository root
+process.chdir(path.join(__dirname, '..'));
+
+const { FallbackExecutor } = require('../utils/fallback-executor');
+
+const localDecision = {
+  route_to: 'local',
+  model: 'complex_reasoning',
+  content_category: 'general_content',
+  routing_id: 'r1',
+  fallback_to_cloud: true,
+  fallback_condition: 'processing_time > 45s OR quality_score < 0.7',
+  fallback_model: 'abacus_claude'
+};
+
+function buildExecutor(results, budgetCheck = decision => ({ ...decision, budget: { action: 'allowed' } })) {
+  const dispatch = jest.fn(async decision => results[`${decision.route_to}:${decision.model}`]);
+  const router = { budgetGuard: { check: jest.fn(budgetCheck) } };
+  return { executor: new FallbackExecutor(router, dispatch), dispatch, router };
+}
+
+describe('FallbackExecutor.execute', () => {
+  test('keeps a good local answer', async () => {
+    const { executor, dispatch } = buildExecutor({
+      'local:complex_reasoning': { status: 'success', result: 'local', processing_time: 2000, quality_score: 0.9 }
+    });
+
+    const result = await executor.execute(localDecision, 'text');
+    expect(result.fallback).toEqual({ triggered: false });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to the cloud when the fallback condition is met and totals both attempts', async () => {
+    const { executor } = buildExecutor({
+      'local:complex_reasoning': { status: 'success', result: 'slow', processing_time: 50000, estimated_cost: 0 },
+      'cloud:abacus_claude': { status: 'success', result: 'cloud', processing_time: 3000, estimated_cost: 0.02 }
+    });
+
+    const result = await executor.execute(localDecision, 'text');
+    expect(result.result).toBe('cloud');
+    expect(result.fallback).toMatchObject({ triggered: true, model: 'abacus_claude', succeeded: true });
+    expect(result.fallback.reason).toBe('fallback condition met: processing_time > 45s OR quality_score < 0.7');
+    expect(result.processing_time).toBe(53000);
+    expect(result.estimated_cost).toBe(0.02);
+    expect(result.attempts.map(attempt => attempt.route)).toEqual(['local:complex_reasoning', 'cloud:abacus_claude']);
+  });
+
+  test('falls back when the local route fails, and keeps a failed cloud answer only if there is nothing better', async () => {
+    const { executor } = buildExecutor({
+      'local:complex_reasoning': { status: 'error', error: 'connection refused' },
+      'cloud:abacus_claude': { status: 'error', error: 'rate limited' }
+    });
+
+    const result = await executor.execute(localDecision, 'text');
+    expect(result.fallback).toMatchObject({ triggered: true, succeeded: false, reason: 'primary route failed: connection refused' });
+    expect(result.error).toBe('rate limited');
+  });
+
+  test('keeps the local answer when the cloud retry fails outright', async () => {
+    const { executor } = buildExecutor({
+      'local:complex_reasoning': { status: 'success', result: 'local', quality_score: 0.5 },
+      'cloud:abacus_claude': { status: 'error', error: 'timeout' }
+    });
+
+    const result = await executor.execute(localDecision, 'text');
+    expect(result.result).toBe('local');
+    expect(result.fallback).toMatchObject({ triggered: true, succeeded: false });
+  });
+
+  test('does not trip on metrics the local result does not report', async () => {
+    const { executor, dispatch } = buildExecutor({
+      'local:complex_reasoning': { status: 'success', result: 'local' }
+    });
+
+    await executor.execute(localDecision, 'text');
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips the fallback when the budget guard would change it', async () => {
+    const { executor, dispatch } = buildExecutor({
+      'local:complex_reasoning': { status: 'success', result: 'local', quality_score: 0.5 }
+    }, decision => ({ ...decision, route_to: 'local', budget: { action: 'downgraded', reason: 'daily limit' } }));
+
+    const result = await executor.execute(localDecision, 'text');
+    expect(result.fallback).toMatchObject({ triggered: false, skipped: 'budget', budget_reason: 'daily limit' });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips the fallback for tenants that may not use the fallback model', async () => {
+    const { executor, router } = buildExecutor({
+      'local:complex_reasoning': { status: 'error', error: 'down' }
+    });
+
+    const tenant = { id: 'private', local_only: true };
+    const result = await executor.execute(localDecision, 'text', { tenant });
+    expect(result.fallback).toEqual({ triggered: false, skipped: 'tenant private may not use cloud:abacus_claude' });
+    expect(router.budgetGuard.check).not.toHaveBeenCalled();
+  });
+
+  test('uses routing_rules.fallback.cloud_model when the rule names no fallback model', async () => {
+    const { executor, dispatch } = buildExecutor({
+      'local:complex_reasoning': { status: 'error', error: 'down' },
+      'cloud:abacus_claude': { status: 'success', result: 'cloud' }
+    });
+
+    await executor.execute({ ...localDecision, fallback_model: undefined }, 'text');
+    expect(dispatch.mock.calls[1][0]).toMatchObject({ route_to: 'cloud', model: 'abacus_claude' });
+  });
+});
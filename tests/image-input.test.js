@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImageInputProcessor, ImageInputError } = require('../utils/image-input');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(8)]);
+const GIF = Buffer.from('GIF89a0000');
+
+describe('ImageInputProcessor', () => {
+  let fileRoot;
+  let processor;
+
+  beforeEach(() => {
+    fileRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    fs.writeFileSync(path.join(fileRoot, 'chart.png'), PNG);
+    processor = new ImageInputProcessor({ image_input: { max_images: 2, max_image_bytes: 64, file_root: fileRoot } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(fileRoot, { recursive: true, force: true });
+  });
+
+  test('accepts base64, data URLs and file references and detects the format from the bytes', async () => {
+    const encoded = PNG.toString('base64');
+    const [plain, dataUrl] = await processor.normalize([encoded, { data: `data:image/jpeg;base64,${encoded}` }]);
+
+    expect(plain).toMatchObject({ data: encoded, format: 'png', mime_type: 'image/png', bytes: 16, source: 'base64' });
+    expect(plain.sha256).toMatch(/^[0-9a-f]{64}$/);
+    // The declared media type does not override what the bytes are
+    expect(dataUrl).toMatchObject({ format: 'png', source: 'data_url' });
+
+    await expect(processor.normalize('file://chart.png')).resolves.toEqual([
+      expect.objectContaining({ format: 'png', source: 'file', path: 'chart.png' })
+    ]);
+  });
+
+  test('refuses file references outside file_root', async () => {
+    await expect(processor.normalize({ path: '../etc/passwd' })).rejects.toThrow(/Image 0: file reference \.\.\/etc\/passwd is outside/);
+    await expect(processor.normalize({ path: 'missing.png' })).rejects.toThrow('Image 0: file reference missing.png cannot be read');
+  });
+
+  test('enforces the image count, size and format limits', async () => {
+    const encoded = PNG.toString('base64');
+
+    await expect(processor.normalize([encoded, encoded, encoded])).rejects.toThrow('At most 2 images are accepted per request, got 3');
+    await expect(processor.normalize(Buffer.concat([PNG, Buffer.alloc(64)]).toString('base64'))).rejects.toThrow('image exceeds the 64 byte limit');
+    await expect(processor.normalize(GIF.toString('base64'))).rejects.toThrow('unsupported image format gif; allowed: png, jpeg, webp');
+    await expect(processor.normalize(Buffer.from('plain text').toString('base64'))).rejects.toThrow('unsupported image format;');
+  });
+
+  test('rejects malformed input with ImageInputError and names the offending image', async () => {
+    const encoded = PNG.toString('base64');
+
+    await expect(processor.normalize([encoded, 'not base64!'])).rejects.toThrow('Image 1: image data is not valid base64');
+    await expect(processor.normalize('data:text/plain;base64,aGk=')).rejects.toThrow('data URL has non-image media type text/plain');
+    await expect(processor.normalize('data:image/png,raw')).rejects.toThrow('only base64-encoded data URLs are supported');
+    await expect(processor.normalize(42)).rejects.toBeInstanceOf(ImageInputError);
+  });
+});
@@ -0,0 +1,92 @@
+const { LlmClassifier } = require('../utils/llm-classifier');
+
+const LABELS = { categories: ['trading_content'], urgency: 'high', complexity: 0.7 };
+
+function buildClassifier(settings = {}, backend = jest.fn(async () => ({ status: 'success', result: JSON.stringify(LABELS) }))) {
+  const classifier = new LlmClassifier({
+    routing_rules: { llm_classification: { enabled: true, model: 'classification', timeout_ms: 50, ...settings } }
+  });
+  classifier.setBackend(backend);
+  return { classifier, backend };
+}
+
+describe('LlmClassifier.classify', () => {
+  test('does nothing until enabled and given a backend', async () => {
+    const classifier = new LlmClassifier({ routing_rules: { llm_classification: { enabled: true, model: 'classification' } } });
+    await expect(classifier.classify('text', 'text')).resolves.toBeNull();
+  });
+
+  test('asks the classification model once and answers repeats from the cache', async () => {
+    const { classifier, backend } = buildClassifier();
+
+    await expect(classifier.classify('BTC breaks out', 'text')).resolves.toMatchObject({ source: 'llm', labels: LABELS });
+    await expect(classifier.classify('BTC breaks out', 'text')).resolves.toMatchObject({ source: 'cache', labels: LABELS });
+    expect(backend).toHaveBeenCalledTimes(1);
+    expect(backend.mock.calls[0][2]).toEqual({ format: 'json', max_tokens: 100 });
+    expect(classifier.getStats()).toMatchObject({ llm: 1, cache: 1, cache_entries: 1 });
+  });
+
+  test('shares one model call between identical requests in flight', async () => {
+    const { classifier, backend } = buildClassifier();
+    await Promise.all([classifier.classify('same', 'text'), classifier.classify('same', 'text')]);
+    expect(backend).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to regex labels when the model is too slow, and caches the late answer', async () => {
+    let answer;
+    const backend = jest.fn(() => new Promise(resolve => { answer = resolve; }));
+    const { classifier } = buildClassifier({ timeout_ms: 10 }, backend);
+
+    await expect(classifier.classify('slow', 'text')).resolves.toMatchObject({ source: 'regex', labels: null, reason: 'timed out after 10ms' });
+    answer({ status: 'success', result: JSON.stringify(LABELS) });
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(classifier.classify('slow', 'text')).resolves.toMatchObject({ source: 'cache' });
+    expect(classifier.getStats().timeout).toBe(1);
+  });
+
+  test('falls back to regex labels on unusable answers', async () => {
+    const answers = ['no json here', '{"categories": ["poetry"], "urgency": "low", "complexity": 0.1}', '{"categories": ["trading_content"], "urgency": "urgent", "complexity": 0.1}'];
+    const backend = jest.fn(async () => ({ status: 'success', result: answers.shift() }));
+    const { classifier } = buildClassifier({}, backend);
+
+    await expect(classifier.classify('a', 'text')).resolves.toMatchObject({ source: 'regex', reason: 'classification model returned no JSON object' });
+    await expect(classifier.classify('b', 'text')).resolves.toMatchObject({ reason: 'no known category in ["poetry"]' });
+    await expect(classifier.classify('c', 'text')).resolves.toMatchObject({ reason: 'unknown urgency "urgent"' });
+    expect(classifier.getStats().error).toBe(3);
+  });
+
+  test('clamps complexity into 0..1 and drops unknown categories', () => {
+    const { classifier } = buildClassifier();
+    expect(classifier.parseLabels('Sure: {"categories": ["poetry", "technical_content"], "urgency": "low", "complexity": 3}')).toEqual({
+      categories: ['technical_content'],
+      urgency: 'low',
+      complexity: 1
+    });
+  });
+
+  test('cachedOnly never calls the model, caches nothing and counts nothing', async () => {
+    const { classifier, backend } = buildClassifier();
+
+    await expect(classifier.classify('fresh', 'text', { cachedOnly: true })).resolves.toMatchObject({ source: 'regex', labels: null });
+    expect(backend).not.toHaveBeenCalled();
+    expect(classifier.getStats()).toMatchObject({ llm: 0, cache: 0, timeout: 0, error: 0, cache_entries: 0 });
+
+    await classifier.classify('fresh', 'text');
+    await expect(classifier.classify('fresh', 'text', { cachedOnly: true })).resolves.toMatchObject({ source: 'cache', labels: LABELS });
+    expect(classifier.getStats().cache).toBe(0);
+  });
+
+  test('evicts the least recently used entry beyond cache_size', async () => {
+    const { classifier, backend } = buildClassifier({ cache_size: 2 });
+    await classifier.classify('one', 'text');
+    await classifier.classify('two', 'text');
+    await classifier.classify('one', 'text');
+    await classifier.classify('three', 'text');
+
+    await classifier.classify('one', 'text');
+    expect(backend).toHaveBeenCalledTimes(3);
+    await classifier.classify('two', 'text');
+    expect(backend).toHaveBeenCalledTimes(4);
+  });
+});
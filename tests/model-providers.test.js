@@ -0,0 +1,164 @@
+const axios = require('axios');
+const { PassThrough } = require('stream');
+const {
+  ProviderRegistry,
+  ProviderError,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  OllamaProvider,
+  LlamaCppProvider
+} = require('../utils/model-providers');
+
+function streamOf(text) {
+  const stream = new PassThrough();
+  stream.end(text);
+  return stream;
+}
+
+function sse(events) {
+  return events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+}
+
+describe('ProviderRegistry', () => {
+  test('builds named providers from config and adapter types by name', () => {
+    const registry = new ProviderRegistry({
+      providers: { local_llama: { type: 'llamacpp', base_url: 'http://gpu-box:8081' } }
+    });
+
+    const named = registry.get('local_llama');
+    expect(named).toBeInstanceOf(LlamaCppProvider);
+    expect(named.baseUrl).toBe('http://gpu-box:8081');
+    expect(registry.get('local_llama')).toBe(named);
+    expect(registry.get('anthropic')).toBeInstanceOf(AnthropicProvider);
+    expect(() => registry.get('nowhere')).toThrow('Unknown provider "nowhere"');
+  });
+
+  test('reports providers that need a key they do not have', () => {
+    const registry = new ProviderRegistry({ providers: { keyed: { type: 'openai', api_key_env: 'TEST_MISSING_PROVIDER_KEY' } } });
+    expect(registry.getStatus(['keyed', 'ollama', 'nowhere'])).toEqual({
+      keyed: { type: 'openai', base_url: 'https://api.openai.com/v1', configured: false },
+      ollama: expect.objectContaining({ type: 'ollama', configured: true }),
+      nowhere: { configured: false, error: 'Unknown provider "nowhere"' }
+    });
+  });
+});
+
+describe('provider adapters', () => {
+  beforeAll(() => {
+    process.env.TEST_PROVIDER_KEY = 'secret';
+  });
+
+  afterAll(() => {
+    delete process.env.TEST_PROVIDER_KEY;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('OpenAI-compatible: sends chat messages with images on the latest one', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { choices: [{ message: { content: 'A chart' }, finish_reason: 'stop' }], usage: { prompt_tokens: 12, completion_tokens: 2 } }
+    });
+    const provider = new OpenAICompatibleProvider('openai', { api_key_env: 'TEST_PROVIDER_KEY' });
+
+    const result = await provider.complete({
+      model: 'gpt-4o',
+      messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'What is this?' }],
+      images: [{ mime_type: 'image/png', data: 'AAAA' }]
+    });
+
+    expect(result).toEqual({ content: 'A chart', finish_reason: 'stop', usage: { input_tokens: 12, output_tokens: 2, source: 'provider' } });
+    const [url, body, options] = post.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(options.headers.Authorization).toBe('Bearer secret');
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'Be brief' });
+    expect(body.messages[1].content[1]).toEqual({ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } });
+  });
+
+  test('OpenAI-compatible: streams SSE deltas and the trailing usage chunk', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: streamOf(sse([
+        { choices: [{ delta: { content: 'Hel' } }] },
+        { choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } },
+        '[DONE]'
+      ]))
+    });
+    const provider = new OpenAICompatibleProvider('openai', { api_key_env: 'TEST_PROVIDER_KEY' });
+    const tokens = [];
+
+    const result = await provider.complete({ model: 'gpt-4o', prompt: 'Hi', onToken: token => tokens.push(token) });
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(result).toEqual({ content: 'Hello', finish_reason: 'stop', usage: { input_tokens: 3, output_tokens: 2, source: 'provider' } });
+  });
+
+  test('Anthropic: moves system prompts out of the messages and maps stop reasons', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { content: [{ type: 'text', text: 'Done' }], stop_reason: 'max_tokens', usage: { input_tokens: 5, output_tokens: 1 } }
+    });
+    const provider = new AnthropicProvider('anthropic', { api_key_env: 'TEST_PROVIDER_KEY' });
+
+    const result = await provider.complete({
+      model: 'claude',
+      messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }]
+    });
+
+    expect(result.finish_reason).toBe('length');
+    const [, body, options] = post.mock.calls[0];
+    expect(body.system).toBe('Be brief');
+    expect(body.messages).toEqual([{ role: 'user', content: 'Hi' }]);
+    expect(options.headers['x-api-key']).toBe('secret');
+  });
+
+  test('Ollama: streams NDJSON and fails a stream that ends early', async () => {
+    const lines = [
+      { message: { content: 'Hi' }, done: false },
+      { message: { content: ' there' }, done: true, done_reason: 'stop', prompt_eval_count: 4, eval_count: 2 }
+    ];
+    jest.spyOn(axios, 'post')
+      .mockResolvedValueOnce({ data: streamOf(lines.map(line => JSON.stringify(line)).join('\n')) })
+      .mockResolvedValueOnce({ data: streamOf(JSON.stringify(lines[0])) });
+    const provider = new OllamaProvider('ollama', { base_url: 'http://ollama:11434' });
+    const request = { model: 'mistral:7b', messages: [{ role: 'user', content: 'Hi' }], onToken: () => {} };
+
+    await expect(provider.complete(request)).resolves.toEqual({
+      content: 'Hi there',
+      finish_reason: 'stop',
+      usage: { input_tokens: 4, output_tokens: 2, source: 'provider' }
+    });
+    await expect(provider.complete(request)).rejects.toThrow('Ollama stream ended before the reply was complete');
+  });
+
+  test('llama.cpp: renders chat messages into a single prompt and refuses images', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { content: 'Sure', stopped_limit: false } });
+    const provider = new LlamaCppProvider('llamacpp', {});
+
+    await provider.complete({ model: 'any', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(post.mock.calls[0][1].prompt).toBe('User: Hi\n\nAssistant:');
+    await expect(provider.complete({ model: 'any', prompt: 'Hi', images: [{ data: 'AAAA' }] })).rejects.toThrow(ProviderError);
+  });
+
+  test('turns HTTP failures into ProviderErrors with status and Retry-After', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 429, data: { error: { message: 'Slow down' } }, headers: { 'retry-after': '2' } }
+    }));
+    const provider = new AnthropicProvider('anthropic', { api_key_env: 'TEST_PROVIDER_KEY' });
+
+    await expect(provider.complete({ model: 'claude', prompt: 'Hi' })).rejects.toMatchObject({
+      name: 'ProviderError',
+      message: 'Anthropic API error: 429 - Slow down',
+      status: 429,
+      retryAfter: '2',
+      provider: 'anthropic'
+    });
+  });
+
+  test('refuses to call a provider whose key is not set', async () => {
+    const post = jest.spyOn(axios, 'post');
+    const provider = new OpenAICompatibleProvider('openai', { api_key_env: 'TEST_MISSING_PROVIDER_KEY' });
+
+    await expect(provider.complete({ model: 'gpt-4o', prompt: 'Hi' })).rejects.toThrow('TEST_MISSING_PROVIDER_KEY environment variable not set');
+    expect(post).not.toHaveBeenCalled();
+  });
+});
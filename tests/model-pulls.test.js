@@ -0,0 +1,140 @@
+const axios = require('axios');
+const { PassThrough } = require('stream');
+const { ModelPullJobs, PullJobError } = require('../utils/model-pulls');
+
+const SUCCESS = [
+  { status: 'pulling manifest' },
+  { status: 'pulling sha256:aaa', digest: 'sha256:aaa', total: 100, completed: 25 },
+  { status: 'pulling sha256:bbb', digest: 'sha256:bbb', total: 300, completed: 300 },
+  { status: 'pulling sha256:aaa', digest: 'sha256:aaa', total: 100, completed: 100 },
+  { status: 'success' }
+];
+
+function ndjson(updates) {
+  return updates.map(update => JSON.stringify(update)).join('\n') + '\n';
+}
+
+// Stands in for Ollama's streaming /api/pull. Models named in `hang` keep their stream open until
+// the request is aborted; the rest get `script(model)` back.
+function fakePull({ script = () => SUCCESS, hang = [] } = {}) {
+  const requests = [];
+  jest.spyOn(axios, 'post').mockImplementation(async (url, body, options) => {
+    requests.push(body.name);
+    const stream = new PassThrough();
+    if (hang.includes(body.name)) {
+      stream.write(ndjson([{ status: 'pulling sha256:ccc', digest: 'sha256:ccc', total: 200, completed: 50 }]));
+      options.signal.addEventListener('abort', () => stream.destroy(new Error('canceled')));
+    } else {
+      stream.end(ndjson(script(body.name)));
+    }
+    return { data: stream };
+  });
+  return requests;
+}
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ModelPullJobs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tracks byte progress across layers until the pull succeeds', async () => {
+    fakePull();
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434');
+
+    const job = pulls.start('mistral:7b');
+    expect(job.status).toBe('queued');
+
+    const finished = await pulls.wait(job.id);
+    expect(finished).toMatchObject({ status: 'succeeded', phase: 'success', bytes_completed: 400, bytes_total: 400, percent: 100, runs: 1 });
+  });
+
+  test('returns the active job instead of pulling the same model twice', async () => {
+    const requests = fakePull();
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434');
+
+    const first = pulls.start('mistral:7b');
+    expect(pulls.start('mistral:7b')).toBe(first);
+    await pulls.wait(first.id);
+    expect(requests).toEqual(['mistral:7b']);
+  });
+
+  test('fails the job on an Ollama error line or a stream without success', async () => {
+    fakePull({
+      script: model => model === 'missing:1b'
+        ? [{ status: 'pulling manifest' }, { error: 'pull model manifest: file does not exist' }]
+        : [{ status: 'pulling manifest' }]
+    });
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434');
+
+    const missing = await pulls.wait(pulls.start('missing:1b').id);
+    expect(missing.status).toBe('failed');
+    expect(missing.error).toBe('Ollama pull error: pull model manifest: file does not exist');
+
+    const cut = await pulls.wait(pulls.start('mistral:7b').id);
+    expect(cut.error).toBe('Ollama pull of mistral:7b ended with status "pulling manifest"');
+  });
+
+  test('cancels a running pull, cancels queued ones without downloading, and resumes them', async () => {
+    const requests = fakePull({ hang: ['phi3:14b'] });
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434');
+
+    const running = pulls.start('phi3:14b');
+    const queued = pulls.start('mistral:7b');
+    await flush();
+    expect(running).toMatchObject({ status: 'running', bytes_completed: 50, percent: 25 });
+
+    expect(pulls.cancel(queued.id).status).toBe('cancelled');
+    pulls.cancel(running.id);
+    await pulls.wait(running.id);
+    await pulls.wait(queued.id);
+    expect(running.status).toBe('cancelled');
+    expect(requests).toEqual(['phi3:14b']);
+
+    pulls.resume(queued.id);
+    await expect(pulls.wait(queued.id)).resolves.toMatchObject({ status: 'succeeded', runs: 1 });
+    expect(requests).toEqual(['phi3:14b', 'mistral:7b']);
+  });
+
+  test('rejects cancel and resume that do not fit the job state', async () => {
+    fakePull();
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434');
+    const job = pulls.start('mistral:7b');
+
+    expect(() => pulls.resume(job.id)).toThrow(PullJobError);
+    await pulls.wait(job.id);
+    expect(() => pulls.cancel(job.id)).toThrow('Pull job is already succeeded');
+    expect(() => pulls.cancel('nope')).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  test('keeps running queued jobs after a finish listener throws', async () => {
+    fakePull();
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434');
+    const finished = [];
+    pulls.onFinish(() => { throw new Error('listener broke'); });
+    pulls.onFinish(job => finished.push(job.model));
+
+    const first = pulls.start('mistral:7b');
+    const second = pulls.start('qwen2:7b');
+
+    await expect(pulls.wait(second.id)).resolves.toMatchObject({ status: 'succeeded' });
+    expect(first.status).toBe('succeeded');
+    expect(finished).toEqual(['mistral:7b', 'qwen2:7b']);
+  });
+
+  test('drops the oldest finished jobs beyond maxJobs', async () => {
+    fakePull();
+    const pulls = new ModelPullJobs(() => 'http://ollama:11434', { maxJobs: 2 });
+
+    const oldest = pulls.start('a:1b');
+    await pulls.wait(oldest.id);
+    await pulls.wait(pulls.start('b:1b').id);
+    pulls.start('c:1b');
+
+    expect(pulls.get(oldest.id)).toBeNull();
+    expect(pulls.list().map(job => job.model)).toEqual(['c:1b', 'b:1b']);
+  });
+});
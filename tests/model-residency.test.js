@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { ModelResidency } = require('../utils/model-residency');
+
+const GB = 1024 ** 3;
+const CATALOG_GB = { 'llama3.2:3b': 2, 'mistral:7b': 4, 'qwen2:7b': 3, 'phi3:14b': 4 };
+
+function buildResidency(memoryBudgetGb, residency = {}) {
+  return new ModelResidency({
+    local_models: {
+      classification: { model: 'llama3.2:3b' },
+      general_processing: { model: 'mistral:7b' }
+    },
+    model_residency: {
+      memory_budget_gb: memoryBudgetGb,
+      pinned: ['classification'],
+      keep_alive: '10m',
+      refresh_interval_ms: 0,
+      ...residency
+    }
+  }, () => 'http://ollama:11434');
+}
+
+// A stand-in for Ollama's /api/ps, /api/tags and /api/generate that tracks which models are loaded
+function fakeOllama(loaded) {
+  const resident = new Set(loaded);
+  const generateCalls = [];
+  const describe = name => ({ name, size: CATALOG_GB[name] * GB, size_vram: CATALOG_GB[name] * GB });
+
+  jest.spyOn(axios, 'get').mockImplementation(async url => {
+    if (url.endsWith('/api/ps')) {
+      return { data: { models: [...resident].map(describe) } };
+    }
+    if (url.endsWith('/api/tags')) {
+      return { data: { models: Object.keys(CATALOG_GB).map(name => ({ name, size: CATALOG_GB[name] * GB })) } };
+    }
+    throw new Error(`unexpected GET ${url}`);
+  });
+  jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+    generateCalls.push(body);
+    if (body.keep_alive === 0) {
+      resident.delete(body.model);
+    } else {
+      resident.add(body.model);
+    }
+    return { data: {} };
+  });
+
+  return { resident, generateCalls };
+}
+
+describe('ModelResidency', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evicts least recently used models until the new one fits the budget', async () => {
+    const ollama = fakeOllama(['llama3.2:3b', 'mistral:7b', 'qwen2:7b']);
+    const residency = buildResidency(10);
+    residency.lastUsed.set('mistral:7b', 1000);
+    residency.lastUsed.set('qwen2:7b', 2000);
+
+    const result = await residency.load('phi3:14b');
+
+    expect(result).toEqual({ status: 'loaded', model: 'phi3:14b', evicted: ['mistral:7b'] });
+    expect([...ollama.resident].sort()).toEqual(['llama3.2:3b', 'phi3:14b', 'qwen2:7b']);
+    expect(residency.getUsedMemory()).toBe(9 * GB);
+  });
+
+  test('never evicts pinned models or models with requests in flight', async () => {
+    const ollama = fakeOllama(['llama3.2:3b', 'mistral:7b']);
+    const residency = buildResidency(6);
+
+    let finishRequest;
+    const request = residency.use('mistral:7b', () => new Promise(resolve => { finishRequest = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const result = await residency.load('qwen2:7b');
+    finishRequest('done');
+
+    expect(result.evicted).toEqual([]);
+    expect(ollama.resident.has('mistral:7b')).toBe(true);
+    expect(ollama.resident.has('llama3.2:3b')).toBe(true);
+    await expect(request).resolves.toBe('done');
+    expect(residency.inFlight.get('mistral:7b')).toBe(0);
+  });
+
+  test('evicts nothing without a memory budget', async () => {
+    fakeOllama(['mistral:7b', 'qwen2:7b']);
+    const residency = buildResidency(0);
+
+    const result = await residency.load('phi3:14b');
+    expect(result.evicted).toEqual([]);
+  });
+
+  test('does not reload a resident model', async () => {
+    const ollama = fakeOllama(['mistral:7b']);
+    const residency = buildResidency(10);
+
+    await expect(residency.load('mistral:7b')).resolves.toEqual({ status: 'already_loaded', model: 'mistral:7b' });
+    expect(ollama.generateCalls).toEqual([]);
+  });
+
+  test('loads pinned models to stay resident and others with the configured keep_alive', async () => {
+    const ollama = fakeOllama([]);
+    const residency = buildResidency(10);
+
+    await residency.load('llama3.2:3b');
+    await residency.load('mistral:7b');
+
+    expect(ollama.generateCalls).toEqual([
+      { model: 'llama3.2:3b', keep_alive: -1 },
+      { model: 'mistral:7b', keep_alive: '10m' }
+    ]);
+  });
+
+  test('refuses to unload a pinned model', async () => {
+    const ollama = fakeOllama(['llama3.2:3b', 'mistral:7b']);
+    const residency = buildResidency(10);
+
+    await expect(residency.unload('llama3.2:3b')).resolves.toEqual({ status: 'pinned', model: 'llama3.2:3b' });
+    await expect(residency.unload('mistral:7b')).resolves.toEqual({ status: 'unloaded', model: 'mistral:7b' });
+    expect([...ollama.resident]).toEqual(['llama3.2:3b']);
+  });
+
+  test('does not ask Ollama to unload a model that is not resident', async () => {
+    const ollama = fakeOllama(['llama3.2:3b']);
+    const residency = buildResidency(10);
+
+    await expect(residency.unload('qwen2:7b')).resolves.toEqual({ status: 'not_loaded', model: 'qwen2:7b' });
+    expect(ollama.generateCalls).toEqual([]);
+  });
+});
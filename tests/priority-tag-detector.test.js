@@ -0,0 +1,81 @@
+const { PriorityTagDetector } = require('../utils/priority-tag-detector');
+const { extractUrlFilterTags, containsWord } = require('../utils/rule-engine');
+
+const config = {
+  priority_tags: {
+    high_value_tickers: {
+      tags: ['bitcoin', 'btc', 'tesla'],
+      patterns: ['\\b(bitcoin|btc)\\b'],
+      url_patterns: ['filters\\[tag\\]=(Bitcoin|Tesla)'],
+      priority_multiplier: 2.5,
+      force_advanced_analysis: true,
+      advanced_analysis_model: 'abacus_gpt4o'
+    },
+    trading_indicators: {
+      tags: ['arbitrage', 'strategic bitcoin reserve'],
+      priority_multiplier: 1.8
+    }
+  },
+  url_analysis: {
+    tag_patterns: ['filters\\[tag\\]=([^&\\s]+)']
+  }
+};
+
+describe('PriorityTagDetector.detect', () => {
+  const detector = new PriorityTagDetector(config);
+
+  test('finds nothing in unrelated content', () => {
+    expect(detector.detect('A recipe for banana bread')).toEqual({
+      has_priority_tags: false,
+      matched_groups: [],
+      tags: [],
+      priority_multiplier: 1,
+      force_advanced_analysis: false,
+      advanced_analysis_model: undefined
+    });
+  });
+
+  test('matches tags as whole words in the text', () => {
+    const result = detector.detect('BTC broke out while the subtcontract stalled');
+    expect(result.tags).toEqual(['btc']);
+    expect(result.matched_groups[0]).toMatchObject({ group: 'high_value_tickers', sources: ['text'] });
+    expect(detector.detect('subtcontract').has_priority_tags).toBe(false);
+  });
+
+  test('reads tags from the source URL and from the caller', () => {
+    const fromUrl = detector.detect('no tags here', { source_url: 'https://patreon.com/posts?filters%5Btag%5D=Tesla' });
+    expect(fromUrl.tags).toEqual(['tesla']);
+    expect(fromUrl.matched_groups[0].sources).toEqual(['url']);
+
+    const fromCaller = detector.detect('no tags here', { tags: ['Arbitrage'] });
+    expect(fromCaller.matched_groups).toEqual([expect.objectContaining({ group: 'trading_indicators', sources: ['caller'] })]);
+  });
+
+  test('takes the highest multiplier and the forcing group across matches', () => {
+    const result = detector.detect('Arbitrage between bitcoin venues');
+    expect(result.matched_groups.map(group => group.group)).toEqual(['high_value_tickers', 'trading_indicators']);
+    expect(result.priority_multiplier).toBe(2.5);
+    expect(result.force_advanced_analysis).toBe(true);
+    expect(result.advanced_analysis_model).toBe('abacus_gpt4o');
+  });
+
+  test('skips invalid patterns instead of failing', () => {
+    const broken = new PriorityTagDetector({ priority_tags: { bad: { tags: ['eth'], patterns: ['(unclosed'] } } });
+    expect(broken.detect('eth gas fees').tags).toEqual(['eth']);
+  });
+});
+
+describe('shared text helpers', () => {
+  test('extractUrlFilterTags reads every filters[tag] parameter', () => {
+    expect(extractUrlFilterTags('https://x.com/?filters[tag]=Strategic+Bitcoin+Reserve&filters[tag]=TSLA'))
+      .toEqual(['strategic bitcoin reserve', 'tsla']);
+    expect(extractUrlFilterTags(undefined)).toEqual([]);
+    expect(extractUrlFilterTags('https://x.com/?tag=eth', [/tag=([^&\s]+)/gi])).toEqual(['eth']);
+  });
+
+  test('containsWord matches whole words only', () => {
+    expect(containsWord('Buy BTC now', 'btc')).toBe(true);
+    expect(containsWord('subtcontract', 'btc')).toBe(false);
+    expect(containsWord('the strategic bitcoin reserve', 'bitcoin reserve')).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+const { ProviderResilience, CircuitBreaker, CircuitOpenError } = require('../utils/provider-resilience');
+
+function buildResilience({ retry = {}, circuit_breaker = {} } = {}) {
+  return new ProviderResilience({
+    resilience: {
+      retry: { max_attempts: 3, base_delay_ms: 0, ...retry },
+      circuit_breaker: { failure_threshold: 2, window_ms: 60000, open_ms: 30000, ...circuit_breaker }
+    }
+  });
+}
+
+function httpError(status, retryAfter) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+function connectionError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+// Fails with the given errors in order, then succeeds
+function flakyProvider(...errors) {
+  return {
+    name: 'abacus',
+    complete: jest.fn(async request => {
+      const error = errors.shift();
+      if (error) {
+        throw error;
+      }
+      return { text: `answer from ${request.model}` };
+    })
+  };
+}
+
+describe('ProviderResilience.complete', () => {
+  test('retries retryable failures and reports how many retries it took', async () => {
+    const provider = flakyProvider(httpError(503), connectionError('ECONNRESET'));
+    const result = await buildResilience({ circuit_breaker: { failure_threshold: 5 } }).complete(provider, { model: 'gpt-4o' });
+
+    expect(result).toEqual({ text: 'answer from gpt-4o', retries: 2 });
+    expect(provider.complete).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry requests the provider rejected', async () => {
+    const provider = flakyProvider(httpError(400));
+    await expect(buildResilience().complete(provider, { model: 'gpt-4o' })).rejects.toThrow('HTTP 400');
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry a refused connection, but counts it against the provider', async () => {
+    const resilience = buildResilience({ circuit_breaker: { failure_threshold: 1 } });
+    const provider = flakyProvider(connectionError('ECONNREFUSED'));
+
+    await expect(resilience.complete(provider, { model: 'gpt-4o' })).rejects.toThrow('ECONNREFUSED');
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+    expect(resilience.isAvailable('abacus', 'claude')).toBe(false);
+  });
+
+  test('gives up after max_attempts', async () => {
+    const provider = flakyProvider(httpError(500), httpError(500), httpError(500), httpError(500));
+    const resilience = buildResilience({ circuit_breaker: { enabled: false } });
+
+    await expect(resilience.complete(provider, { model: 'gpt-4o' })).rejects.toThrow('HTTP 500');
+    expect(provider.complete).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not wait out a Retry-After longer than max_retry_after_ms', async () => {
+    const provider = flakyProvider(httpError(429, '120'));
+    await expect(buildResilience().complete(provider, { model: 'gpt-4o' })).rejects.toThrow('HTTP 429');
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops retrying a stream once tokens have been forwarded', async () => {
+    const provider = {
+      name: 'abacus',
+      complete: jest.fn(async request => {
+        request.onToken('partial');
+        throw httpError(503);
+      })
+    };
+    const tokens = [];
+
+    await expect(buildResilience().complete(provider, { model: 'gpt-4o', onToken: token => tokens.push(token) }))
+      .rejects.toThrow('HTTP 503');
+    expect(tokens).toEqual(['partial']);
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('opens the model breaker on HTTP failures and fails fast while it is open', async () => {
+    const resilience = buildResilience({ retry: { max_attempts: 1 } });
+    const provider = flakyProvider(httpError(502), httpError(502));
+
+    await expect(resilience.complete(provider, { model: 'gpt-4o' })).rejects.toThrow('HTTP 502');
+    await expect(resilience.complete(provider, { model: 'gpt-4o' })).rejects.toThrow('HTTP 502');
+    await expect(resilience.complete(provider, { model: 'gpt-4o' })).rejects.toThrow(CircuitOpenError);
+
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+    expect(resilience.isAvailable('abacus', 'gpt-4o')).toBe(false);
+    // Only that model is out; the provider's other models still take requests
+    expect(resilience.isAvailable('abacus', 'claude')).toBe(true);
+    expect(resilience.getStatus().breakers['abacus:gpt-4o']).toMatchObject({ state: 'open', recent_failures: 2 });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  const settings = { failure_threshold: 2, window_ms: 1000, open_ms: 5000 };
+
+  test('only counts failures inside the window', () => {
+    const breaker = new CircuitBreaker('abacus', settings);
+    expect(breaker.recordFailure(new Error('a'), 0)).toBe(false);
+    expect(breaker.recordFailure(new Error('b'), 2000)).toBe(false);
+    expect(breaker.recordFailure(new Error('c'), 2500)).toBe(true);
+    expect(breaker.state).toBe('open');
+  });
+
+  test('lets a single trial through after open_ms and closes or reopens on its outcome', () => {
+    const breaker = new CircuitBreaker('abacus', settings);
+    breaker.recordFailure(new Error('a'), 0);
+    breaker.recordFailure(new Error('b'), 0);
+
+    expect(breaker.canRequest(4999)).toBe(false);
+    expect(breaker.canRequest(5000)).toBe(true);
+
+    breaker.acquire();
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest(5000)).toBe(false);
+
+    expect(breaker.recordFailure(new Error('trial failed'), 5001)).toBe(true);
+    expect(breaker.state).toBe('open');
+
+    breaker.acquire();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
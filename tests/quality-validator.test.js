@@ -0,0 +1,111 @@
+const fs = require('fs');
+const { QualityValidator } = require('../utils/quality-validator');
+
+const LADDER = ['local:general_processing', 'local:complex_reasoning', 'cloud:abacus_claude_haiku', 'cloud:abacus_claude'];
+
+// The quality_validator post-processor settings come from workflow_config.json; tests supply their own
+function buildValidator(run, { budgetCheck, maxRetries = 2, validator = {} } = {}) {
+  const router = {
+    config: { routing_rules: { quality_validation: { enabled: true, max_retries: maxRetries, model_ladder: LADDER } } },
+    configLoader: { onChange: () => {} },
+    budgetGuard: { check: jest.fn(budgetCheck || (decision => ({ ...decision, budget: { action: 'allowed' } }))) }
+  };
+  const readFile = jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({
+    content_analysis_pipeline: {
+      post_processors: [{
+        name: 'quality_validator',
+        config: { min_quality_score: 0.7, priority_content_min_score: 0.85, retry_on_low_quality: true, upgrade_model_on_failure: true, ...validator }
+      }]
+    }
+  }));
+  try {
+    return new QualityValidator(router, run);
+  } finally {
+    readFile.mockRestore();
+  }
+}
+
+function scored(score, extra = {}) {
+  return { status: 'success', result: 'answer', quality_score: score, quality: { score, threshold: 0.7, passed: score >= 0.7, issues: [] }, ...extra };
+}
+
+const localDecision = { route_to: 'local', model: 'general_processing', content_category: 'general_content', routing_id: 'r1' };
+
+describe('QualityValidator.score', () => {
+  const validator = buildValidator(jest.fn());
+
+  test('passes a complete answer', async () => {
+    const result = await validator.score({ status: 'success', result: 'Paris is the capital of France.' }, 'Capital of France?', localDecision);
+    expect(result.quality).toMatchObject({ score: 1, threshold: 0.7, passed: true, issues: [] });
+  });
+
+  test('flags refusals, truncation and echoed input', async () => {
+    const refusal = await validator.score({ status: 'success', result: "I'm sorry, I cannot help with that." }, 'question', localDecision);
+    expect(refusal.quality.issues).toContain('refusal');
+    expect(refusal.quality.passed).toBe(false);
+
+    const truncated = await validator.score({ status: 'success', result: 'Partial', finish_reason: 'length' }, 'q', localDecision);
+    expect(truncated.quality.issues).toContain('truncated');
+
+    const echoed = await validator.score({ status: 'success', result: 'same text' }, 'same text', localDecision);
+    expect(echoed.quality.issues).toContain('echoed_input');
+  });
+
+  test('holds priority-tagged content to the stricter threshold', async () => {
+    const truncated = { status: 'success', result: 'Partial', finish_reason: 'length' };
+    const standard = await validator.score(truncated, 'q', localDecision);
+    const priority = await validator.score(truncated, 'q', { ...localDecision, content_category: 'priority_tagged_content' });
+
+    expect(standard.quality.passed).toBe(true);
+    expect(priority.quality).toMatchObject({ threshold: 0.85, passed: false });
+  });
+});
+
+describe('QualityValidator.execute', () => {
+  test('returns a passing first answer without retrying', async () => {
+    const run = jest.fn().mockResolvedValue(scored(0.9));
+    const result = await buildValidator(run).execute(localDecision, 'q');
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(result.quality_escalation).toBeUndefined();
+  });
+
+  test('climbs the model ladder and keeps the best answer', async () => {
+    const run = jest.fn()
+      .mockResolvedValueOnce(scored(0.4, { estimated_cost: 0 }))
+      .mockResolvedValueOnce(scored(0.6, { estimated_cost: 0 }))
+      .mockResolvedValueOnce(scored(0.5, { estimated_cost: 0.01 }));
+    const result = await buildValidator(run).execute(localDecision, 'q');
+
+    expect(run.mock.calls.map(([decision]) => `${decision.route_to}:${decision.model}`)).toEqual([
+      'local:general_processing', 'local:complex_reasoning', 'cloud:abacus_claude_haiku'
+    ]);
+    expect(result.quality_score).toBe(0.6);
+    expect(result.estimated_cost).toBe(0.01);
+    expect(result.quality_escalation).toMatchObject({ retries: 2, selected_run: 1 });
+  });
+
+  test('steps over rungs the tenant may not use', async () => {
+    const run = jest.fn().mockResolvedValueOnce(scored(0.4)).mockResolvedValueOnce(scored(0.9));
+    const tenant = { id: 'starter', allowed_models: ['local:general_processing', 'cloud:abacus_claude_haiku'] };
+    await buildValidator(run).execute(localDecision, 'q', { tenant });
+
+    expect(run.mock.calls[1][0]).toMatchObject({ route_to: 'cloud', model: 'abacus_claude_haiku' });
+  });
+
+  test('stops escalating when the budget guard does not allow the cloud rung as asked', async () => {
+    const run = jest.fn().mockResolvedValue(scored(0.4));
+    const budgetCheck = decision => ({ ...decision, model: 'abacus_claude_haiku', budget: { action: 'downgraded' } });
+    const onCloud = { ...localDecision, route_to: 'cloud', model: 'abacus_claude' };
+
+    const result = await buildValidator(run, { budgetCheck, validator: { upgrade_model_on_failure: false } }).execute(onCloud, 'q');
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(result.quality_escalation).toBeUndefined();
+  });
+
+  test('does not retry failed calls as low quality', async () => {
+    const run = jest.fn().mockResolvedValue({ status: 'error', error: 'timeout' });
+    await buildValidator(run).execute(localDecision, 'q');
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The router reads ./config like the controller does, from the repository root
+process.chdir(path.join(__dirname, '..'));
+
+const { RoutingReplay, ReplayLedger, buildReport } = require('../scripts/replay-routing');
+
+const BASELINE_PATH = './config/router_config.json';
+
+const LOG = [
+  { timestamp: '2026-10-01T09:00:00Z', routing_id: 'a', content: 'Bitcoin price action ahead of the halving', content_type: 'text', route: 'cloud:abacus_gpt4o' },
+  { timestamp: '2026-10-01T09:05:00Z', routing_id: 'b', content: 'Notes from the weekly team sync', content_type: 'text', route: 'local:classification' },
+  { timestamp: '2026-10-01T09:10:00Z', routing_id: 'c', tenant: 'nobody', content: 'Who am I?', content_type: 'text' }
+];
+
+describe('ReplayLedger', () => {
+  test('keeps projected spend per recorded day and per tenant', () => {
+    const ledger = new ReplayLedger();
+    ledger.setDay('2026-10-01');
+    ledger.add(0.5, 'premium');
+    ledger.add(0.25);
+    ledger.setDay('2026-10-02');
+    ledger.add(1, 'premium');
+
+    expect(ledger.getDailyCost('2026-10-01')).toBe(0.75);
+    expect(ledger.getTenantDailyCost('premium', '2026-10-01')).toBe(0.5);
+    expect(ledger.getDailyCost()).toBe(1);
+  });
+});
+
+describe('RoutingReplay', () => {
+  let directory;
+  let candidatePath;
+
+  beforeAll(() => {
+    // Candidate config: short standard text moves from the local classifier to Claude Haiku
+    const config = JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+    Object.assign(config.routing_rules.content_type_routing.text_short_standard, { route_to: 'cloud', model: 'abacus_claude_haiku' });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    candidatePath = path.join(directory, 'router_config.json');
+    fs.writeFileSync(candidatePath, JSON.stringify(config));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('routes logged requests without calling a model and rejects unknown tenants', async () => {
+    const replay = new RoutingReplay(BASELINE_PATH);
+    const determineRoute = jest.spyOn(replay.router, 'determineRoute');
+
+    const results = await replay.run(LOG);
+
+    expect(results.map(result => result.route)).toEqual(['cloud:abacus_gpt4o', 'local:classification', 'rejected:unknown_tenant']);
+    expect(results[0].cost).toBeGreaterThan(0);
+    expect(results[1].cost).toBe(0);
+    expect(determineRoute).toHaveBeenCalledTimes(2);
+    expect(replay.ledger.getDailyCost('2026-10-01')).toBe(results[0].cost);
+  });
+
+  test('reports the routes and projected cost that a candidate config changes', async () => {
+    const baseline = new RoutingReplay(BASELINE_PATH);
+    const candidate = new RoutingReplay(candidatePath);
+    const report = buildReport('requests.jsonl', LOG, [],
+      { configPath: BASELINE_PATH, version: baseline.configLoader.version, results: await baseline.run(LOG) },
+      { configPath: candidatePath, version: candidate.configLoader.version, results: await candidate.run(LOG) });
+
+    expect(report.distribution['local:classification']).toEqual({ baseline: 1, candidate: 0, delta: -1 });
+    expect(report.distribution['cloud:abacus_claude_haiku']).toEqual({ baseline: 0, candidate: 1, delta: 1 });
+    expect(report.distribution['cloud:abacus_gpt4o']).toEqual({ baseline: 1, candidate: 1, delta: 0 });
+    expect(report.changed.count).toBe(1);
+    expect(report.changed.requests[0]).toMatchObject({ index: 1, routing_id: 'b', recorded_route: 'local:classification' });
+    expect(report.changed.requests[0].cost_difference).toBeGreaterThan(0);
+    expect(report.projected_cloud_cost.difference).toBeCloseTo(report.changed.requests[0].cost_difference);
+  });
+});
@@ -0,0 +1,131 @@
+const { RequestScheduler, SchedulerError } = require('../utils/request-scheduler');
+
+function buildScheduler(settings = {}) {
+  return new RequestScheduler({
+    scheduler: {
+      max_concurrent_requests: 10,
+      default_local_concurrency: 1,
+      default_cloud_concurrency: 2,
+      max_queue_depth: 2,
+      max_wait_ms: 1000,
+      ...settings
+    }
+  });
+}
+
+// Lets promise callbacks queued by release() and acquire() run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestScheduler', () => {
+  const savedEnv = {};
+
+  beforeAll(() => {
+    ['MAX_CONCURRENT_REQUESTS', 'OLLAMA_NUM_PARALLEL'].forEach(name => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterAll(() => {
+    Object.entries(savedEnv).forEach(([name, value]) => {
+      if (value !== undefined) {
+        process.env[name] = value;
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('admits up to the route limit and queues the rest', async () => {
+    const scheduler = buildScheduler({ model_concurrency: { 'local:complex_reasoning': 2 } });
+    const first = await scheduler.acquire('local:complex_reasoning');
+    await scheduler.acquire('local:complex_reasoning');
+
+    let third = null;
+    scheduler.acquire('local:complex_reasoning').then(slot => { third = slot; });
+    await settle();
+    expect(third).toBeNull();
+    expect(scheduler.getStatus().routes['local:complex_reasoning']).toEqual({ running: 2, queued: 1, limit: 2 });
+
+    first.release();
+    await settle();
+    expect(third.queue).toMatchObject({ route: 'local:complex_reasoning', queue_depth: 0, concurrency_limit: 2 });
+  });
+
+  test('rejects with queue_full once the queue is at max_queue_depth', async () => {
+    const scheduler = buildScheduler();
+    await scheduler.acquire('local:general_processing');
+    scheduler.acquire('local:general_processing').catch(() => {});
+    scheduler.acquire('local:general_processing').catch(() => {});
+
+    const error = await scheduler.acquire('local:general_processing').catch(rejection => rejection);
+    expect(error).toBeInstanceOf(SchedulerError);
+    expect(error.reason).toBe('queue_full');
+    expect(error.queue.queue_depth).toBe(2);
+  });
+
+  test('rejects with wait_timeout after max_wait_ms in the queue', async () => {
+    jest.useFakeTimers();
+    const scheduler = buildScheduler({ max_wait_ms: 500 });
+    await scheduler.acquire('local:general_processing');
+
+    const waiting = scheduler.acquire('local:general_processing');
+    jest.advanceTimersByTime(500);
+
+    await expect(waiting).rejects.toMatchObject({ reason: 'wait_timeout' });
+    expect(scheduler.getStatus().routes['local:general_processing'].queued).toBe(0);
+  });
+
+  test('drops a queued request whose caller aborts', async () => {
+    const scheduler = buildScheduler();
+    await scheduler.acquire('local:general_processing');
+
+    const controller = new AbortController();
+    const waiting = scheduler.acquire('local:general_processing', { signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ reason: 'cancelled', code: 'ERR_CANCELED' });
+  });
+
+  test('hands a free slot to the highest priority waiter, oldest first', async () => {
+    const scheduler = buildScheduler({ max_queue_depth: 5 });
+    const running = await scheduler.acquire('local:general_processing');
+
+    const order = [];
+    const waiters = ['low', 'medium', 'high', 'high'].map((priority, index) =>
+      scheduler.acquire('local:general_processing', { priority }).then(slot => {
+        order.push(`${priority}${index}`);
+        slot.release();
+      }));
+
+    running.release();
+    await Promise.all(waiters);
+    expect(order).toEqual(['high2', 'high3', 'medium1', 'low0']);
+  });
+
+  test('keeps all routes together under max_concurrent_requests', async () => {
+    const scheduler = buildScheduler({ max_concurrent_requests: 2 });
+    await scheduler.acquire('cloud:abacus_claude');
+    const local = await scheduler.acquire('local:general_processing');
+
+    let cloud = null;
+    scheduler.acquire('cloud:abacus_claude').then(slot => { cloud = slot; });
+    await settle();
+    expect(cloud).toBeNull();
+
+    local.release();
+    await settle();
+    expect(cloud).not.toBeNull();
+    expect(scheduler.getStatus().running).toBe(2);
+  });
+
+  test('release is idempotent', async () => {
+    const scheduler = buildScheduler();
+    const slot = await scheduler.acquire('local:general_processing');
+    slot.release();
+    slot.release();
+    expect(scheduler.getStatus().running).toBe(0);
+  });
+});
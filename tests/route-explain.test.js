@@ -0,0 +1,59 @@
+const path = require('path');
+
+// The router reads ./config like the controller does, from the repository root
+process.chdir(path.join(__dirname, '..'));
+
+const { IntelligentRouter } = require('../utils/intelligent-router');
+const { getConfigLoader } = require('../utils/config-loader');
+
+const PRIORITY_CONTENT = 'Bitcoin price action ahead of the halving';
+
+function buildRouter({ dailySpent = 0 } = {}) {
+  const ledger = {
+    getDailyCost: () => dailySpent,
+    getTenantDailyCost: () => 0,
+    getModelStats: () => null,
+    getTotalRequests: () => 0
+  };
+  const router = new IntelligentRouter({ configLoader: getConfigLoader(), ledger });
+  router.adaptiveRouter.settings.enabled = false;
+  return router;
+}
+
+describe('IntelligentRouter.explainRoute', () => {
+  test('traces the decision without calling a model', async () => {
+    const explanation = await buildRouter().explainRoute(PRIORITY_CONTENT, 'text');
+
+    expect(explanation.decision).toMatchObject({ route_to: 'cloud', model: 'abacus_gpt4o' });
+    expect(explanation.rules.find(rule => rule.selected).rule).toBe('high_priority_tagged_content');
+    expect(explanation.priority_tags.tags).toEqual(['bitcoin']);
+    expect(explanation.duplicate_check).toEqual({ is_duplicate: false, should_reprocess: undefined });
+  });
+
+  test('reports local-only mode without entering it', async () => {
+    const router = buildRouter({ dailySpent: 1000 });
+    Object.assign(router.budgetGuard.limits, { daily_limit: 100, emergency_local_only_mode: true });
+
+    const explanation = await router.explainRoute(PRIORITY_CONTENT, 'text');
+    expect(explanation.decision.budget).toMatchObject({ action: 'local_only', local_only_mode: true });
+    expect(router.budgetGuard.localOnlyMode).toBeNull();
+
+    await router.determineRoute(PRIORITY_CONTENT, 'text');
+    expect(router.budgetGuard.localOnlyMode).not.toBeNull();
+  });
+
+  test('looks up duplicates without caching what it finds', async () => {
+    const router = buildRouter();
+    jest.spyOn(router.duplicateManager, 'checkDatabase').mockResolvedValue({
+      found: true,
+      data: { status: 'completed', quality_score: 0.9, processing_version: '2.0.0', result: 'cached answer' }
+    });
+
+    const explanation = await router.explainRoute(PRIORITY_CONTENT, 'text');
+    expect(explanation.decision).toMatchObject({ route_to: 'cache', cached_result: 'cached answer' });
+    expect(router.duplicateManager.processedContent.size).toBe(0);
+
+    await router.determineRoute(PRIORITY_CONTENT, 'text');
+    expect(router.duplicateManager.processedContent.size).toBe(1);
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { RuleEngine } = require('../utils/rule-engine');
+
+const config = {
+  priority_tags: {
+    tickers: { tags: ['bitcoin', 'tesla'] }
+  }
+};
+
+function context(engine, text, { complexity = {}, classification = {}, options = {} } = {}) {
+  return engine.createContext(text, complexity, classification, options);
+}
+
+describe('RuleEngine.parse', () => {
+  const engine = new RuleEngine(config);
+
+  test('binds AND tighter than OR', () => {
+    expect(engine.parse('a OR b AND c')).toEqual({
+      type: 'or',
+      left: { type: 'identifier', name: 'a' },
+      right: {
+        type: 'and',
+        left: { type: 'identifier', name: 'b' },
+        right: { type: 'identifier', name: 'c' }
+      }
+    });
+  });
+
+  test('reads calls with list arguments, strings and duration literals', () => {
+    expect(engine.parse("contains_keywords(['chart', \"price action\"])")).toEqual({
+      type: 'call',
+      name: 'contains_keywords',
+      args: [{ type: 'list', items: [{ type: 'literal', value: 'chart' }, { type: 'literal', value: 'price action' }] }]
+    });
+    expect(engine.parse('processing_time > 45s').right).toEqual({ type: 'literal', value: 45000 });
+    expect(engine.parse('latency <= 250ms').right).toEqual({ type: 'literal', value: 250 });
+  });
+
+  test('caches parsed conditions', () => {
+    expect(engine.parse('tokens < 125')).toBe(engine.parse('tokens < 125'));
+  });
+
+  test.each([
+    ['tokens <', 'Unexpected end of condition'],
+    ["contains_keywords(['chart'", "Expected ']'"],
+    ["content_type == 'image", 'Unterminated string'],
+    ['tokens < 125 )', "Unexpected token ')'"],
+    ['tokens # 3', "Unexpected character '#'"]
+  ])('rejects %p', (condition, message) => {
+    expect(() => engine.parse(condition)).toThrow(message);
+  });
+});
+
+describe('RuleEngine.evaluate', () => {
+  const engine = new RuleEngine(config);
+
+  test('compares variables from the context', () => {
+    const ctx = context(engine, 'short note', { complexity: { tokens: 40, complexity_score: 0.2 } });
+    expect(engine.evaluate('tokens < 125 AND complexity_score < 0.3', ctx)).toBe(true);
+    expect(engine.evaluate('tokens >= 125 OR NOT (complexity_score < 0.3)', ctx)).toBe(false);
+  });
+
+  test('compares strings', () => {
+    const ctx = context(engine, '', { classification: { content_type: 'image' } });
+    expect(engine.evaluate("content_type == 'image'", ctx)).toBe(true);
+    expect(engine.evaluate("content_type != 'image'", ctx)).toBe(false);
+  });
+
+  test('contains_priority_tags uses detected tags, then configured tags in the text', () => {
+    expect(engine.evaluate('contains_priority_tags', context(engine, 'nothing here', {
+      classification: { priority_tags: ['solana'] }
+    }))).toBe(true);
+    expect(engine.evaluate('contains_priority_tags', context(engine, 'nothing here', {
+      classification: { priority_tags: [] }
+    }))).toBe(false);
+    expect(engine.evaluate('contains_priority_tags', context(engine, 'Tesla earnings call'))).toBe(true);
+    expect(engine.evaluate("contains_priority_tags(['solana'])", context(engine, 'Tesla earnings call'))).toBe(false);
+  });
+
+  test('url_contains_filter_tags matches decoded filter tags', () => {
+    const ctx = context(engine, '', { options: { source_url: 'https://patreon.com/posts?filters%5Btag%5D=Bitcoin' } });
+    expect(engine.evaluate("url_contains_filter_tags(['Bitcoin'])", ctx)).toBe(true);
+    expect(engine.evaluate("url_contains_filter_tags(['Tesla'])", ctx)).toBe(false);
+  });
+
+  test('has_images covers image content and attached images', () => {
+    expect(engine.evaluate('has_images', context(engine, '', { classification: { content_type: 'image' } }))).toBe(true);
+    expect(engine.evaluate('has_images', context(engine, '', { options: { images: [{ data: 'x' }] } }))).toBe(true);
+    expect(engine.evaluate('has_images', context(engine, 'text only'))).toBe(false);
+  });
+
+  test('throws on unknown identifiers and predicates', () => {
+    const ctx = context(engine, 'text');
+    expect(() => engine.evaluate('mystery > 1', ctx)).toThrow('Unknown identifier: mystery');
+    expect(() => engine.evaluate('mystery()', ctx)).toThrow('Unknown predicate: mystery');
+  });
+});
+
+describe('RuleEngine.findMatchingRule', () => {
+  const engine = new RuleEngine(config);
+  const rules = {
+    broken: { condition: 'mystery > 1' },
+    no_condition: { route_to: 'local' },
+    short: { condition: 'tokens < 125' },
+    anything: { condition: 'true' }
+  };
+
+  test('picks the first matching rule in declaration order, skipping ones that fail', () => {
+    const match = engine.findMatchingRule(rules, context(engine, 'hi', { complexity: { tokens: 1 } }));
+    expect(match.name).toBe('short');
+  });
+
+  test('explainRules marks the same rule as selected', () => {
+    const evaluations = engine.explainRules(rules, context(engine, 'hi', { complexity: { tokens: 1 } }));
+    expect(evaluations.map(evaluation => [evaluation.rule, evaluation.matched, evaluation.selected])).toEqual([
+      ['broken', false, false],
+      ['no_condition', false, false],
+      ['short', true, true],
+      ['anything', true, false]
+    ]);
+    expect(evaluations[0].error).toBe('Unknown identifier: mystery');
+    expect(evaluations[1].skipped).toBe('no condition');
+  });
+});
+
+describe('shipped content_type_routing order', () => {
+  const repoConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/router_config.json'), 'utf8'));
+  const engine = new RuleEngine(repoConfig);
+  const rules = repoConfig.routing_rules.content_type_routing;
+
+  function matchedRule(text, { tags = [], options = {} } = {}) {
+    const ctx = context(engine, text, {
+      complexity: { tokens: 40, complexity_score: 0.2 },
+      classification: { content_type: 'text', priority_tags: tags },
+      options
+    });
+    return engine.findMatchingRule(rules, ctx).name;
+  }
+
+  test('sends priority videos to the video workflow rather than the text priority rule', () => {
+    expect(matchedRule('Tesla deep dive https://youtube.com/live/abc123', { tags: ['tesla'] })).toBe('video_content_with_priority');
+    expect(matchedRule('Weekly recap https://youtu.be/xyz')).toBe('video_content_standard');
+  });
+
+  test('lets large batches reach the bulk rule ahead of priority content', () => {
+    expect(matchedRule('Bitcoin halving notes', { tags: ['bitcoin'], options: { batch_size: 12 } })).toBe('bulk_processing');
+    expect(matchedRule('Bitcoin halving notes', { tags: ['bitcoin'], options: { batch_size: 5 } })).toBe('high_priority_tagged_content');
+  });
+
+  test('falls through to the text rules for plain content', () => {
+    expect(matchedRule('quick note')).toBe('text_short_standard');
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ShadowRouter } = require('../utils/shadow-router');
+const { ShadowStore } = require('../utils/shadow-store');
+
+const primaryDecision = {
+  route_to: 'local',
+  model: 'general_processing',
+  content_category: 'general_content',
+  routing_id: 'r1',
+  rule: 'text_medium'
+};
+const primaryResult = { status: 'success', result: 'the market closed higher today', processing_time: 4000, estimated_cost: 0, quality_score: 0.8 };
+
+describe('ShadowRouter', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-'));
+    store = new ShadowStore(path.join(directory, 'shadow.jsonl'));
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(async () => {
+    await store.flush();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function buildShadow({ experiments, budgetCheck, dispatch } = {}) {
+    const router = {
+      config: {
+        routing_rules: {
+          shadow_routing: {
+            enabled: true,
+            max_in_flight: 1,
+            experiments: experiments || {
+              medium_on_haiku: { rule: 'text_medium', shadow_route: 'cloud:abacus_claude_haiku', sample_rate: 0.5 }
+            }
+          }
+        }
+      },
+      configLoader: { onChange: () => {} },
+      budgetGuard: { check: jest.fn(budgetCheck || (decision => ({ ...decision, budget: { action: 'allowed' } }))) }
+    };
+    const run = dispatch || jest.fn(async () => ({
+      status: 'success', result: 'the market closed higher', processing_time: 1500, estimated_cost: 0.001, quality_score: 0.9
+    }));
+    return { shadow: new ShadowRouter(router, run, store), dispatch: run, router };
+  }
+
+  test('mirrors sampled requests onto the candidate and stores the comparison', async () => {
+    const { shadow, dispatch } = buildShadow();
+    const record = await shadow.maybeShadow(primaryDecision, 'How did the market do?', { tenant: { id: 'premium' } }, primaryResult);
+
+    expect(dispatch.mock.calls[0][0]).toMatchObject({ route_to: 'cloud', model: 'abacus_claude_haiku', routing_id: 'r1' });
+    expect(dispatch.mock.calls[0][2].shadow).toBe(true);
+    expect(record).toMatchObject({ experiment: 'medium_on_haiku', tenant: 'premium', rule: 'text_medium' });
+    expect(record.comparison).toMatchObject({ same_status: true, latency_delta: -2500, cost_delta: 0.001 });
+    expect(record.comparison.quality_delta).toBeCloseTo(0.1);
+    expect(record.comparison.output_similarity).toBeCloseTo(0.8);
+  });
+
+  test('does not shadow unsampled requests, other rules, shadow runs or non-model routes', () => {
+    const { shadow, dispatch } = buildShadow();
+
+    Math.random.mockReturnValue(0.9);
+    expect(shadow.maybeShadow(primaryDecision, 'x', {}, primaryResult)).toBeNull();
+    Math.random.mockReturnValue(0);
+    expect(shadow.maybeShadow({ ...primaryDecision, rule: 'text_long_standard' }, 'x', {}, primaryResult)).toBeNull();
+    expect(shadow.maybeShadow(primaryDecision, 'x', { shadow: true }, primaryResult)).toBeNull();
+    expect(shadow.maybeShadow({ ...primaryDecision, route_to: 'workflow' }, 'x', {}, primaryResult)).toBeNull();
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  test('never shadows onto a route the tenant may not use', () => {
+    const { shadow, dispatch } = buildShadow();
+    expect(shadow.maybeShadow(primaryDecision, 'x', { tenant: { id: 'private', local_only: true } }, primaryResult)).toBeNull();
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  test('skips cloud shadows the budget guard would change, and runs beyond max_in_flight', async () => {
+    const { shadow, dispatch } = buildShadow({
+      budgetCheck: decision => ({ ...decision, route_to: 'local', budget: { action: 'downgraded' } })
+    });
+    await expect(shadow.maybeShadow(primaryDecision, 'x', {}, primaryResult)).resolves.toBeNull();
+    expect(dispatch).not.toHaveBeenCalled();
+
+    const busy = buildShadow({ dispatch: jest.fn(() => new Promise(() => {})) }).shadow;
+    busy.maybeShadow(primaryDecision, 'x', {}, primaryResult);
+    expect(busy.maybeShadow(primaryDecision, 'y', {}, primaryResult)).toBeNull();
+
+    expect(shadow.getReport().skipped).toEqual({ in_flight: 0, budget: 1 });
+    expect(busy.getReport().skipped).toEqual({ in_flight: 1, budget: 0 });
+  });
+
+  test('keeps each tenant to its own comparisons', async () => {
+    const { shadow } = buildShadow();
+    const premium = await shadow.maybeShadow(primaryDecision, 'premium content', { tenant: { id: 'premium' } }, primaryResult);
+    await shadow.maybeShadow(primaryDecision, 'starter content', { tenant: { id: 'starter' } }, primaryResult);
+
+    expect(shadow.getComparison(premium.id, 'starter')).toBeNull();
+    expect(shadow.getComparison(premium.id, 'premium').content_preview).toBe('premium content');
+    expect(shadow.getComparison(premium.id)).not.toBeNull();
+
+    expect(shadow.getReport('starter').experiments.medium_on_haiku.comparisons).toBe(1);
+    expect(shadow.getReport().experiments.medium_on_haiku.comparisons).toBe(2);
+    expect(shadow.list({ tenant: 'starter' }).map(record => record.content_preview)).toEqual(['starter content']);
+  });
+
+  test('diffs primary and shadow output line by line', () => {
+    const { shadow } = buildShadow();
+    expect(shadow.diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'primary_only', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'shadow_only', text: 'd' }
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const RouterController = require('../scripts/router-controller');
+const { readLines, readSseData } = require('../utils/stream-lines');
+
+const decision = { route_to: 'local', model: 'general_processing', reasoning: 'text_medium', routing_id: 'routing-1' };
+
+// Collects what the controller writes to the client
+function eventResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: null,
+    headers: {},
+    chunks: [],
+    writableEnded: false,
+    status(code) { this.statusCode = code; return this; },
+    set(headers) { Object.assign(this.headers, headers); return this; },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.writableEnded = true; }
+  });
+  return res;
+}
+
+function events(res) {
+  return res.chunks.map(chunk => {
+    const [, event, data] = chunk.match(/^event: (.+)\ndata: (.+)\n\n$/);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+// Streams through the real dispatch path with the router and the model call faked
+function streamingController(modelCall) {
+  const controller = Object.create(RouterController.prototype);
+  controller.logger = { info: () => {}, error: () => {} };
+  controller.router = {
+    config: { monitoring: {} },
+    determineRoute: jest.fn(async () => decision),
+    recordOutcome: jest.fn()
+  };
+  controller.localModels = { process: jest.fn(modelCall) };
+  controller.qualityValidator = {
+    execute: (routingDecision, content, options) => controller.dispatchRoute(routingDecision, content, options),
+    score: async result => result
+  };
+  controller.shadowRouter = { maybeShadow: jest.fn() };
+  return controller;
+}
+
+describe('RouterController.streamRoute', () => {
+  test('sends the decision, an attempt, the tokens and then the result', async () => {
+    const controller = streamingController(async (model, content, options) => {
+      options.onToken('Hel');
+      options.onToken('lo');
+      return { status: 'success', result: 'Hello', model: 'mistral:7b', processing_time: 5 };
+    });
+    const res = eventResponse();
+
+    await controller.streamRoute(res, 'Hi', 'text', { stream: true });
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.writableEnded).toBe(true);
+    const sent = events(res);
+    expect(sent.map(({ event }) => event)).toEqual(['routing_decision', 'attempt', 'token', 'token', 'result']);
+    expect(sent[1].data).toEqual({ route: 'local:general_processing', reasoning: 'text_medium' });
+    expect(sent.slice(2, 4).map(({ data }) => data.text).join('')).toBe('Hello');
+    expect(sent[4].data.result).toMatchObject({ status: 'success', result: 'Hello' });
+    // The shadow copy never streams
+    expect(controller.shadowRouter.maybeShadow.mock.calls[0][2].onEvent).toBeUndefined();
+  });
+
+  test('aborts the model call when the client disconnects', async () => {
+    let signal;
+    const controller = streamingController((model, content, options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+    const res = eventResponse();
+
+    const streaming = controller.streamRoute(res, 'Hi', 'text', { stream: true });
+    await new Promise(resolve => setImmediate(resolve));
+    res.emit('close');
+    await streaming;
+
+    expect(signal.aborted).toBe(true);
+    expect(events(res).pop()).toEqual({ event: 'error', data: { error: 'Routing failed', message: 'aborted' } });
+  });
+});
+
+describe('stream-lines', () => {
+  test('reassembles lines and characters split across chunks', async () => {
+    const stream = new PassThrough();
+    const euro = Buffer.from('€');
+    stream.write('{"a":1}\r\n{"b":');
+    stream.write(Buffer.concat([Buffer.from('"'), euro.subarray(0, 1)]));
+    stream.end(Buffer.concat([euro.subarray(1), Buffer.from('"}')]));
+
+    const lines = [];
+    for await (const line of readLines(stream)) {
+      lines.push(line);
+    }
+    expect(lines).toEqual(['{"a":1}', '{"b":"€"}']);
+  });
+
+  test('yields only the data payloads of an SSE stream', async () => {
+    const stream = new PassThrough();
+    stream.end(': keep-alive\n\nevent: message\ndata: {"x":1}\n\ndata:[DONE]\n\n');
+
+    const payloads = [];
+    for await (const payload of readSseData(stream)) {
+      payloads.push(payload);
+    }
+    expect(payloads).toEqual(['{"x":1}', '[DONE]']);
+  });
+});
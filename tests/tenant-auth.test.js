@@ -0,0 +1,150 @@
+const RouterController = require('../scripts/router-controller');
+const { TenantRegistry, isRouteAllowed, hashApiKey } = require('../utils/tenant-registry');
+
+const SECRET = 'router-secret';
+
+const config = {
+  tenancy: {
+    default_tenant: 'default',
+    tenants: {
+      default: { tier: 'standard' },
+      operations: { api_key_env: 'TEST_ADMIN_API_KEY', admin: true },
+      starter: { api_key_sha256: [hashApiKey('starter-key')], allowed_models: ['local:*', 'cloud:abacus_claude_haiku'] },
+      private: { api_key_sha256: [hashApiKey('private-key')], local_only: true }
+    }
+  }
+};
+
+function request(headers = {}) {
+  return { header: name => headers[name] };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Runs the controller's middleware against a registry without starting the whole router
+function controllerWith(sharedSecret) {
+  const controller = Object.create(RouterController.prototype);
+  controller.tenants = new TenantRegistry(config);
+  controller.sharedSecret = sharedSecret;
+  return controller;
+}
+
+function runAttachTenant(controller, headers) {
+  const req = request(headers);
+  const res = response();
+  const next = jest.fn();
+  controller.attachTenant(req, res, next);
+  return { req, res, next };
+}
+
+describe('TenantRegistry', () => {
+  beforeAll(() => {
+    process.env.TEST_ADMIN_API_KEY = 'admin-key';
+  });
+
+  afterAll(() => {
+    delete process.env.TEST_ADMIN_API_KEY;
+  });
+
+  test('authenticates keys from the environment and from configured hashes', () => {
+    const registry = new TenantRegistry(config);
+    expect(registry.authenticate('admin-key')).toMatchObject({ id: 'operations', admin: true });
+    expect(registry.authenticate('starter-key')).toMatchObject({ id: 'starter', admin: false });
+    expect(registry.authenticate('wrong-key')).toBeNull();
+    expect(registry.authenticate(undefined)).toBeNull();
+  });
+
+  test('the default tenant is not an admin', () => {
+    expect(new TenantRegistry(config).getDefault()).toMatchObject({ id: 'default', admin: false });
+  });
+
+  test('never exposes raw keys in its status', () => {
+    const status = JSON.stringify(new TenantRegistry(config).getStatus());
+    expect(status).not.toContain('admin-key');
+    expect(status).not.toContain(hashApiKey('admin-key'));
+  });
+});
+
+describe('isRouteAllowed', () => {
+  const registry = new TenantRegistry(config);
+
+  test('limits tenants to their allowed models', () => {
+    const starter = registry.get('starter');
+    expect(isRouteAllowed(starter, 'cloud', 'abacus_claude_haiku')).toBe(true);
+    expect(isRouteAllowed(starter, 'cloud', 'abacus_gpt4o')).toBe(false);
+    expect(isRouteAllowed(starter, 'local', 'general_processing')).toBe(true);
+  });
+
+  test('keeps local-only tenants off the cloud', () => {
+    const privateTenant = registry.get('private');
+    expect(isRouteAllowed(privateTenant, 'cloud', 'abacus_claude')).toBe(false);
+    expect(isRouteAllowed(privateTenant, 'local', 'general_processing')).toBe(true);
+  });
+
+  test('does not restrict non-model routes or missing tenants', () => {
+    expect(isRouteAllowed(registry.get('private'), 'workflow', null)).toBe(true);
+    expect(isRouteAllowed(null, 'cloud', 'abacus_gpt4o')).toBe(true);
+  });
+});
+
+describe('RouterController tenant middleware', () => {
+  test('refuses every call when no shared secret is configured', () => {
+    const { res, next } = runAttachTenant(controllerWith(null), { 'X-Tenant-Id': 'operations' });
+    expect(res.statusCode).toBe(503);
+    expect(next).not.toHaveBeenCalled();
+
+    expect(runAttachTenant(controllerWith(null), {}).res.statusCode).toBe(503);
+  });
+
+  test('rejects callers without the right secret, with or without a tenant header', () => {
+    const controller = controllerWith(SECRET);
+    expect(runAttachTenant(controller, {}).res.statusCode).toBe(401);
+    expect(runAttachTenant(controller, { 'X-Tenant-Id': 'operations' }).res.statusCode).toBe(401);
+    expect(runAttachTenant(controller, { 'X-Tenant-Id': 'operations', 'X-Router-Secret': 'router-secreT' }).res.statusCode).toBe(401);
+    expect(runAttachTenant(controller, { 'X-Router-Secret': 'short' }).res.statusCode).toBe(401);
+  });
+
+  test('attaches the named tenant, or the default one, for gateway calls', () => {
+    const controller = controllerWith(SECRET);
+
+    const named = runAttachTenant(controller, { 'X-Tenant-Id': 'starter', 'X-Router-Secret': SECRET });
+    expect(named.next).toHaveBeenCalled();
+    expect(named.req.tenant.id).toBe('starter');
+
+    const unnamed = runAttachTenant(controller, { 'X-Router-Secret': SECRET });
+    expect(unnamed.req.tenant).toMatchObject({ id: 'default', admin: false });
+  });
+
+  test('rejects unknown tenants', () => {
+    const { res, next } = runAttachTenant(controllerWith(SECRET), { 'X-Tenant-Id': 'nobody', 'X-Router-Secret': SECRET });
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'Unknown tenant', tenant: 'nobody' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('requireAdmin only lets admin tenants through', () => {
+    const controller = controllerWith(SECRET);
+    const next = jest.fn();
+
+    const denied = response();
+    controller.requireAdmin({ tenant: controller.tenants.getDefault() }, denied, next);
+    expect(denied.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+
+    controller.requireAdmin({ tenant: controller.tenants.get('operations') }, response(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('scopes reports to the tenant unless it is an admin', () => {
+    const controller = controllerWith(SECRET);
+    expect(controller.getReportScope(controller.tenants.get('starter'))).toBe('starter');
+    expect(controller.getReportScope(controller.tenants.get('operations'))).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+const { TokenCounter } = require('../utils/tokenizer');
+
+describe('TokenCounter', () => {
+  test('picks the tokenizer family from the model name or an explicit override', () => {
+    const counter = new TokenCounter();
+    expect(counter.getFamily('gpt-4o-mini')).toBe('o200k');
+    expect(counter.getFamily('gpt-4-turbo')).toBe('cl100k');
+    expect(counter.getFamily('claude-3-haiku')).toBe('claude');
+    expect(counter.getFamily('llama3.2:3b')).toBe('llama3');
+    expect(counter.getFamily('mistral:7b')).toBe('estimate');
+    expect(counter.getFamily('mistral:7b', { tokenizer: 'llama3' })).toBe('llama3');
+    // Routing thresholds are in local model tokens
+    expect(counter.getFamily(null)).toBe('llama3');
+  });
+
+  test('estimates from length without a tokenizer for the family', () => {
+    const counter = new TokenCounter();
+    expect(counter.count('abcdefghi', 'mistral:7b')).toBe(3);
+    expect(counter.count('')).toBe(0);
+    expect(counter.count(null)).toBe(0);
+    expect(counter.isExact('mistral:7b')).toBe(false);
+  });
+
+  test('counts exactly once the BPE vocabularies are loaded', async () => {
+    const counter = new TokenCounter();
+    await counter.initialize();
+
+    expect(counter.isExact('gpt-4o')).toBe(true);
+    expect(counter.count('hello world', 'gpt-4o')).toBe(2);
+    expect(counter.count('hello world', 'gpt-4')).toBe(2);
+  });
+
+  test('shrinks the reply budget to what the context window has left', () => {
+    const counter = new TokenCounter();
+    const text = 'x'.repeat(4000);
+
+    expect(counter.checkContextWindow(text, { model: 'mistral:7b', context_window: 1500, max_tokens: 1000 })).toEqual({
+      input_tokens: 1000,
+      context_window: 1500,
+      fits: true,
+      max_output_tokens: 500
+    });
+    expect(counter.checkContextWindow(text, { model: 'mistral:7b', context_window: 800 }).fits).toBe(false);
+    expect(counter.checkContextWindow(text, { model: 'mistral:7b' })).toMatchObject({ context_window: null, fits: true });
+  });
+
+  test('drops the oldest turns first and always keeps system prompts and the latest message', () => {
+    const counter = new TokenCounter();
+    // 40 characters is 10 estimated tokens, plus 4 for the message overhead
+    const turn = (role, label) => ({ role, content: label.padEnd(40, '.') });
+    const messages = [
+      turn('system', 'rules'),
+      turn('user', 'first'),
+      turn('assistant', 'second'),
+      turn('user', 'third'),
+      turn('assistant', 'fourth'),
+      turn('user', 'latest')
+    ];
+
+    const fitted = counter.fitMessages(messages, { model: 'mistral:7b', context_window: 100, max_tokens: 44 });
+    expect(fitted.dropped).toBe(2);
+    expect(fitted.messages.map(message => message.content.replace(/\.+$/, ''))).toEqual(['rules', 'third', 'fourth', 'latest']);
+    expect(fitted.text.split('\n\n')).toHaveLength(4);
+  });
+});
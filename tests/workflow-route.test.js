@@ -0,0 +1,72 @@
+const path = require('path');
+const RouterController = require('../scripts/router-controller');
+const { WorkflowEngine } = require('../utils/workflow-engine');
+
+// The engine reads ./config like the controller does, from the repository root
+process.chdir(path.join(__dirname, '..'));
+
+const videoDecision = {
+  route_to: 'workflow',
+  workflow: 'video_processing_pipeline.priority_video_processing',
+  rule: 'video_content_with_priority',
+  routing_id: 'routing-1',
+  reasoning: 'video with priority tags'
+};
+
+// Dispatches against the real workflow engine without starting the whole router
+async function controllerWithEngine() {
+  const controller = Object.create(RouterController.prototype);
+  controller.logger = { info: () => {}, error: () => {} };
+  controller.workflowEngine = new WorkflowEngine();
+  await controller.workflowEngine.loadWorkflowTemplates();
+  return controller;
+}
+
+describe('workflow routes', () => {
+  test('loads the video pipelines the routing rules point at', async () => {
+    const engine = new WorkflowEngine();
+    await engine.loadWorkflowTemplates();
+
+    const workflow = engine.workflows.get('video_processing_pipeline.standard_video_processing');
+    expect(workflow.steps).toBe(workflow.processing_steps);
+    expect(engine.workflows.has('video_processing_pipeline.priority_video_processing')).toBe(true);
+  });
+
+  test('runs the named workflow and returns it shaped like a model result', async () => {
+    const controller = await controllerWithEngine();
+    const execute = jest.spyOn(controller.workflowEngine, 'execute');
+
+    const result = await controller.dispatchRoute(videoDecision, 'https://youtu.be/abc', {
+      source_url: 'https://youtu.be/abc',
+      tags: ['Priority'],
+      onEvent: jest.fn()
+    });
+
+    expect(execute.mock.calls[0][1]).toEqual({ content: 'https://youtu.be/abc', source_url: 'https://youtu.be/abc', tags: ['Priority'] });
+    expect(execute.mock.calls[0][2]).toMatchObject({ routing_id: 'routing-1', routing_rule: 'video_content_with_priority' });
+    expect(execute.mock.calls[0][2].onEvent).toBeUndefined();
+    expect(result).toMatchObject({
+      status: 'success',
+      route_type: 'workflow',
+      model: 'video_processing_pipeline.priority_video_processing',
+      estimated_cost: 0,
+      workflow_run: { routing_id: 'routing-1', status: 'completed' }
+    });
+    expect(result.workflow_run.steps_completed[0]).toBe('extract_video_metadata');
+    expect(result.workflow_run.steps_completed).toHaveLength(6);
+  });
+
+  test('reports unknown or missing workflows as a failed route instead of throwing', async () => {
+    const controller = await controllerWithEngine();
+
+    await expect(controller.dispatchRoute({ ...videoDecision, workflow: 'video_processing_pipeline.nowhere' }, 'x', {})).resolves.toMatchObject({
+      status: 'error',
+      route_type: 'workflow',
+      error: 'Workflow not found: video_processing_pipeline.nowhere'
+    });
+    await expect(controller.dispatchRoute({ ...videoDecision, workflow: undefined }, 'x', {})).resolves.toMatchObject({
+      status: 'error',
+      error: 'Workflow route is missing a workflow name'
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const { Logger } = require('./logger');
+
+const MAX_PREFERENCE_SHIFTS = 200;
+
+// Epsilon-greedy contextual bandit: the context is the content category, the arms are
+// the candidate routes configured for it. Rewards trade off success, quality, latency and cost.
+class AdaptiveRouter {
+  constructor(config) {
+    this.logger = new Logger('AdaptiveRouter');
+    this.config = config;
+    this.settings = this.loadSettings(config);
+    this.arms = new Map();
+    this.preferences = new Map();
+    this.preferenceShifts = [];
+    this.selections = { explore: 0, exploit: 0, baseline: 0 };
+  }
+
+  loadSettings(config) {
+    const optimization = (config.monitoring && config.monitoring.optimization) || {};
+    const settings = optimization.adaptive_routing || {};
+
+    return {
+      enabled: settings.enabled === true && optimization.learning_enabled === true && optimization.auto_route_adjustment === true,
+      exploration_rate: settings.exploration_rate !== undefined ? settings.exploration_rate : 0.1,
+      explore_priority_content: settings.explore_priority_content === true,
+      min_samples: settings.min_samples || 10,
+      min_reward_gain: settings.min_reward_gain || 0.05,
+      latency_budget_ms: settings.latency_budget_ms || 30000,
+      cost_budget: settings.cost_budget || 0.05,
+      weights: {
+        success: 0.4,
+        quality: 0.3,
+        latency: 0.15,
+        cost: 0.15,
+        ...(settings.weights || {})
+      },
+      candidates: settings.candidates || {}
+    };
+  }
+
+  // Learned statistics survive a config reload; only the settings change
+  applyConfig(config) {
+    this.config = config;
+    this.settings = this.loadSettings(config);
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  getCandidates(category) {
+    return this.settings.candidates[category] || this.settings.candidates.default || [];
+  }
+
+  // Returns an adjusted decision, or null to keep the rule-based one
+  select(category, routingDecision, options = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const baseline = `${routingDecision.route_to}:${routingDecision.model}`;
+    const candidates = this.getCandidates(category);
+
+    // Only swap between interchangeable model routes the category lists
+    if (!candidates.includes(baseline)) {
+      return null;
+    }
+
+    const explorationAllowed = options.priority !== 'high' || this.settings.explore_priority_content;
+    if (explorationAllowed && Math.random() < this.settings.exploration_rate) {
+      const undersampled = candidates.filter(route => this.getArm(category, route).count < this.settings.min_samples);
+      const pool = undersampled.length > 0 ? undersampled : candidates;
+      const route = pool[Math.floor(Math.random() * pool.length)];
+
+      this.selections.explore++;
+      return route === baseline ? null : this.buildDecision(route, routingDecision, category, 'explore');
+    }
+
+    const route = this.getExploitRoute(category, baseline, candidates);
+    if (!route) {
+      this.selections.baseline++;
+      return null;
+    }
+
+    this.selections.exploit++;
+    return this.buildDecision(route, routingDecision, category, 'exploit');
+  }
+
+  // What select() would pick without exploring, for dry runs: no randomness, no selection counters
+  preview(category, routingDecision) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const baseline = `${routingDecision.route_to}:${routingDecision.model}`;
+    const candidates = this.getCandidates(category);
+    const route = candidates.includes(baseline) ? this.getExploitRoute(category, baseline, candidates) : null;
+    return route ? this.buildDecision(route, routingDecision, category, 'exploit') : null;
+  }
+
+  // The best-rewarded candidate, or null to keep the rule's choice
+  getExploitRoute(category, baseline, candidates) {
+    const best = this.getBestRoute(category, candidates);
+    if (!best || best.route === baseline) {
+      return null;
+    }
+
+    // Only leave the rule's choice when the evidence for it is clearly worse
+    const baselineArm = this.getArm(category, baseline);
+    if (baselineArm.count >= this.settings.min_samples &&
+        best.reward - this.getMeanReward(baselineArm) < this.settings.min_reward_gain) {
+      return null;
+    }
+    return best.route;
+  }
+
+  buildDecision(route, routingDecision, category, mode) {
+    const [routeTo, model] = route.split(':');
+    const arm = this.getArm(category, route);
+
+    return {
+      route_to: routeTo,
+      model: model,
+      reasoning: mode === 'explore'
+        ? `Adaptive routing exploring ${route} for ${category} content`
+        : `Adaptive routing prefers ${route} for ${category} content (reward ${this.getMeanReward(arm).toFixed(3)} over ${arm.count} runs)`,
+      content_category: category,
+      adaptive: { mode, category },
+      original_decision: routingDecision
+    };
+  }
+
+  getBestRoute(category, candidates) {
+    let best = null;
+
+    for (const route of candidates) {
+      const arm = this.getArm(category, route);
+      if (arm.count < this.settings.min_samples) {
+        continue;
+      }
+
+      const reward = this.getMeanReward(arm);
+      if (!best || reward > best.reward) {
+        best = { route, reward };
+      }
+    }
+
+    return best;
+  }
+
+  recordOutcome(category, route, metrics) {
+    const arm = this.getArm(category, route);
+
+    arm.count++;
+    arm.successes += metrics.success ? 1 : 0;
+    arm.total_latency += metrics.latency || 0;
+    arm.total_cost += metrics.cost || 0;
+    if (typeof metrics.quality_score === 'number') {
+      arm.total_quality += metrics.quality_score;
+      arm.quality_count++;
+    }
+    arm.total_reward += this.calculateReward(metrics);
+    arm.last_updated = new Date().toISOString();
+
+    this.arms.set(`${category}|${route}`, arm);
+    this.trackPreference(category);
+  }
+
+  calculateReward(metrics) {
+    const { weights, latency_budget_ms, cost_budget } = this.settings;
+    // Unscored results count as middling quality rather than perfect or worthless
+    const quality = typeof metrics.quality_score === 'number' ? metrics.quality_score : 0.5;
+    const latencyPenalty = Math.min((metrics.latency || 0) / latency_budget_ms, 1);
+    const costPenalty = Math.min((metrics.cost || 0) / cost_budget, 1);
+
+    return (metrics.success ? weights.success : 0) +
+      (metrics.success ? quality * weights.quality : 0) +
+      (1 - latencyPenalty) * weights.latency +
+      (1 - costPenalty) * weights.cost;
+  }
+
+  trackPreference(category) {
+    const best = this.getBestRoute(category, this.getCandidates(category));
+    if (!best) {
+      return;
+    }
+
+    const previous = this.preferences.get(category);
+    if (previous !== best.route) {
+      this.preferences.set(category, best.route);
+      this.preferenceShifts.push({
+        category,
+        from: previous || null,
+        to: best.route,
+        reward: best.reward,
+        timestamp: new Date().toISOString()
+      });
+
+      if (this.preferenceShifts.length > MAX_PREFERENCE_SHIFTS) {
+        this.preferenceShifts.shift();
+      }
+
+      this.logger.info(`Adaptive preference for ${category}: ${previous || 'none'} -> ${best.route}`);
+    }
+  }
+
+  getArm(category, route) {
+    return this.arms.get(`${category}|${route}`) || {
+      count: 0,
+      successes: 0,
+      total_latency: 0,
+      total_cost: 0,
+      total_quality: 0,
+      quality_count: 0,
+      total_reward: 0,
+      last_updated: null
+    };
+  }
+
+  getMeanReward(arm) {
+    return arm.count > 0 ? arm.total_reward / arm.count : 0;
+  }
+
+  getReport() {
+    const categories = {};
+    const categoryNames = new Set([
+      ...Object.keys(this.settings.candidates),
+      ...Array.from(this.arms.keys()).map(key => key.split('|')[0])
+    ]);
+
+    for (const category of categoryNames) {
+      const routes = new Set([
+        ...this.getCandidates(category),
+        ...Array.from(this.arms.keys()).filter(key => key.startsWith(`${category}|`)).map(key => key.split('|')[1])
+      ]);
+
+      categories[category] = {
+        preferred_route: this.preferences.get(category) || null,
+        routes: Array.from(routes).map(route => {
+          const arm = this.getArm(category, route);
+          return {
+            route,
+            samples: arm.count,
+            success_rate: arm.count > 0 ? arm.successes / arm.count : null,
+            avg_latency: arm.count > 0 ? arm.total_latency / arm.count : null,
+            avg_cost: arm.count > 0 ? arm.total_cost / arm.count : null,
+            avg_quality: arm.quality_count > 0 ? arm.total_quality / arm.quality_count : null,
+            mean_reward: this.getMeanReward(arm),
+            last_updated: arm.last_updated
+          };
+        }).sort((a, b) => b.mean_reward - a.mean_reward)
+      };
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      settings: {
+        exploration_rate: this.settings.exploration_rate,
+        min_samples: this.settings.min_samples,
+        min_reward_gain: this.settings.min_reward_gain,
+        weights: this.settings.weights
+      },
+      selections: { ...this.selections },
+      categories,
+      preference_shifts: this.preferenceShifts.slice()
+    };
+  }
+}
+
+module.exports = { AdaptiveRouter };
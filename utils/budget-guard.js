@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { Logger } = require('./logger');
+const { isRouteAllowed } = require('./tenant-registry');
+
+// Enforces monitoring.cost_limits, and the tenant's daily_cost_limit, on cloud routes before they are dispatched
+class BudgetGuard {
+  constructor(config, ledger, estimateCost) {
+    this.logger = new Logger('BudgetGuard');
+    this.config = config;
+    this.ledger = ledger;
+    this.estimateCost = estimateCost;
+    this.limits = this.loadLimits(config);
+    this.localOnlyMode = null;
+  }
+
+  loadLimits(config) {
+    const costLimits = config.monitoring.cost_limits || {};
+    let costBased = {};
+
+    try {
+      const workflowConfig = JSON.parse(fs.readFileSync('./config/workflow_config.json', 'utf8'));
+      costBased = (workflowConfig.auto_routing_rules || {}).cost_based || {};
+    } catch (error) {
+      this.logger.warn(`Cannot read cost_based rules from workflow_config.json: ${error.message}`);
+    }
+
+    return {
+      daily_limit: costLimits.daily_limit !== undefined ? costLimits.daily_limit : costBased.daily_cost_limit,
+      per_request_limit: costLimits.per_request_limit !== undefined ? costLimits.per_request_limit : costBased.cost_per_request_threshold,
+      priority_content_budget_percentage: costLimits.priority_content_budget_percentage || 0,
+      over_limit_action: costLimits.over_limit_action || 'downgrade',
+      local_fallback_model: costLimits.local_fallback_model || 'complex_reasoning',
+      emergency_local_only_mode: costBased.emergency_local_only_mode === true
+    };
+  }
+
+  applyConfig(config) {
+    this.config = config;
+    this.limits = this.loadLimits(config);
+  }
+
+  // dryRun (route explanations) reports the outcome without entering local-only mode or logging
+  check(routingDecision, content, classification, options = {}, { dryRun = false } = {}) {
+    const dailySpent = this.ledger.getDailyCost();
+    if (!dryRun) {
+      this.updateLocalOnlyMode(dailySpent);
+    }
+    const localOnlyMode = dryRun ? this.evaluateLocalOnlyMode(dailySpent) : this.localOnlyMode;
+
+    if (routingDecision.route_to !== 'cloud') {
+      return routingDecision;
+    }
+
+    const tenant = options.tenant || null;
+    const isPriority = this.isPriority(routingDecision, classification, tenant);
+    const estimate = this.estimateCost(routingDecision, content);
+    const budget = {
+      daily_spent: dailySpent,
+      daily_limit: this.limits.daily_limit,
+      per_request_limit: this.limits.per_request_limit,
+      estimated_cost: estimate.estimated_cost,
+      budget_class: isPriority ? 'priority' : 'standard',
+      spend_ceiling: this.getSpendCeiling(isPriority),
+      local_only_mode: !!localOnlyMode
+    };
+
+    if (tenant && tenant.daily_cost_limit !== undefined) {
+      budget.tenant = tenant.id;
+      budget.tenant_daily_spent = this.ledger.getTenantDailyCost(tenant.id);
+      budget.tenant_daily_limit = tenant.daily_cost_limit;
+    }
+
+    if (localOnlyMode) {
+      return this.downgrade(routingDecision, budget, localOnlyMode.reason, true, tenant, dryRun);
+    }
+
+    const violation = this.findViolation(estimate.estimated_cost, dailySpent, isPriority, tenant);
+    if (!violation) {
+      return { ...routingDecision, budget: { ...budget, action: 'allowed' } };
+    }
+
+    // A cheaper cloud model may still fit before giving up on cloud entirely
+    const cheaper = this.findCheaperCloudModel(routingDecision, content, dailySpent, isPriority, tenant);
+    if (cheaper) {
+      return {
+        route_to: 'cloud',
+        model: cheaper.model,
+        reasoning: `Budget guard: ${violation}; using cheaper ${cheaper.model}`,
+        content_category: routingDecision.content_category,
+        budget: { ...budget, action: 'downgraded', reason: violation, estimated_cost: cheaper.estimated_cost },
+        original_decision: routingDecision
+      };
+    }
+
+    return this.downgrade(routingDecision, budget, violation, false, tenant, dryRun);
+  }
+
+  // The priority reserve is earned by detected priority tags or the tenant's policy, never by a caller's options.priority
+  isPriority(routingDecision, classification, tenant) {
+    return (classification.priority_tags || []).length > 0 ||
+      routingDecision.content_category === 'priority_tagged_content' ||
+      Boolean(tenant && tenant.default_priority === 'high');
+  }
+
+  findViolation(estimatedCost, dailySpent, isPriority, tenant = null) {
+    const { per_request_limit: perRequestLimit } = this.limits;
+
+    if (perRequestLimit !== undefined && estimatedCost > perRequestLimit) {
+      return `estimated cost $${estimatedCost.toFixed(4)} exceeds per-request limit $${perRequestLimit}`;
+    }
+
+    if (tenant && tenant.daily_cost_limit !== undefined &&
+        this.ledger.getTenantDailyCost(tenant.id) + estimatedCost > tenant.daily_cost_limit) {
+      return `tenant ${tenant.id} daily spend would exceed its $${tenant.daily_cost_limit} cap`;
+    }
+
+    const ceiling = this.getSpendCeiling(isPriority);
+    if (ceiling !== undefined && dailySpent + estimatedCost > ceiling) {
+      return isPriority
+        ? `daily spend would exceed the $${ceiling} daily limit`
+        : `daily spend would exceed the $${ceiling.toFixed(2)} available to standard content (${this.limits.priority_content_budget_percentage}% reserved for priority content)`;
+    }
+
+    return null;
+  }
+
+  // Standard content may not eat into the share reserved for priority content
+  getSpendCeiling(isPriority) {
+    const { daily_limit: dailyLimit, priority_content_budget_percentage: reservePercentage } = this.limits;
+    if (dailyLimit === undefined) {
+      return undefined;
+    }
+    return isPriority ? dailyLimit : dailyLimit * (1 - reservePercentage / 100);
+  }
+
+  findCheaperCloudModel(routingDecision, content, dailySpent, isPriority, tenant = null) {
+    const candidates = Object.keys(this.config.cloud_models)
+      .filter(model => model !== routingDecision.model && isRouteAllowed(tenant, 'cloud', model))
+      .map(model => ({ model, estimated_cost: this.estimateCost({ route_to: 'cloud', model }, content).estimated_cost }))
+      .sort((a, b) => a.estimated_cost - b.estimated_cost);
+
+    return candidates.find(candidate => !this.findViolation(candidate.estimated_cost, dailySpent, isPriority, tenant));
+  }
+
+  // The configured fallback, unless the tenant may not use it
+  getLocalFallbackModel(tenant) {
+    if (isRouteAllowed(tenant, 'local', this.limits.local_fallback_model)) {
+      return this.limits.local_fallback_model;
+    }
+    return Object.keys(this.config.local_models).find(model => isRouteAllowed(tenant, 'local', model)) || null;
+  }
+
+  downgrade(routingDecision, budget, reason, localOnly, tenant = null, dryRun = false) {
+    const fallbackModel = this.getLocalFallbackModel(tenant);
+
+    if ((this.limits.over_limit_action === 'reject' && !localOnly) || !fallbackModel) {
+      if (!dryRun) {
+        this.logger.warn(`Rejecting cloud route ${routingDecision.model}: ${reason}`);
+      }
+      return {
+        route_to: 'rejected',
+        model: routingDecision.model,
+        reasoning: `Budget guard rejected request: ${reason}`,
+        budget: { ...budget, action: 'rejected', reason },
+        original_decision: routingDecision
+      };
+    }
+
+    return {
+      route_to: 'local',
+      model: fallbackModel,
+      reasoning: localOnly ? `Local-only mode: ${reason}` : `Budget guard: ${reason}; switched to local`,
+      content_category: routingDecision.content_category,
+      budget: { ...budget, action: localOnly ? 'local_only' : 'downgraded', reason },
+      original_decision: routingDecision
+    };
+  }
+
+  // Local-only mode lasts until the ledger's day rolls over
+  evaluateLocalOnlyMode(dailySpent) {
+    const today = new Date().toISOString().split('T')[0];
+    const { daily_limit: dailyLimit } = this.limits;
+
+    if (this.localOnlyMode && this.localOnlyMode.day === today) {
+      return this.localOnlyMode;
+    }
+
+    if (this.limits.emergency_local_only_mode && dailyLimit !== undefined && dailySpent >= dailyLimit) {
+      return {
+        day: today,
+        since: new Date().toISOString(),
+        reason: `daily cloud spend $${dailySpent.toFixed(2)} reached the $${dailyLimit} daily limit`
+      };
+    }
+    return null;
+  }
+
+  updateLocalOnlyMode(dailySpent) {
+    const mode = this.evaluateLocalOnlyMode(dailySpent);
+    if (mode === this.localOnlyMode) {
+      return;
+    }
+
+    if (this.localOnlyMode) {
+      this.logger.info('New budget day - leaving local-only mode');
+    }
+    if (mode) {
+      this.logger.warn(`Entering local-only mode: ${mode.reason}`);
+    }
+    this.localOnlyMode = mode;
+  }
+
+  getStatus() {
+    const dailySpent = this.ledger.getDailyCost();
+    this.updateLocalOnlyMode(dailySpent);
+
+    return {
+      daily_spent: dailySpent,
+      daily_limit: this.limits.daily_limit,
+      per_request_limit: this.limits.per_request_limit,
+      standard_content_ceiling: this.getSpendCeiling(false),
+      priority_content_budget_percentage: this.limits.priority_content_budget_percentage,
+      local_only_mode: this.localOnlyMode
+    };
+  }
+}
+
+module.exports = { BudgetGuard };
@@ -0,0 +1,175 @@
+const { Logger } = require('./logger');
+const { isRouteAllowed } = require('./tenant-registry');
+
+// Runs chunk_and_process_parallel decisions: every chunk is routed on its own,
+// chunks run with bounded concurrency, and a reduce step merges their outputs.
+class ChunkedExecutor {
+  constructor(router, execute) {
+    this.logger = new Logger('ChunkedExecutor');
+    this.router = router;
+    this.execute = execute;
+  }
+
+  async run(routingDecision, content, options = {}) {
+    const startTime = Date.now();
+    const settings = this.router.contentChunker.settings;
+    const chunks = this.router.contentChunker.split(content);
+
+    this.logger.info(`Processing ${chunks.length} chunks with concurrency ${settings.max_concurrency}`);
+
+    const chunkResults = await this.mapWithConcurrency(chunks, settings.max_concurrency, chunk =>
+      this.processChunk(chunk, chunks.length, routingDecision, options)
+    );
+
+    const succeeded = chunkResults.filter(chunk => chunk.status === 'success');
+    const reduce = succeeded.length > 0
+      ? await this.reduce(succeeded, routingDecision, options)
+      : { strategy: settings.reduce.strategy, status: 'skipped', estimated_cost: 0 };
+
+    let status = 'success';
+    if (succeeded.length === 0) {
+      status = 'error';
+    } else if (succeeded.length < chunkResults.length) {
+      status = 'partial';
+    }
+
+    return {
+      result: reduce.output,
+      model: routingDecision.model,
+      processing_time: Date.now() - startTime,
+      status: status,
+      route_type: 'chunked',
+      error: status === 'error' ? 'All chunks failed' : undefined,
+      estimated_cost: chunkResults.reduce((sum, chunk) => sum + chunk.estimated_cost, 0) + reduce.estimated_cost,
+      usage: this.sumUsage([...chunkResults.map(chunk => chunk.usage), reduce.usage]),
+      quality_score: this.averageQuality(succeeded),
+      chunks: chunkResults.map(({ output, usage, ...provenance }) => provenance),
+      reduce: {
+        strategy: reduce.strategy,
+        route: reduce.route,
+        status: reduce.status,
+        error: reduce.error
+      }
+    };
+  }
+
+  async processChunk(chunk, totalChunks, parentDecision, options) {
+    const chunkOptions = {
+      ...options,
+      chunk: { index: chunk.index, total: totalChunks, parent_routing_id: parentDecision.routing_id }
+    };
+
+    const provenance = {
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      tokens: chunk.tokens
+    };
+
+    try {
+      const decision = await this.router.determineRoute(chunk.text, parentDecision.content_type, chunkOptions);
+      const result = await this.execute(decision, chunk.text, chunkOptions);
+      this.router.recordOutcome(decision, result);
+
+      return {
+        ...provenance,
+        routing_id: decision.routing_id,
+        route: `${decision.route_to}:${decision.model || decision.workflow}`,
+        model: result.model,
+        status: result.status,
+        processing_time: result.processing_time || 0,
+        estimated_cost: result.estimated_cost || 0,
+        quality_score: result.quality_score,
+        fallback_triggered: result.fallback ? result.fallback.triggered : false,
+        error: result.error,
+        output: result.result,
+        usage: result.usage
+      };
+    } catch (error) {
+      this.logger.error(`Chunk ${chunk.index} failed:`, error);
+      return { ...provenance, status: 'error', processing_time: 0, estimated_cost: 0, error: error.message };
+    }
+  }
+
+  async reduce(chunkResults, parentDecision, options) {
+    const { strategy, model } = this.router.contentChunker.settings.reduce;
+    const combined = chunkResults
+      .map(chunk => `[Chunk ${chunk.index + 1}, characters ${chunk.start}-${chunk.end}]\n${this.toText(chunk.output)}`)
+      .join('\n\n');
+
+    const [routeTo, modelKey] = model.split(':');
+    // Tenants that may not use the reduce model get the concatenation
+    if (strategy !== 'summarize' || chunkResults.length === 1 || !isRouteAllowed(options.tenant, routeTo, modelKey)) {
+      return {
+        strategy: 'concatenate',
+        status: 'success',
+        output: chunkResults.length === 1 ? chunkResults[0].output : combined,
+        estimated_cost: 0
+      };
+    }
+
+    const prompt = 'The following are analyses of consecutive, overlapping parts of one document. ' +
+      'Merge them into a single analysis, removing repetition caused by the overlap.\n\n' + combined;
+
+    const result = await this.execute({
+      route_to: routeTo,
+      model: modelKey,
+      reasoning: `Reduce step merging ${chunkResults.length} chunk results`,
+      routing_id: parentDecision.routing_id
+    }, prompt, options);
+
+    if (result.status !== 'success') {
+      // Still hand back the chunk outputs rather than nothing
+      this.logger.warn(`Reduce step failed, returning concatenated chunk results: ${result.error}`);
+      return { strategy, route: model, status: 'fallback_concatenate', error: result.error, output: combined, estimated_cost: result.estimated_cost || 0 };
+    }
+
+    return {
+      strategy,
+      route: model,
+      status: 'success',
+      output: result.result,
+      estimated_cost: result.estimated_cost || 0,
+      usage: result.usage
+    };
+  }
+
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  averageQuality(chunkResults) {
+    const scores = chunkResults.map(chunk => chunk.quality_score).filter(score => typeof score === 'number');
+    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : undefined;
+  }
+
+  toText(output) {
+    return typeof output === 'string' ? output : JSON.stringify(output);
+  }
+
+  sumUsage(usages) {
+    const present = usages.filter(Boolean);
+    if (present.length === 0) {
+      return undefined;
+    }
+
+    return {
+      input_tokens: present.reduce((sum, usage) => sum + (usage.input_tokens || 0), 0),
+      output_tokens: present.reduce((sum, usage) => sum + (usage.output_tokens || 0), 0),
+      source: present.every(usage => usage.source === 'provider') ? 'provider' : 'estimate'
+    };
+  }
+}
+
+module.exports = { ChunkedExecutor };
@@ -1,38 +1,82 @@
-const axios = require('axios');
 const { Logger } = require('./logger');
+const { getLedger } = require('./cost-ledger');
+const { getTokenCounter } = require('./tokenizer');
+const { getConfigLoader } = require('./config-loader');
+const { getProviderRegistry } = require('./model-providers');
+const { getResilience } = require('./provider-resilience');
+const { getScheduler } = require('./request-scheduler');
 
 class CloudModelManager {
   constructor() {
     this.logger = new Logger('CloudModelManager');
-    this.abacusApiKey = process.env.ABACUS_API_KEY;
-    this.abacusBaseUrl = process.env.ABACUS_BASE_URL || 'https://api.abacus.ai/v1';
-    this.modelConfig = JSON.parse(require('fs').readFileSync('./config/router_config.json', 'utf8')).cloud_models;
-    this.requestCount = new Map();
-    this.costTracking = new Map();
+    this.providers = getProviderRegistry();
+    this.resilience = getResilience();
+    this.scheduler = getScheduler();
+    this.modelConfig = getConfigLoader().get().cloud_models;
+    getConfigLoader().onChange(config => { this.modelConfig = config.cloud_models; });
+    this.ledger = getLedger();
+    this.tokenCounter = getTokenCounter();
   }
 
   async initialize() {
     this.logger.info('Initializing Cloud Model Manager...');
+    await this.tokenCounter.initialize();
     await this.testConnection();
   }
 
+  // One minimal request per provider in use, with the first model configured for it
   async testConnection() {
-    if (!this.abacusApiKey) {
-      throw new Error('ABACUS_API_KEY environment variable not set');
+    for (const [provider, modelConfig] of this.getProviderModels()) {
+      if (!this.providers.get(provider).isConfigured()) {
+        throw new Error(`Provider ${provider} is not configured: ${this.providers.get(provider).apiKeyEnv} environment variable not set`);
+      }
+
+      try {
+        await this.makeRequest(modelConfig, 'Hello', { max_tokens: 1 });
+        this.logger.info(`${provider} connection successful`);
+      } catch (error) {
+        this.logger.error(`${provider} connection failed:`, error.message);
+        throw new Error(`Cannot connect to cloud provider ${provider}`);
+      }
     }
+    return true;
+  }
 
+  getProviderModels() {
+    const providers = new Map();
+    Object.values(this.modelConfig).forEach(modelConfig => {
+      if (!providers.has(modelConfig.provider)) {
+        providers.set(modelConfig.provider, modelConfig);
+      }
+    });
+    return providers;
+  }
+
+  // Waits for a slot from the shared scheduler; the wait is reported in result.queue, not in processing_time
+  async process(modelKey, content, options = {}) {
+    let slot;
     try {
-      // Test with a simple request
-      const response = await this.makeAbacusRequest('gpt-4o-mini', 'Hello', { max_tokens: 1 });
-      this.logger.info('Abacus.AI connection successful');
-      return true;
+      slot = await this.scheduler.acquire(`cloud:${modelKey}`, options);
     } catch (error) {
-      this.logger.error('Abacus.AI connection failed:', error.message);
-      throw new Error('Cannot connect to Abacus.AI service');
+      this.logger.warn(`Cloud request for ${modelKey} not admitted: ${error.message}`);
+      return {
+        error: error.message,
+        model: modelKey,
+        processing_time: 0,
+        status: 'error',
+        route_type: 'cloud',
+        queue: error.queue
+      };
+    }
+
+    try {
+      return { ...(await this.execute(modelKey, content, options)), queue: slot.queue };
+    } finally {
+      slot.release();
     }
   }
 
-  async process(modelKey, content, options = {}) {
+  async execute(modelKey, content, options = {}) {
     const startTime = Date.now();
     
     try {
@@ -41,17 +85,37 @@ class CloudModelManager {
         throw new Error(`Unknown cloud model key: ${modelKey}`);
       }
 
-      const result = await this.makeAbacusRequest(modelConfig.model, content, {
-        max_tokens: modelConfig.max_tokens,
+      if (Array.isArray(options.images) && options.images.length > 0 && !modelConfig.supports_images) {
+        throw new Error(`Image input is not supported for cloud model ${modelConfig.model}`);
+      }
+
+      // Conversations lose their oldest turns before they would overflow the context window
+      const history = Array.isArray(options.messages) ? this.tokenCounter.fitMessages(options.messages, modelConfig) : null;
+      const prompt = history ? history.text : content;
+      const contextCheck = this.tokenCounter.checkContextWindow(prompt, modelConfig);
+      if (!contextCheck.fits) {
+        throw new Error(`Input of ${contextCheck.input_tokens} tokens exceeds the ${contextCheck.context_window} token context window of ${modelConfig.model}`);
+      }
+
+      const { content: result, usage: reportedUsage, finish_reason: finishReason, retries } = await this.makeRequest(modelConfig, content, {
         temperature: modelConfig.temperature,
-        ...options
+        ...options,
+        messages: history ? history.messages : undefined,
+        max_tokens: Math.min(options.max_tokens || modelConfig.max_tokens, contextCheck.max_output_tokens)
       });
 
       const processingTime = Date.now() - startTime;
-      const estimatedCost = this.calculateCost(modelConfig, content, result);
+      const usage = reportedUsage || this.estimateUsage(modelConfig, prompt, result);
+      const estimatedCost = this.calculateCost(modelConfig, prompt, result, usage);
 
       // Track usage
-      this.updateUsageStats(modelKey, processingTime, estimatedCost);
+      this.updateUsageStats(modelKey, processingTime, estimatedCost, {
+        model: modelConfig.model,
+        usage: usage,
+        status: 'success',
+        routing_id: options.routing_id,
+        tenant: options.tenant && options.tenant.id
+      });
 
       return {
         result: result,
@@ -59,12 +123,22 @@ class CloudModelManager {
         processing_time: processingTime,
         status: 'success',
         route_type: 'cloud',
-        estimated_cost: estimatedCost
+        estimated_cost: estimatedCost,
+        usage: usage,
+        finish_reason: finishReason,
+        retries: retries || undefined,
+        history: history ? { messages_sent: history.messages.length, messages_dropped: history.dropped } : undefined
       };
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
       this.logger.error(`Cloud processing failed for ${modelKey}:`, error);
+      this.updateUsageStats(modelKey, processingTime, 0, {
+        model: this.modelConfig[modelKey]?.model,
+        status: 'error',
+        routing_id: options.routing_id,
+        tenant: options.tenant && options.tenant.id
+      });
       
       return {
         error: error.message,
@@ -76,40 +150,26 @@ class CloudModelManager {
     }
   }
 
-  async makeAbacusRequest(model, content, options = {}) {
-    const requestData = {
-      model: model,
-      messages: [
-        {
-          role: 'user',
-          content: content
-        }
-      ],
-      max_tokens: options.max_tokens || 1000,
-      temperature: options.temperature || 0.7
-    };
+  // The model's provider field picks the adapter; see utils/model-providers.js.
+  // Retries and circuit breakers apply per provider and model (utils/provider-resilience.js).
+  async makeRequest(modelConfig, content, options = {}) {
+    return this.resilience.complete(this.providers.get(modelConfig.provider), {
+      ...options,
+      model: modelConfig.model,
+      prompt: content
+    });
+  }
 
-    try {
-      const response = await axios.post(`${this.abacusBaseUrl}/chat/completions`, requestData, {
-        headers: {
-          'Authorization': `Bearer ${this.abacusApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000 // 60 second timeout
-      });
-      
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`Abacus.AI API error: ${error.response.status} - ${error.response.data.error?.message || 'Unknown error'}`);
-      }
-      throw error;
-    }
+  estimateUsage(modelConfig, inputContent, outputContent) {
+    return {
+      input_tokens: this.tokenCounter.count(inputContent, modelConfig.model, modelConfig),
+      output_tokens: this.tokenCounter.count(outputContent || '', modelConfig.model, modelConfig),
+      source: this.tokenCounter.isExact(modelConfig.model, modelConfig) ? 'tokenizer' : 'estimate'
+    };
   }
 
-  calculateCost(modelConfig, inputContent, outputContent) {
-    const inputTokens = Math.ceil(inputContent.length / 4); // Rough token estimation
-    const outputTokens = Math.ceil((outputContent?.length || 0) / 4);
+  calculateCost(modelConfig, inputContent, outputContent, usage = null) {
+    const { input_tokens: inputTokens, output_tokens: outputTokens } = usage || this.estimateUsage(modelConfig, inputContent, outputContent);
     
     const inputCost = (inputTokens / 1000) * (modelConfig.cost_per_1k_input || 0.001);
     const outputCost = (outputTokens / 1000) * (modelConfig.cost_per_1k_output || 0.002);
@@ -117,25 +177,27 @@ class CloudModelManager {
     return inputCost + outputCost;
   }
 
-  updateUsageStats(modelKey, processingTime, cost) {
-    const key = modelKey;
-    const existing = this.requestCount.get(key) || { count: 0, totalTime: 0, totalCost: 0 };
-    
-    existing.count++;
-    existing.totalTime += processingTime;
-    existing.totalCost += cost;
-    
-    this.requestCount.set(key, existing);
-    
-    // Track daily costs
-    const today = new Date().toISOString().split('T')[0];
-    const dailyCost = this.costTracking.get(today) || 0;
-    this.costTracking.set(today, dailyCost + cost);
+  updateUsageStats(modelKey, processingTime, cost, details = {}) {
+    const usage = details.usage || {};
+
+    this.ledger.record({
+      routing_id: details.routing_id,
+      tenant: details.tenant,
+      route_type: 'cloud',
+      model_key: modelKey,
+      model: details.model,
+      input_tokens: usage.input_tokens,
+      output_tokens: usage.output_tokens,
+      cost: cost,
+      latency: processingTime,
+      status: details.status
+    });
   }
 
   getStatus() {
     return {
-      connected: !!this.abacusApiKey,
+      connected: [...this.getProviderModels().keys()].every(provider => this.providers.get(provider).isConfigured()),
+      providers: this.providers.getStatus([...this.getProviderModels().keys()]),
       available_models: Object.keys(this.modelConfig),
       daily_cost: this.getDailyCost(),
       request_count: this.getTotalRequests()
@@ -143,27 +205,17 @@ class CloudModelManager {
   }
 
   getDailyCost() {
-    const today = new Date().toISOString().split('T')[0];
-    return this.costTracking.get(today) || 0;
+    return this.ledger.getDailyCost();
   }
 
   getTotalRequests() {
-    return Array.from(this.requestCount.values()).reduce((sum, stats) => sum + stats.count, 0);
+    return this.ledger.getTotalRequests('cloud');
   }
 
-  async generateEmbedding(text, model = 'text-embedding-ada-002') {
+  // Embeddings come from an OpenAI-compatible provider, Abacus.AI unless configured otherwise
+  async generateEmbedding(text, model = 'text-embedding-ada-002', provider = 'abacus') {
     try {
-      const response = await axios.post(`${this.abacusBaseUrl}/embeddings`, {
-        model: model,
-        input: text.substring(0, 8000)
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.abacusApiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      return response.data.data[0].embedding;
+      return await this.providers.get(provider).embed(text.substring(0, 8000), model);
     } catch (error) {
       this.logger.error('Error generating embedding:', error);
       throw error;
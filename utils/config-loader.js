@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Ajv = require('ajv');
+const { Logger } = require('./logger');
+const { RuleEngine } = require('./rule-engine');
+
+const DEFAULT_CONFIG_PATH = './config/router_config.json';
+const DEFAULT_SCHEMA_PATH = './config/router_config.schema.json';
+const RELOAD_DEBOUNCE_MS = 250;
+
+// Raised when router_config.json cannot be parsed or fails validation; errors carry JSON pointer paths
+class ConfigValidationError extends Error {
+  constructor(filePath, errors) {
+    super(`Invalid config ${filePath}: ${errors.map(error => `${error.path || '/'} ${error.message}`).join('; ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+// Single source of router_config.json. Consumers read get() and subscribe with onChange();
+// change listeners run synchronously in one tick, so every component swaps to the new config together.
+class ConfigLoader extends EventEmitter {
+  constructor(filePath = process.env.ROUTER_CONFIG_PATH || DEFAULT_CONFIG_PATH, schemaPath = DEFAULT_SCHEMA_PATH) {
+    super();
+    this.setMaxListeners(0);
+    this.logger = new Logger('ConfigLoader');
+    this.filePath = filePath;
+    this.schemaPath = schemaPath;
+    this.config = null;
+    this.version = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  get() {
+    if (!this.config) {
+      const { config, version } = this.read();
+      this.config = config;
+      this.version = version;
+      this.loadedAt = new Date().toISOString();
+    }
+    return this.config;
+  }
+
+  onChange(listener) {
+    this.on('change', listener);
+  }
+
+  read() {
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    let config;
+
+    try {
+      config = JSON.parse(raw);
+    } catch (error) {
+      throw new ConfigValidationError(this.filePath, [{ path: '', message: error.message }]);
+    }
+
+    const errors = [...this.validateSchema(config), ...this.validateReferences(config)];
+    if (errors.length > 0) {
+      throw new ConfigValidationError(this.filePath, errors);
+    }
+
+    return { config, version: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 12) };
+  }
+
+  validateSchema(config) {
+    if (!this.validator) {
+      const ajv = new Ajv({ allErrors: true, strict: false });
+      this.validator = ajv.compile(JSON.parse(fs.readFileSync(this.schemaPath, 'utf8')));
+    }
+
+    if (this.validator(config)) {
+      return [];
+    }
+    return this.validator.errors.map(error => ({
+      path: error.instancePath,
+      message: error.keyword === 'additionalProperties'
+        ? `${error.message}: ${error.params.additionalProperty}`
+        : error.message
+    }));
+  }
+
+  // Cross-references the schema cannot express: model keys, routes and rule condition syntax
+  validateReferences(config) {
+    const errors = [];
+    const localModels = config.local_models || {};
+    const cloudModels = config.cloud_models || {};
+    const ruleEngine = new RuleEngine(config);
+    const routing = config.routing_rules || {};
+
+    const checkModel = (models, key, pointer, kind) => {
+      if (key !== undefined && !Object.prototype.hasOwnProperty.call(models, key)) {
+        errors.push({ path: pointer, message: `unknown ${kind} model "${key}"` });
+      }
+    };
+    const checkRoute = (route, pointer) => {
+      const [routeTo, model] = String(route).split(':');
+      checkModel(routeTo === 'cloud' ? cloudModels : localModels, model, pointer, routeTo);
+    };
+    const checkCondition = (condition, pointer) => {
+      if (typeof condition !== 'string') {
+        return;
+      }
+      try {
+        ruleEngine.parse(condition);
+      } catch (error) {
+        errors.push({ path: pointer, message: `condition does not parse: ${error.message}` });
+      }
+    };
+
+    // Loaded here rather than at the top: model-providers itself requires this module
+    const { PROVIDER_TYPES } = require('./model-providers');
+    const checkProvider = (provider, pointer) => {
+      if (provider !== undefined && !(config.providers || {})[provider] && !PROVIDER_TYPES[provider]) {
+        errors.push({ path: pointer, message: `unknown provider "${provider}"` });
+      }
+    };
+    Object.entries(localModels).forEach(([key, model]) => checkProvider(model.provider, `/local_models/${key}/provider`));
+    Object.entries(cloudModels).forEach(([key, model]) => checkProvider(model.provider, `/cloud_models/${key}/provider`));
+
+    for (const [name, rule] of Object.entries(routing.content_type_routing || {})) {
+      const pointer = `/routing_rules/content_type_routing/${name}`;
+      checkCondition(rule.condition, `${pointer}/condition`);
+      checkCondition(rule.fallback_condition, `${pointer}/fallback_condition`);
+      checkModel(cloudModels, rule.fallback_model, `${pointer}/fallback_model`, 'cloud');
+      if (rule.route_to === 'local' || rule.route_to === 'cloud') {
+        checkModel(rule.route_to === 'cloud' ? cloudModels : localModels, rule.model, `${pointer}/model`, rule.route_to);
+      }
+    }
+
+    checkModel(cloudModels, (routing.fallback || {}).cloud_model, '/routing_rules/fallback/cloud_model', 'cloud');
+
+    const chunking = routing.chunking || {};
+    checkCondition(chunking.condition, '/routing_rules/chunking/condition');
+    if (chunking.reduce && chunking.reduce.model) {
+      checkRoute(chunking.reduce.model, '/routing_rules/chunking/reduce/model');
+    }
+
+    const quality = routing.quality_validation || {};
+    (quality.model_ladder || []).forEach((route, index) => checkRoute(route, `/routing_rules/quality_validation/model_ladder/${index}`));
+    checkModel(localModels, (quality.judge || {}).model, '/routing_rules/quality_validation/judge/model', 'local');
+
+    const ensemble = routing.ensemble || {};
+    (ensemble.models || []).forEach((route, index) => checkRoute(route, `/routing_rules/ensemble/models/${index}`));
+    if (ensemble.judge && ensemble.judge.model) {
+      checkRoute(ensemble.judge.model, '/routing_rules/ensemble/judge/model');
+    }
+
+    ((config.model_residency || {}).pinned || []).forEach((key, index) => checkModel(localModels, key, `/model_residency/pinned/${index}`, 'local'));
+    Object.keys((config.scheduler || {}).model_concurrency || {}).forEach(route => checkRoute(route, `/scheduler/model_concurrency/${route}`));
+
+    checkModel(localModels, (routing.llm_classification || {}).model, '/routing_rules/llm_classification/model', 'local');
+
+    for (const [name, experiment] of Object.entries((routing.shadow_routing || {}).experiments || {})) {
+      const pointer = `/routing_rules/shadow_routing/experiments/${name}`;
+      checkRoute(experiment.shadow_route, `${pointer}/shadow_route`);
+      if (experiment.rule && !(routing.content_type_routing || {})[experiment.rule]) {
+        errors.push({ path: `${pointer}/rule`, message: `unknown routing rule "${experiment.rule}"` });
+      }
+    }
+
+    const tenancy = config.tenancy || {};
+    if (tenancy.default_tenant && tenancy.tenants && !tenancy.tenants[tenancy.default_tenant]) {
+      errors.push({ path: '/tenancy/default_tenant', message: `unknown tenant "${tenancy.default_tenant}"` });
+    }
+    for (const [id, tenant] of Object.entries(tenancy.tenants || {})) {
+      (tenant.allowed_models || []).forEach((route, index) => {
+        if (!route.endsWith(':*')) {
+          checkRoute(route, `/tenancy/tenants/${id}/allowed_models/${index}`);
+        }
+      });
+    }
+
+    for (const [name, group] of Object.entries(config.priority_tags || {})) {
+      checkModel(cloudModels, group.advanced_analysis_model, `/priority_tags/${name}/advanced_analysis_model`, 'cloud');
+    }
+
+    const monitoring = config.monitoring || {};
+    checkModel(localModels, (monitoring.cost_limits || {}).local_fallback_model, '/monitoring/cost_limits/local_fallback_model', 'local');
+
+    const adaptive = (monitoring.optimization || {}).adaptive_routing || {};
+    for (const [category, routes] of Object.entries(adaptive.candidates || {})) {
+      routes.forEach((route, index) => checkRoute(route, `/monitoring/optimization/adaptive_routing/candidates/${category}/${index}`));
+    }
+
+    return errors;
+  }
+
+  // Swaps in the file's current contents; an invalid file leaves the last good config in place
+  reload() {
+    let next;
+    try {
+      next = this.read();
+    } catch (error) {
+      this.lastError = {
+        at: new Date().toISOString(),
+        message: error.message,
+        errors: error.errors || [{ path: '', message: error.message }]
+      };
+      this.logger.error(`Config reload rejected, keeping version ${this.version}: ${error.message}`);
+      this.emit('invalid', error);
+      return { status: 'rejected', version: this.version, errors: this.lastError.errors };
+    }
+
+    if (next.version === this.version) {
+      return { status: 'unchanged', version: this.version };
+    }
+
+    const previous = this.config;
+    this.config = next.config;
+    this.version = next.version;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+
+    this.logger.info(`Config reloaded from ${this.filePath} (version ${this.version})`);
+    this.emit('change', this.config, previous);
+    return { status: 'reloaded', version: this.version };
+  }
+
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    this.get();
+    // Watch the directory: editors often replace the file rather than write it in place
+    const fileName = path.basename(this.filePath);
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+      if (changed && changed !== fileName) {
+        return;
+      }
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+    });
+    this.watcher.unref();
+    this.logger.info(`Watching ${this.filePath} for changes`);
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      file: this.filePath,
+      version: this.version,
+      loaded_at: this.loadedAt,
+      watching: this.watcher !== null,
+      last_error: this.lastError
+    };
+  }
+}
+
+const loaders = new Map();
+
+// Every component in a process shares one loader per config file
+function getConfigLoader(filePath = process.env.ROUTER_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  if (!loaders.has(filePath)) {
+    loaders.set(filePath, new ConfigLoader(filePath));
+  }
+  return loaders.get(filePath);
+}
+
+module.exports = { ConfigLoader, ConfigValidationError, getConfigLoader };
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const { Logger } = require('./logger');
+
+const CHUNK_ACTION = 'chunk_and_process_parallel';
+const DEFAULT_CONDITION = 'content_length > 5000';
+
+// Splits long text into overlapping chunks on paragraph, then sentence, then word boundaries.
+// Chunks are slices of the original text, so start/end offsets point back into it.
+class ContentChunker {
+  constructor(config, tokenCounter) {
+    this.logger = new Logger('ContentChunker');
+    this.tokenCounter = tokenCounter;
+    this.settings = this.loadSettings(config);
+  }
+
+  loadSettings(config) {
+    const chunking = config.routing_rules.chunking || {};
+    const reduce = chunking.reduce || {};
+
+    return {
+      enabled: chunking.enabled !== false,
+      condition: chunking.condition || this.loadWorkflowCondition(),
+      chunk_tokens: chunking.chunk_tokens || 1000,
+      overlap_tokens: chunking.overlap_tokens !== undefined ? chunking.overlap_tokens : 100,
+      max_concurrency: chunking.max_concurrency || 3,
+      reduce: {
+        strategy: reduce.strategy || 'concatenate',
+        model: reduce.model || 'local:general_processing'
+      }
+    };
+  }
+
+  applyConfig(config) {
+    this.settings = this.loadSettings(config);
+  }
+
+  // The trigger lives in the content analysis decision tree next to the other routing actions
+  loadWorkflowCondition() {
+    try {
+      const workflowConfig = JSON.parse(fs.readFileSync('./config/workflow_config.json', 'utf8'));
+      const pipeline = workflowConfig.content_analysis_pipeline || {};
+      const decisionTree = (pipeline.routing_logic || {}).decision_tree || [];
+      const entry = decisionTree.find(node => node.action === CHUNK_ACTION);
+      if (entry && entry.condition) {
+        return entry.condition;
+      }
+    } catch (error) {
+      this.logger.warn(`Cannot read ${CHUNK_ACTION} condition from workflow_config.json: ${error.message}`);
+    }
+    return DEFAULT_CONDITION;
+  }
+
+  split(content) {
+    const text = typeof content === 'string' ? content : String(content || '');
+    const { chunk_tokens: chunkTokens, overlap_tokens: overlapTokens } = this.settings;
+    const chunks = [];
+    let current = [];
+
+    const total = units => units.reduce((sum, unit) => sum + unit.tokens, 0);
+
+    for (const unit of this.splitUnits(text, chunkTokens)) {
+      if (current.length > 0 && total(current) + unit.tokens > chunkTokens) {
+        // Prefer ending on a paragraph break as long as the chunk stays at least half full
+        let cut = current.length;
+        for (let i = current.length - 2; i >= 0; i--) {
+          if (current[i].paragraph_end) {
+            if (total(current.slice(0, i + 1)) >= chunkTokens / 2) {
+              cut = i + 1;
+            }
+            break;
+          }
+        }
+
+        const emitted = current.slice(0, cut);
+        chunks.push(this.buildChunk(text, emitted, chunks.length));
+
+        // Repeat trailing sentences at the head of the next chunk, never the whole chunk
+        const overlap = [];
+        for (let i = emitted.length - 1; i > 0 && total(overlap) + emitted[i].tokens <= overlapTokens; i--) {
+          overlap.unshift(emitted[i]);
+        }
+
+        current = [...overlap, ...current.slice(cut)];
+        while (current.length > 0 && total(current) + unit.tokens > chunkTokens) {
+          current.shift();
+        }
+      }
+      current.push(unit);
+    }
+
+    const lastEnd = chunks.length > 0 ? chunks[chunks.length - 1].end : -1;
+    if (current.length > 0 && current[current.length - 1].end > lastEnd) {
+      chunks.push(this.buildChunk(text, current, chunks.length));
+    }
+
+    return chunks;
+  }
+
+  buildChunk(text, units, index) {
+    const start = units[0].start;
+    const end = units[units.length - 1].end;
+    const chunkText = text.slice(start, end);
+
+    return {
+      index,
+      start,
+      end,
+      tokens: this.tokenCounter.count(chunkText),
+      text: chunkText
+    };
+  }
+
+  // Sentence-sized units, flagged where a paragraph ends
+  splitUnits(text, maxTokens) {
+    const units = [];
+
+    for (const paragraph of this.matchSpans(text, /[\s\S]+?(?:\n\s*\n|$)/g, 0, text.length)) {
+      const sentences = this.matchSpans(text, /[^.!?]*(?:[.!?]+["')\]]*|$)\s*/g, paragraph.start, paragraph.end);
+
+      sentences.forEach((sentence, index) => {
+        const tokens = this.countSpan(text, sentence);
+        const pieces = tokens <= maxTokens ? [{ ...sentence, tokens }] : this.splitWords(text, sentence, tokens, maxTokens);
+        pieces[pieces.length - 1].paragraph_end = index === sentences.length - 1;
+        units.push(...pieces);
+      });
+    }
+
+    return units;
+  }
+
+  // Last resort for a single sentence longer than a chunk: cut at word boundaries,
+  // sizing pieces by the sentence's own characters-per-token ratio
+  splitWords(text, span, tokens, maxTokens) {
+    const maxChars = Math.max(1, Math.floor((span.end - span.start) * maxTokens / tokens));
+    const pieces = [];
+    let piece = null;
+
+    for (const word of this.matchSpans(text, /\S+\s*/g, span.start, span.end)) {
+      if (piece && word.end - piece.start > maxChars) {
+        pieces.push(piece);
+        piece = null;
+      }
+      piece = piece ? { start: piece.start, end: word.end } : { ...word };
+    }
+
+    if (piece) {
+      pieces.push(piece);
+    }
+    return pieces.map(p => ({ ...p, tokens: this.countSpan(text, p) }));
+  }
+
+  matchSpans(text, pattern, start, end) {
+    const segment = text.slice(start, end);
+    const spans = [];
+
+    for (const match of segment.matchAll(pattern)) {
+      if (match[0].length > 0) {
+        spans.push({ start: start + match.index, end: start + match.index + match[0].length });
+      }
+    }
+    return spans;
+  }
+
+  countSpan(text, span) {
+    return this.tokenCounter.count(text.slice(span.start, span.end));
+  }
+}
+
+module.exports = { ContentChunker, CHUNK_ACTION };
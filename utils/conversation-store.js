@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('./logger');
+
+const DEFAULT_CONVERSATION_PATH = './data/conversations/conversations.jsonl';
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// Raised for malformed messages and unknown sessions; the API answers these with 400 or 404
+class ConversationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ConversationError';
+    this.statusCode = statusCode;
+  }
+}
+
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new ConversationError('messages must be a non-empty array');
+  }
+
+  messages.forEach((message, index) => {
+    if (!message || !MESSAGE_ROLES.includes(message.role)) {
+      throw new ConversationError(`Message ${index}: role must be one of ${MESSAGE_ROLES.join(', ')}`);
+    }
+    if (typeof message.content !== 'string' || !message.content.trim()) {
+      throw new ConversationError(`Message ${index}: content must be a non-empty string`);
+    }
+  });
+
+  if (messages[messages.length - 1].role !== 'user') {
+    throw new ConversationError('The last message must have the user role');
+  }
+
+  return messages.map(({ role, content }) => ({ role, content }));
+}
+
+// Sessions of chat messages, scoped to the tenant that started them. Every change is appended to a
+// JSONL file and replayed on startup; memory holds the most recently used sessions within their TTL.
+class ConversationStore {
+  constructor(config, filePath = process.env.CONVERSATION_LOG_PATH || DEFAULT_CONVERSATION_PATH) {
+    this.logger = new Logger('ConversationStore');
+    this.filePath = filePath;
+    this.sessions = new Map();
+    this.writeQueue = Promise.resolve();
+    this.loaded = false;
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    const conversations = config.conversations || {};
+    this.settings = {
+      max_sessions: conversations.max_sessions || 1000,
+      session_ttl_ms: conversations.session_ttl_ms || 24 * 60 * 60 * 1000,
+      max_messages: conversations.max_messages || 100
+    };
+    this.evict();
+  }
+
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+      }
+    }
+    this.evict();
+
+    this.logger.info(`Loaded ${this.sessions.size} conversations from ${this.filePath}`);
+  }
+
+  apply(event) {
+    if (event.type === 'delete') {
+      this.sessions.delete(event.session_id);
+      return;
+    }
+
+    const session = this.sessions.get(event.session_id) || {
+      id: event.session_id,
+      tenant: event.tenant,
+      created_at: event.timestamp,
+      messages: []
+    };
+    session.messages.push(...event.messages);
+    session.updated_at = event.timestamp;
+    this.trimMessages(session);
+
+    // Map order doubles as recency order for eviction
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+  }
+
+  write(event) {
+    this.apply(event);
+    this.evict();
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(event)}\n`))
+      .catch(error => this.logger.error('Failed to append to conversation log:', error));
+  }
+
+  // A new session is only stored once its first turn is appended
+  create(tenantId) {
+    return { id: uuidv4(), tenant: tenantId, messages: [] };
+  }
+
+  // Sessions of other tenants are reported as missing, like expired ones
+  get(sessionId, tenantId) {
+    this.load();
+    const session = this.sessions.get(sessionId);
+    if (!session || session.tenant !== tenantId || this.isExpired(session)) {
+      return null;
+    }
+    return session;
+  }
+
+  append(sessionId, tenantId, messages) {
+    this.load();
+    this.write({
+      type: 'append',
+      session_id: sessionId,
+      tenant: tenantId,
+      timestamp: new Date().toISOString(),
+      messages
+    });
+    return this.sessions.get(sessionId);
+  }
+
+  delete(sessionId, tenantId) {
+    if (!this.get(sessionId, tenantId)) {
+      return false;
+    }
+    this.write({ type: 'delete', session_id: sessionId, tenant: tenantId, timestamp: new Date().toISOString() });
+    return true;
+  }
+
+  isExpired(session) {
+    return Date.now() - new Date(session.updated_at).getTime() > this.settings.session_ttl_ms;
+  }
+
+  // System messages are kept; the oldest other messages go first
+  trimMessages(session) {
+    const excess = session.messages.length - this.settings.max_messages;
+    if (excess <= 0) {
+      return;
+    }
+
+    let dropped = 0;
+    session.messages = session.messages.filter(message => {
+      if (dropped < excess && message.role !== 'system') {
+        dropped++;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  evict() {
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(id);
+      }
+    }
+    while (this.sessions.size > this.settings.max_sessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  getStatus() {
+    this.load();
+    return {
+      sessions: this.sessions.size,
+      max_sessions: this.settings.max_sessions,
+      session_ttl_ms: this.settings.session_ttl_ms
+    };
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = { ConversationStore, ConversationError, validateMessages };
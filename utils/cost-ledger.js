@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+const DEFAULT_LEDGER_PATH = './data/ledger/cost-ledger.jsonl';
+
+// Append-only JSONL record of every model call. Aggregates are rebuilt from the file on
+// startup, so daily cost and per-model stats survive restarts.
+class CostLedger {
+  constructor(filePath = process.env.COST_LEDGER_PATH || DEFAULT_LEDGER_PATH) {
+    this.logger = new Logger('CostLedger');
+    this.filePath = filePath;
+    this.dailyCosts = new Map();
+    this.tenantDailyCosts = new Map();
+    this.modelStats = new Map();
+    this.writeQueue = Promise.resolve();
+    this.loaded = false;
+  }
+
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.aggregate(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        skipped++;
+      }
+    }
+
+    this.logger.info(`Loaded cost ledger from ${this.filePath}`, { entries: lines.length - skipped, skipped });
+  }
+
+  record(entry) {
+    this.load();
+
+    const record = {
+      timestamp: new Date().toISOString(),
+      routing_id: entry.routing_id,
+      tenant: entry.tenant,
+      route_type: entry.route_type,
+      model_key: entry.model_key,
+      model: entry.model,
+      input_tokens: entry.input_tokens || 0,
+      output_tokens: entry.output_tokens || 0,
+      cost: entry.cost || 0,
+      latency: entry.latency || 0,
+      status: entry.status
+    };
+
+    this.aggregate(record);
+
+    // Serialize appends so concurrent calls never interleave lines
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`))
+      .catch(error => this.logger.error('Failed to append to cost ledger:', error));
+
+    return record;
+  }
+
+  aggregate(record) {
+    const day = record.timestamp.split('T')[0];
+    this.dailyCosts.set(day, (this.dailyCosts.get(day) || 0) + (record.cost || 0));
+    if (record.tenant) {
+      const tenantDay = `${record.tenant}|${day}`;
+      this.tenantDailyCosts.set(tenantDay, (this.tenantDailyCosts.get(tenantDay) || 0) + (record.cost || 0));
+    }
+
+    const key = `${record.route_type}:${record.model_key}`;
+    const stats = this.modelStats.get(key) || {
+      route_type: record.route_type,
+      model_key: record.model_key,
+      count: 0,
+      errors: 0,
+      total_latency: 0,
+      total_cost: 0,
+      input_tokens: 0,
+      output_tokens: 0
+    };
+
+    stats.count++;
+    stats.errors += record.status === 'success' ? 0 : 1;
+    stats.total_latency += record.latency || 0;
+    stats.total_cost += record.cost || 0;
+    stats.input_tokens += record.input_tokens || 0;
+    stats.output_tokens += record.output_tokens || 0;
+    stats.avg_latency = stats.total_latency / stats.count;
+    stats.avg_cost = stats.total_cost / stats.count;
+
+    this.modelStats.set(key, stats);
+  }
+
+  getDailyCost(day = new Date().toISOString().split('T')[0]) {
+    this.load();
+    return this.dailyCosts.get(day) || 0;
+  }
+
+  getTenantDailyCost(tenantId, day = new Date().toISOString().split('T')[0]) {
+    this.load();
+    return this.tenantDailyCosts.get(`${tenantId}|${day}`) || 0;
+  }
+
+  getModelStats(routeType, modelKey) {
+    this.load();
+    return this.modelStats.get(`${routeType}:${modelKey}`);
+  }
+
+  getTotalRequests(routeType = null) {
+    this.load();
+    return Array.from(this.modelStats.values())
+      .filter(stats => !routeType || stats.route_type === routeType)
+      .reduce((sum, stats) => sum + stats.count, 0);
+  }
+
+  getSummary() {
+    this.load();
+    return {
+      file: this.filePath,
+      daily_cost: this.getDailyCost(),
+      daily_costs: Object.fromEntries(this.dailyCosts),
+      models: Array.from(this.modelStats.values())
+    };
+  }
+
+  // Resolves once every pending append has reached the file
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+const ledgers = new Map();
+
+// Router and model managers share one ledger per file within a process
+function getLedger(filePath = process.env.COST_LEDGER_PATH || DEFAULT_LEDGER_PATH) {
+  if (!ledgers.has(filePath)) {
+    ledgers.set(filePath, new CostLedger(filePath));
+  }
+  return ledgers.get(filePath);
+}
+
+module.exports = { CostLedger, getLedger };
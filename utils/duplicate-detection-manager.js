@@ -1,10 +1,12 @@
 const crypto = require('crypto');
 const { Logger } = require('./logger');
+const { getConfigLoader } = require('./config-loader');
 
 class DuplicateDetectionManager {
   constructor() {
     this.logger = new Logger('DuplicateDetection');
-    this.config = JSON.parse(require('fs').readFileSync('./config/router_config.json', 'utf8')).duplicate_detection;
+    this.config = getConfigLoader().get().duplicate_detection;
+    getConfigLoader().onChange(config => { this.config = config.duplicate_detection; });
     this.processedContent = new Map(); // In-memory cache
     this.contentDatabase = null; // Would connect to your database
   }
@@ -42,8 +44,8 @@ class DuplicateDetectionManager {
     };
   }
 
-  // Check if content has been processed
-  async checkIfProcessed(content) {
+  // Check if content has been processed; readOnly lookups (route explanations) leave the cache as it is
+  async checkIfProcessed(content, { readOnly = false } = {}) {
     const fingerprint = this.generateContentFingerprint(content);
     
     // Check in-memory cache first
@@ -63,7 +65,9 @@ class DuplicateDetectionManager {
     const dbResult = await this.checkDatabase(fingerprint);
     if (dbResult.found) {
       // Cache the result
-      this.processedContent.set(fingerprint.primary_fingerprint, dbResult.data);
+      if (!readOnly) {
+        this.processedContent.set(fingerprint.primary_fingerprint, dbResult.data);
+      }
       
       return {
         is_duplicate: true,
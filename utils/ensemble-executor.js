@@ -0,0 +1,338 @@
+const fs = require('fs');
+const { Logger } = require('./logger');
+const { isRouteAllowed } = require('./tenant-registry');
+
+const ENSEMBLE_ACTION = 'ensemble';
+
+// routing_rules.ensemble, with combine_multiple_outputs on the workflow result_aggregator as the on switch
+function loadEnsembleSettings(config) {
+  const ensemble = config.routing_rules.ensemble || {};
+  const judge = ensemble.judge || {};
+  let aggregator = {};
+
+  try {
+    const workflowConfig = JSON.parse(fs.readFileSync('./config/workflow_config.json', 'utf8'));
+    const postProcessors = (workflowConfig.content_analysis_pipeline || {}).post_processors || [];
+    aggregator = (postProcessors.find(processor => processor.name === 'result_aggregator') || {}).config || {};
+  } catch (error) {
+    new Logger('EnsembleExecutor').warn(`Cannot read result_aggregator from workflow_config.json: ${error.message}`);
+  }
+
+  return {
+    enabled: ensemble.enabled !== undefined ? ensemble.enabled === true : aggregator.combine_multiple_outputs === true,
+    models: ensemble.models || [],
+    max_models: ensemble.max_models || 4,
+    aggregation: ensemble.aggregation || 'auto',
+    judge: {
+      model: judge.model || null,
+      max_input_chars: judge.max_input_chars || 4000
+    }
+  };
+}
+
+// Runs an ensemble decision: every member model answers the same content in parallel and the
+// answers are merged by field-level voting (structured output) or by a judge model (free text).
+class EnsembleExecutor {
+  constructor(router, dispatch) {
+    this.logger = new Logger('EnsembleExecutor');
+    this.router = router;
+    this.dispatch = dispatch;
+  }
+
+  async run(routingDecision, content, options = {}) {
+    const startTime = Date.now();
+    const memberOptions = { ...options, ensemble: undefined };
+
+    this.logger.info(`Running ensemble of ${routingDecision.members.length} models: ${routingDecision.members.join(', ')}`);
+
+    const members = await Promise.all(routingDecision.members.map(route =>
+      this.runMember(route, routingDecision, content, memberOptions)
+    ));
+    const succeeded = members.filter(member => member.status === 'success');
+
+    let aggregate = { method: 'none', output: undefined, estimated_cost: 0 };
+    if (succeeded.length === 1) {
+      aggregate = { method: 'single', output: succeeded[0].output, estimated_cost: 0 };
+    } else if (succeeded.length > 1) {
+      aggregate = await this.aggregate(succeeded, routingDecision, content, options);
+    }
+
+    const agreement = this.measureAgreement(succeeded, aggregate);
+    const estimatedCost = members.reduce((sum, member) => sum + member.estimated_cost, 0) + aggregate.estimated_cost;
+
+    let status = 'success';
+    if (succeeded.length === 0) {
+      status = 'error';
+    } else if (succeeded.length < members.length) {
+      status = 'partial';
+    }
+
+    return {
+      result: aggregate.output,
+      model: ENSEMBLE_ACTION,
+      processing_time: Date.now() - startTime,
+      status: status,
+      route_type: 'ensemble',
+      error: status === 'error' ? 'All ensemble members failed' : undefined,
+      estimated_cost: estimatedCost,
+      usage: this.sumUsage([...members.map(member => member.usage), aggregate.usage]),
+      quality_score: this.averageQuality(succeeded),
+      attempts: members.map(member => ({
+        route: member.route,
+        model: member.model,
+        status: member.status,
+        latency: member.processing_time,
+        cost: member.estimated_cost,
+        quality_score: member.quality_score,
+        error: member.error
+      })),
+      ensemble: {
+        aggregation: aggregate.method,
+        judge: aggregate.judge,
+        selected: aggregate.selected,
+        field_votes: aggregate.field_votes,
+        agreement: agreement.overall,
+        total_cost: estimatedCost,
+        members: members.map(({ usage, ...member }) => ({
+          ...member,
+          agreement: agreement.per_model[member.route]
+        }))
+      }
+    };
+  }
+
+  async runMember(route, parentDecision, content, options) {
+    const [routeTo, model] = route.split(':');
+
+    try {
+      const result = await this.dispatch({
+        route_to: routeTo,
+        model: model,
+        reasoning: `Ensemble member ${route}`,
+        content_category: parentDecision.content_category,
+        routing_id: parentDecision.routing_id
+      }, content, options);
+
+      return {
+        route,
+        model: result.model,
+        status: result.status,
+        processing_time: result.processing_time || 0,
+        estimated_cost: result.estimated_cost || 0,
+        quality_score: result.quality_score,
+        error: result.error,
+        output: result.result,
+        usage: result.usage
+      };
+    } catch (error) {
+      this.logger.error(`Ensemble member ${route} failed:`, error);
+      return { route, status: 'error', processing_time: 0, estimated_cost: 0, error: error.message };
+    }
+  }
+
+  // Structured answers are voted on field by field; free text goes to the judge, or to the consensus pick without one
+  async aggregate(members, parentDecision, content, options) {
+    const aggregation = parentDecision.aggregation;
+    const structured = members.map(member => this.parseStructured(member.output));
+
+    if (aggregation !== 'judge' && structured.filter(Boolean).length >= 2) {
+      return this.voteFields(members, structured);
+    }
+    if (aggregation !== 'vote') {
+      const judged = await this.runJudge(members, parentDecision, content, options);
+      if (judged) {
+        return judged;
+      }
+    }
+    return this.pickConsensus(members);
+  }
+
+  // Accepts a JSON object, or one wrapped in a markdown code fence
+  parseStructured(output) {
+    if (output && typeof output === 'object' && !Array.isArray(output)) {
+      return output;
+    }
+    if (typeof output !== 'string') {
+      return null;
+    }
+
+    const fenced = output.match(/```(?:json)?\s*([\s\S]*?)```/);
+    try {
+      const parsed = JSON.parse((fenced ? fenced[1] : output).trim());
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Majority value per top-level field among the members that returned a JSON object
+  voteFields(members, structured) {
+    const voters = members
+      .map((member, index) => ({ route: member.route, fields: structured[index] }))
+      .filter(voter => voter.fields);
+    const fields = [...new Set(voters.flatMap(voter => Object.keys(voter.fields)))];
+    const output = {};
+    const fieldVotes = {};
+
+    fields.forEach(field => {
+      const tallies = new Map();
+      voters.filter(voter => voter.fields[field] !== undefined).forEach(voter => {
+        const key = JSON.stringify(voter.fields[field]);
+        const tally = tallies.get(key) || { value: voter.fields[field], routes: [] };
+        tally.routes.push(voter.route);
+        tallies.set(key, tally);
+      });
+
+      // Ties go to the answer given first, i.e. the earlier member in the configured order
+      const winner = [...tallies.values()].reduce((best, tally) => tally.routes.length > best.routes.length ? tally : best);
+      output[field] = winner.value;
+      fieldVotes[field] = {
+        value: winner.value,
+        votes: winner.routes.length,
+        voters: voters.length,
+        agreement: winner.routes.length / voters.length,
+        routes: winner.routes
+      };
+    });
+
+    return { method: 'vote', output, field_votes: fieldVotes, estimated_cost: 0 };
+  }
+
+  async runJudge(members, parentDecision, content, options) {
+    const { model: judgeRoute, max_input_chars: maxChars } = parentDecision.judge || {};
+    if (!judgeRoute) {
+      return null;
+    }
+
+    const [routeTo, model] = judgeRoute.split(':');
+    if (!isRouteAllowed(options.tenant, routeTo, model)) {
+      this.logger.warn(`Tenant ${options.tenant.id} may not use judge ${judgeRoute}; using consensus pick`);
+      return null;
+    }
+
+    const prompt = [
+      'Several models answered the same REQUEST. Write the single best answer to the REQUEST.',
+      'Keep what the answers agree on, resolve their disagreements on the merits and drop anything unsupported.',
+      '',
+      'REQUEST:',
+      String(content).slice(0, maxChars),
+      '',
+      ...members.flatMap((member, index) => [
+        `ANSWER ${index + 1}:`,
+        this.toText(member.output).slice(0, maxChars),
+        ''
+      ])
+    ].join('\n');
+
+    let judgeDecision = {
+      route_to: routeTo,
+      model: model,
+      reasoning: `Ensemble judge merging ${members.length} answers`,
+      routing_id: parentDecision.routing_id
+    };
+    if (routeTo === 'cloud') {
+      const checked = this.router.budgetGuard.check(judgeDecision, prompt, {}, options);
+      if (!checked.budget || checked.budget.action !== 'allowed') {
+        this.logger.warn(`Budget guard vetoed ensemble judge ${judgeRoute}; using consensus pick`);
+        return null;
+      }
+      judgeDecision = { ...checked, routing_id: parentDecision.routing_id };
+    }
+
+    // The judge answers its own prompt, not the conversation
+    const result = await this.dispatch(judgeDecision, prompt, { ...options, ensemble: undefined, messages: undefined });
+    if (result.status !== 'success') {
+      this.logger.warn(`Ensemble judge ${judgeRoute} failed, using consensus pick: ${result.error}`);
+      return null;
+    }
+
+    return {
+      method: 'judge',
+      output: result.result,
+      judge: { route: judgeRoute, model: result.model, latency: result.processing_time || 0, cost: result.estimated_cost || 0 },
+      estimated_cost: result.estimated_cost || 0,
+      usage: result.usage
+    };
+  }
+
+  // The answer closest on average to all the others
+  pickConsensus(members) {
+    let best = null;
+    members.forEach(member => {
+      const others = members.filter(other => other !== member);
+      const score = others.reduce((sum, other) => sum + this.similarity(member.output, other.output), 0) / others.length;
+      if (!best || score > best.score) {
+        best = { member, score };
+      }
+    });
+
+    return { method: 'consensus', output: best.member.output, selected: best.member.route, estimated_cost: 0 };
+  }
+
+  // Per model: share of voted fields it agreed with, or mean word overlap with the other answers
+  measureAgreement(members, aggregate) {
+    const perModel = {};
+
+    members.forEach(member => {
+      if (aggregate.method === 'vote') {
+        const votes = Object.values(aggregate.field_votes);
+        perModel[member.route] = votes.length > 0
+          ? votes.filter(vote => vote.routes.includes(member.route)).length / votes.length
+          : 0;
+      } else {
+        const others = members.filter(other => other !== member);
+        perModel[member.route] = others.length > 0
+          ? others.reduce((sum, other) => sum + this.similarity(member.output, other.output), 0) / others.length
+          : 1;
+      }
+    });
+
+    const values = Object.values(perModel);
+    return {
+      overall: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+      per_model: perModel
+    };
+  }
+
+  // Jaccard overlap of the two outputs' word sets
+  similarity(a, b) {
+    const words = text => new Set(this.toText(text).toLowerCase().match(/[a-z0-9']+/g) || []);
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 && right.size === 0) {
+      return 1;
+    }
+
+    let shared = 0;
+    left.forEach(word => {
+      if (right.has(word)) {
+        shared++;
+      }
+    });
+    return shared / (left.size + right.size - shared);
+  }
+
+  averageQuality(members) {
+    const scores = members.map(member => member.quality_score).filter(score => typeof score === 'number');
+    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : undefined;
+  }
+
+  toText(output) {
+    return typeof output === 'string' ? output : JSON.stringify(output || '');
+  }
+
+  sumUsage(usages) {
+    const present = usages.filter(Boolean);
+    if (present.length === 0) {
+      return undefined;
+    }
+
+    return {
+      input_tokens: present.reduce((sum, usage) => sum + (usage.input_tokens || 0), 0),
+      output_tokens: present.reduce((sum, usage) => sum + (usage.output_tokens || 0), 0),
+      source: present.every(usage => usage.source === 'provider') ? 'provider' : 'estimate'
+    };
+  }
+}
+
+module.exports = { EnsembleExecutor, ENSEMBLE_ACTION, loadEnsembleSettings };
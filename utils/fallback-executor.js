@@ -0,0 +1,149 @@
+const { Logger } = require('./logger');
+const { RuleEngine } = require('./rule-engine');
+const { getConfigLoader } = require('./config-loader');
+const { isRouteAllowed } = require('./tenant-registry');
+
+class FallbackExecutor {
+  constructor(router, dispatch) {
+    this.logger = new Logger('FallbackExecutor');
+    this.router = router;
+    this.config = getConfigLoader().get();
+    this.ruleEngine = new RuleEngine(this.config);
+    this.dispatch = dispatch;
+
+    getConfigLoader().onChange(config => {
+      this.config = config;
+      this.ruleEngine = new RuleEngine(config);
+    });
+  }
+
+  async execute(routingDecision, content, options = {}) {
+    const attempts = [];
+
+    const primary = await this.dispatch(routingDecision, content, options);
+    attempts.push(this.recordAttempt(routingDecision, primary));
+
+    const fallbackReason = this.getFallbackReason(routingDecision, primary);
+    if (!fallbackReason) {
+      return this.buildResult(primary, attempts, null);
+    }
+
+    const fallbackModel = this.getFallbackModel(routingDecision);
+    if (!isRouteAllowed(options.tenant, 'cloud', fallbackModel)) {
+      this.logger.warn(`Tenant ${options.tenant.id} may not use cloud:${fallbackModel}; no fallback for: ${fallbackReason}`);
+      return this.buildResult(primary, attempts, { triggered: false, skipped: `tenant ${options.tenant.id} may not use cloud:${fallbackModel}` });
+    }
+
+    const fallbackDecision = this.checkBudget({
+      route_to: 'cloud',
+      model: fallbackModel,
+      reasoning: `Fallback to cloud: ${fallbackReason}`,
+      content_category: routingDecision.content_category,
+      routing_id: routingDecision.routing_id,
+      original_decision: routingDecision
+    }, content, options);
+
+    // The fallback is extra spend on top of the local attempt, so it only runs if the guard lets it through as is
+    if (fallbackDecision.budget.action !== 'allowed') {
+      this.logger.warn(`Budget guard blocked fallback to cloud:${fallbackModel} (${fallbackDecision.budget.reason}); no fallback for: ${fallbackReason}`);
+      return this.buildResult(primary, attempts, {
+        triggered: false,
+        skipped: 'budget',
+        reason: fallbackReason,
+        budget_reason: fallbackDecision.budget.reason
+      });
+    }
+
+    this.logger.warn(`Falling back from ${routingDecision.route_to}:${routingDecision.model} to cloud:${fallbackDecision.model} - ${fallbackReason}`);
+
+    const fallback = await this.dispatch(fallbackDecision, content, options);
+    attempts.push(this.recordAttempt(fallbackDecision, fallback, fallbackReason));
+
+    // Keep the local answer if the cloud retry failed outright
+    const finalResult = fallback.status === 'success' || primary.status !== 'success' ? fallback : primary;
+
+    return this.buildResult(finalResult, attempts, {
+      triggered: true,
+      reason: fallbackReason,
+      model: fallbackDecision.model,
+      succeeded: fallback.status === 'success'
+    });
+  }
+
+  checkBudget(fallbackDecision, content, options) {
+    const checked = this.router.budgetGuard.check(fallbackDecision, content, {}, options);
+    return { ...checked, routing_id: fallbackDecision.routing_id };
+  }
+
+  getFallbackReason(routingDecision, result) {
+    if (!routingDecision.fallback_to_cloud || routingDecision.route_to === 'cloud') {
+      return null;
+    }
+
+    if (result.status !== 'success') {
+      return `primary route failed: ${result.error || result.status}`;
+    }
+
+    if (!routingDecision.fallback_condition) {
+      return null;
+    }
+
+    try {
+      if (this.ruleEngine.evaluate(routingDecision.fallback_condition, this.createResultContext(result))) {
+        return `fallback condition met: ${routingDecision.fallback_condition}`;
+      }
+    } catch (error) {
+      this.logger.warn(`Cannot evaluate fallback condition "${routingDecision.fallback_condition}": ${error.message}`);
+    }
+
+    return null;
+  }
+
+  // Metrics the primary result doesn't report stay undefined, so comparisons on them never trip
+  createResultContext(result) {
+    return {
+      text: '',
+      content_type: undefined,
+      complexity: {},
+      classification: {},
+      options: {},
+      variables: {
+        processing_time: result.processing_time,
+        quality_score: result.quality_score,
+        analysis_confidence: result.analysis_confidence !== undefined ? result.analysis_confidence : result.confidence,
+        estimated_cost: result.estimated_cost,
+        status: result.status
+      }
+    };
+  }
+
+  getFallbackModel(routingDecision) {
+    const defaults = this.config.routing_rules.fallback || {};
+    return routingDecision.fallback_model || defaults.cloud_model || 'abacus_claude';
+  }
+
+  recordAttempt(routingDecision, result, reason = null) {
+    return {
+      route: `${routingDecision.route_to}:${routingDecision.model || routingDecision.workflow}`,
+      model: result.model,
+      status: result.status,
+      latency: result.processing_time || 0,
+      cost: result.estimated_cost || 0,
+      quality_score: result.quality_score,
+      error: result.error,
+      fallback_reason: reason || undefined
+    };
+  }
+
+  buildResult(result, attempts, fallback) {
+    return {
+      ...result,
+      estimated_cost: attempts.reduce((sum, attempt) => sum + attempt.cost, 0),
+      processing_time: attempts.reduce((sum, attempt) => sum + attempt.latency, 0),
+      attempts: attempts,
+      fallback: fallback || { triggered: false }
+    };
+  }
+}
+
+module.exports = { FallbackExecutor };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Magic bytes for the formats Ollama's vision models can decode
+const IMAGE_SIGNATURES = [
+  { format: 'png', mime_type: 'image/png', matches: bytes => bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504e47 },
+  { format: 'jpeg', mime_type: 'image/jpeg', matches: bytes => bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { format: 'gif', mime_type: 'image/gif', matches: bytes => bytes.toString('ascii', 0, 4) === 'GIF8' },
+  { format: 'webp', mime_type: 'image/webp', matches: bytes => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const DATA_URL_PATTERN = /^data:([^;,]+)?(;base64)?,(.*)$/is;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Raised for malformed or out-of-limit image input; the API answers these with 400
+class ImageInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageInputError';
+  }
+}
+
+// Turns base64 strings, data URLs and file references into validated base64 images
+class ImageInputProcessor {
+  constructor(config) {
+    const settings = config.image_input || {};
+
+    this.settings = {
+      max_images: settings.max_images || 4,
+      max_image_bytes: settings.max_image_bytes || 10 * 1024 * 1024,
+      allowed_formats: settings.allowed_formats || ['png', 'jpeg', 'webp'],
+      file_root: path.resolve(settings.file_root || './data/images'),
+      default_prompt: settings.default_prompt || 'Describe this image in detail.'
+    };
+  }
+
+  async normalize(images) {
+    const entries = Array.isArray(images) ? images : [images];
+
+    if (entries.length > this.settings.max_images) {
+      throw new ImageInputError(`At most ${this.settings.max_images} images are accepted per request, got ${entries.length}`);
+    }
+
+    const normalized = [];
+    for (const [index, entry] of entries.entries()) {
+      try {
+        normalized.push(await this.normalizeImage(entry));
+      } catch (error) {
+        if (error instanceof ImageInputError) {
+          error.message = `Image ${index}: ${error.message}`;
+        }
+        throw error;
+      }
+    }
+    return normalized;
+  }
+
+  async normalizeImage(entry) {
+    if (typeof entry === 'string') {
+      if (entry.startsWith('data:')) {
+        return this.fromDataUrl(entry);
+      }
+      if (entry.startsWith('file://')) {
+        return this.fromFile(entry.slice('file://'.length));
+      }
+      return this.fromBase64(entry, 'base64');
+    }
+
+    if (entry && typeof entry === 'object') {
+      if (entry.path) {
+        return this.fromFile(entry.path);
+      }
+      if (typeof entry.data === 'string') {
+        return entry.data.startsWith('data:') ? this.fromDataUrl(entry.data) : this.fromBase64(entry.data, 'base64');
+      }
+    }
+
+    throw new ImageInputError('expected a base64 string, a data URL, a file:// reference or an object with data or path');
+  }
+
+  fromDataUrl(dataUrl) {
+    const match = dataUrl.match(DATA_URL_PATTERN);
+    if (!match || !match[2]) {
+      throw new ImageInputError('only base64-encoded data URLs are supported');
+    }
+    if (match[1] && !match[1].toLowerCase().startsWith('image/')) {
+      throw new ImageInputError(`data URL has non-image media type ${match[1]}`);
+    }
+    return this.fromBase64(match[3], 'data_url');
+  }
+
+  fromBase64(encoded, source) {
+    const data = encoded.replace(/\s+/g, '');
+    if (!data || !BASE64_PATTERN.test(data)) {
+      throw new ImageInputError('image data is not valid base64');
+    }
+
+    // Check the decoded size before allocating the buffer
+    const estimatedBytes = Math.floor(data.length * 3 / 4);
+    if (estimatedBytes > this.settings.max_image_bytes + 2) {
+      throw new ImageInputError(`image exceeds the ${this.settings.max_image_bytes} byte limit`);
+    }
+
+    return this.validate(Buffer.from(data, 'base64'), source);
+  }
+
+  // File references are confined to file_root so callers cannot read arbitrary files
+  async fromFile(filePath) {
+    const resolved = path.resolve(this.settings.file_root, filePath);
+    if (resolved !== this.settings.file_root && !resolved.startsWith(this.settings.file_root + path.sep)) {
+      throw new ImageInputError(`file reference ${filePath} is outside ${this.settings.file_root}`);
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(resolved);
+    } catch (error) {
+      throw new ImageInputError(`file reference ${filePath} cannot be read`);
+    }
+
+    if (!stats.isFile()) {
+      throw new ImageInputError(`file reference ${filePath} is not a file`);
+    }
+    if (stats.size > this.settings.max_image_bytes) {
+      throw new ImageInputError(`image exceeds the ${this.settings.max_image_bytes} byte limit`);
+    }
+
+    return { ...this.validate(await fs.promises.readFile(resolved), 'file'), path: filePath };
+  }
+
+  validate(bytes, source) {
+    if (bytes.length === 0) {
+      throw new ImageInputError('image is empty');
+    }
+    if (bytes.length > this.settings.max_image_bytes) {
+      throw new ImageInputError(`image exceeds the ${this.settings.max_image_bytes} byte limit`);
+    }
+
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(bytes));
+    if (!signature || !this.settings.allowed_formats.includes(signature.format)) {
+      throw new ImageInputError(`unsupported image format${signature ? ` ${signature.format}` : ''}; allowed: ${this.settings.allowed_formats.join(', ')}`);
+    }
+
+    return {
+      data: bytes.toString('base64'),
+      format: signature.format,
+      mime_type: signature.mime_type,
+      bytes: bytes.length,
+      sha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+      source
+    };
+  }
+}
+
+module.exports = { ImageInputProcessor, ImageInputError };
@@ -1,69 +1,60 @@
-const fs = require('fs');
-co// Add to your IntelligentRouter class
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('./logger');
 const { DuplicateDetectionManager } = require('./duplicate-detection-manager');
+const { RuleEngine } = require('./rule-engine');
+const { PriorityTagDetector } = require('./priority-tag-detector');
+const { AdaptiveRouter } = require('./adaptive-router');
+const { getLedger } = require('./cost-ledger');
+const { BudgetGuard } = require('./budget-guard');
+const { getTokenCounter } = require('./tokenizer');
+const { ContentChunker, CHUNK_ACTION } = require('./content-chunker');
+const { getConfigLoader } = require('./config-loader');
+const { LlmClassifier } = require('./llm-classifier');
+const { isRouteAllowed } = require('./tenant-registry');
+const { ENSEMBLE_ACTION, loadEnsembleSettings } = require('./ensemble-executor');
+const { getResilience } = require('./provider-resilience');
 
 class IntelligentRouter {
-  constructor() {
-    // ... existing code ...
+  // The replay script passes its own config loader and a simulated ledger
+  constructor({ configLoader = getConfigLoader(), ledger = getLedger(), resilience = getResilience() } = {}) {
+    this.configLoader = configLoader;
+    this.config = this.configLoader.get();
+    this.logger = new Logger('IntelligentRouter');
+    this.performanceHistory = new Map();
+    this.ledger = ledger;
+    // Circuit breaker state of the model managers
+    this.resilience = resilience;
+    // The controller reports local models that are still being pulled; until then every model counts as ready
+    this.isLocalModelReady = () => true;
+    this.tokenCounter = getTokenCounter();
+    this.budgetGuard = new BudgetGuard(this.config, this.ledger, this.estimateRouteCost.bind(this));
     this.duplicateManager = new DuplicateDetectionManager();
+    this.ruleEngine = new RuleEngine(this.config);
+    this.priorityTagDetector = new PriorityTagDetector(this.config);
+    this.adaptiveRouter = new AdaptiveRouter(this.config);
+    this.contentChunker = new ContentChunker(this.config, this.tokenCounter);
+    // The controller supplies the local model call; until then only the regex path runs
+    this.llmClassifier = new LlmClassifier(this.config);
+    this.ensembleSettings = loadEnsembleSettings(this.config);
+    this.configLoader.onChange(config => this.applyConfig(config));
   }
 
-  async initialize() {
-    // ... existing code ...
-    await this.duplicateManager.initialize();
-  }
-
-  async determineRoute(content, contentType, options = {}) {
-    try {
-      // Check for duplicates FIRST
-      const duplicateCheck = await this.duplicateManager.checkIfProcessed({
-        title: content.title || '',
-        content: content,
-        url: options.source_url || '',
-        tags: options.tags || []
-      });
-
-      if (duplicateCheck.is_duplicate) {
-        if (duplicateCheck.should_reprocess?.should_reprocess) {
-          this.logger.info(`Reprocessing content: ${duplicateCheck.should_reprocess.reason}`);
-          // Continue with normal routing
-        } else {
-          this.logger.info('Skipping duplicate content - already processed acceptably');
-          return {
-            route_to: 'cache',
-            model: 'cached_result',
-            reasoning: `Duplicate content skipped: ${duplicateCheck.should_reprocess?.reason || 'already processed'}`,
-            cached_result: duplicateCheck.cached_result,
-            skip_processing: true
-          };
-        }
-      }
-
-      // Continue with your existing routing logic...
-      const complexity = await this.analyzeComplexity(content, contentType);
-      const classification = await this.classifyContent(content, contentType);
-      const routingDecision = await this.applyRoutingRules(content, complexity, classification, options);
-      const optimizedDecision = await this.optimizeRouting(routingDecision, options);
-      
-      return optimizedDecision;
-      
-    } catch (error) {
-      this.logger.error('Routing determination failed:', error);
-      return this.getFallbackRoute(contentType);
-    }
-  }
-}
-
-class IntelligentRouter {
-  constructor() {
-    this.config = JSON.parse(fs.readFileSync('./config/router_config.json', 'utf8'));
-    this.logger = new Logger('IntelligentRouter');
-    this.performanceHistory = new Map();
-    this.costTracking = new Map();
+  // Hot reload: rules and detectors are rebuilt, learned and spent state is kept
+  applyConfig(config) {
+    this.config = config;
+    this.ruleEngine = new RuleEngine(config);
+    this.priorityTagDetector = new PriorityTagDetector(config);
+    this.adaptiveRouter.applyConfig(config);
+    this.budgetGuard.applyConfig(config);
+    this.contentChunker.applyConfig(config);
+    this.llmClassifier.applyConfig(config);
+    this.ensembleSettings = loadEnsembleSettings(config);
   }
 
   async initialize() {
     this.logger.info('Initializing Intelligent Router...');
+    await this.tokenCounter.initialize();
+    await this.duplicateManager.initialize();
     // Load any ML models for routing decisions
     await this.loadRoutingModels();
   }
@@ -74,36 +65,136 @@ class IntelligentRouter {
   }
 
   async determineRoute(content, contentType, options = {}) {
+    let decision;
     try {
-      // Step 1: Analyze content complexity
-      const complexity = await this.analyzeComplexity(content, contentType);
-      
-      // Step 2: Classify content type and extract features
-      const classification = await this.classifyContent(content, contentType);
-      
-      // Step 3: Apply routing rules
-      const routingDecision = await this.applyRoutingRules(content, complexity, classification, options);
-      
-      // Step 4: Consider performance and cost factors
-      const optimizedDecision = await this.optimizeRouting(routingDecision, options);
-      
-      return optimizedDecision;
-      
+      decision = await this.resolveRoute(content, contentType, options);
     } catch (error) {
       this.logger.error('Routing determination failed:', error);
-      return this.getFallbackRoute(contentType);
+      decision = this.getFallbackRoute(contentType);
+    }
+
+    // Identifies this decision in downstream results (e.g. workflow runs)
+    decision.routing_id = uuidv4();
+    return decision;
+  }
+
+  // Dry run of determineRoute: records every step of the decision without calling a model
+  async explainRoute(content, contentType, options = {}) {
+    const trace = {};
+    const decision = await this.resolveRoute(content, contentType, options, trace);
+
+    return {
+      decision,
+      ...trace,
+      overrides: this.collectOverrides(decision),
+      estimated_cost: this.estimateRouteCost(decision, content)
+    };
+  }
+
+  async resolveRoute(content, contentType, options, trace = null) {
+    // Check for duplicates FIRST - chunks were already checked as part of their parent. Traces only look.
+    const duplicateCheck = options.chunk ? { is_duplicate: false } : await this.duplicateManager.checkIfProcessed({
+      title: content.title || '',
+      // Same prompt with different images is different content
+      content: Array.isArray(options.images) && options.images.length > 0
+        ? `${content}\n${options.images.map(image => image.sha256).join('\n')}`
+        : content,
+      url: options.source_url || '',
+      tags: options.tags || []
+    }, { readOnly: !!trace });
+
+    if (trace) {
+      trace.duplicate_check = {
+        is_duplicate: duplicateCheck.is_duplicate,
+        should_reprocess: duplicateCheck.should_reprocess
+      };
+    }
+
+    if (duplicateCheck.is_duplicate) {
+      if (duplicateCheck.should_reprocess?.should_reprocess) {
+        if (!trace) {
+          this.logger.info(`Reprocessing content: ${duplicateCheck.should_reprocess.reason}`);
+        }
+        // Continue with normal routing
+      } else {
+        if (!trace) {
+          this.logger.info('Skipping duplicate content - already processed acceptably');
+        }
+        return {
+          route_to: 'cache',
+          model: 'cached_result',
+          reasoning: `Duplicate content skipped: ${duplicateCheck.should_reprocess?.reason || 'already processed'}`,
+          cached_result: duplicateCheck.cached_result,
+          skip_processing: true
+        };
+      }
     }
+
+    // Step 1: Detect configured priority tags in the body, source URL and caller tags
+    const priorityTags = this.priorityTagDetector.detect(content, options);
+
+    // Step 2: Analyze content complexity
+    const complexity = await this.analyzeComplexity(content, contentType, priorityTags);
+    
+    // Step 3: Classify content type and extract features
+    const classification = await this.classifyContent(content, contentType, priorityTags);
+
+    // The classification model, when enabled and within its latency budget, overrides both; traces only read the cache
+    const llmClassification = await this.llmClassifier.classify(content, contentType, { cachedOnly: !!trace });
+    if (llmClassification && llmClassification.labels) {
+      this.applyLlmLabels(llmClassification, complexity, classification, priorityTags);
+    }
+
+    if (trace) {
+      Object.assign(trace, { priority_tags: priorityTags, complexity, classification, llm_classification: llmClassification });
+    }
+    
+    // Step 4: Apply routing rules
+    const ruleDecision = this.applyChunking(
+      await this.applyRoutingRules(content, complexity, classification, options, trace),
+      content, complexity, classification, options, trace
+    );
+    const category = this.getContentCategory(classification);
+    ruleDecision.content_category = category;
+
+    // Step 5: Let the learning router swap between the category's candidate models; traces never explore
+    const adaptiveDecision = trace
+      ? this.adaptiveRouter.preview(category, ruleDecision)
+      : this.adaptiveRouter.select(category, ruleDecision, options);
+    const routingDecision = adaptiveDecision || ruleDecision;
+    
+    // Step 6: Image input needs a model that can see it
+    const visualDecision = this.applyImageInput(routingDecision, classification, options);
+
+    // Step 7: Make sure the chosen model's context window can hold the input
+    const fittedDecision = this.applyContextWindow(visualDecision, content);
+
+    // Step 8: Consider performance and cost factors
+    const optimizedDecision = await this.optimizeRouting(fittedDecision, options);
+
+    // Step 9: Keep the route within the models the tenant may use
+    const tenantDecision = this.applyTenantPolicy(optimizedDecision, options);
+
+    // Step 10: Steer around models whose circuit breaker is open
+    const availableDecision = this.applyAvailability(tenantDecision, content, options);
+
+    // Step 11: Enforce cost limits on whatever cloud route survived; traces do not move the guard into local-only mode
+    const budgetedDecision = this.budgetGuard.check(availableDecision, content, classification, options, { dryRun: !!trace });
+
+    // Step 12: options.ensemble fans the request out to several models for a second opinion
+    return this.applyEnsemble(budgetedDecision, content, classification, options, trace);
   }
 
-  async analyzeComplexity(content, contentType) {
+  async analyzeComplexity(content, contentType, priorityTags = null) {
     const analysis = {
       length: content.length,
+      tokens: this.tokenCounter.count(content),
       complexity_score: 0,
       factors: []
     };
 
     // Length-based complexity
-    if (content.length > 5000) {
+    if (analysis.tokens > 1250) {
       analysis.complexity_score += 0.3;
       analysis.factors.push('long_content');
     }
@@ -129,18 +220,27 @@ class IntelligentRouter {
       analysis.factors.push('technical_content');
     }
 
+    // Priority tagged content is weighted by its group multiplier
+    if (priorityTags && priorityTags.has_priority_tags) {
+      analysis.complexity_score *= priorityTags.priority_multiplier;
+      analysis.factors.push(...priorityTags.matched_groups.map(group => `priority_tags:${group.group}`));
+    }
+
     // Normalize score
     analysis.complexity_score = Math.min(analysis.complexity_score, 1.0);
 
     return analysis;
   }
 
-  async classifyContent(content, contentType) {
+  async classifyContent(content, contentType, priorityTags = null) {
     const classification = {
       content_type: contentType,
       categories: [],
       keywords: [],
       priority: 'medium',
+      priority_score: 1,
+      priority_tags: [],
+      priority_groups: [],
       requires_cloud: false
     };
 
@@ -173,13 +273,66 @@ class IntelligentRouter {
       classification.requires_specialized_model = true;
     }
 
+    if (priorityTags && priorityTags.has_priority_tags) {
+      classification.categories.push('priority_tagged_content');
+      classification.priority = 'high';
+      classification.priority_score = priorityTags.priority_multiplier;
+      classification.priority_tags = priorityTags.tags;
+      classification.priority_groups = priorityTags.matched_groups;
+      classification.force_advanced_analysis = priorityTags.force_advanced_analysis;
+      classification.advanced_analysis_model = priorityTags.advanced_analysis_model;
+    }
+
     return classification;
   }
 
-  async applyRoutingRules(content, complexity, classification, options) {
+  // Model labels replace the keyword heuristics; priority tag weighting applies on top as before
+  applyLlmLabels(llmClassification, complexity, classification, priorityTags) {
+    const { labels } = llmClassification;
+    const hasPriorityTags = Boolean(priorityTags && priorityTags.has_priority_tags);
+
+    classification.categories = [
+      // No category at all is what the rest of the router treats as general content
+      ...labels.categories.filter(category => category !== 'general_content'),
+      ...classification.categories.filter(category => category === 'multimedia_content' || category === 'priority_tagged_content')
+    ];
+    classification.priority = hasPriorityTags ? 'high' : labels.urgency;
+    classification.requires_cloud = classification.requires_cloud && classification.categories.includes('trading_content');
+    classification.classifier = llmClassification.source;
+
+    complexity.complexity_score = Math.min(labels.complexity * (hasPriorityTags ? priorityTags.priority_multiplier : 1), 1.0);
+    complexity.factors = [
+      ...complexity.factors.filter(factor => factor === 'long_content' || factor.startsWith('priority_tags:')),
+      'llm_classification'
+    ];
+  }
+
+  getContentCategory(classification) {
+    if (classification.categories.includes('priority_tagged_content')) {
+      return 'priority_tagged_content';
+    }
+    return classification.categories[0] || 'general_content';
+  }
+
+  async applyRoutingRules(content, complexity, classification, options, trace = null) {
     const rules = this.config.routing_rules.content_type_routing;
-    
-    // Check specific content type rules
+    const context = this.ruleEngine.createContext(content, complexity, classification, options);
+    let match;
+
+    if (trace) {
+      trace.rule_context = context.variables;
+      trace.rules = this.ruleEngine.explainRules(rules, context);
+      const selected = trace.rules.find(evaluation => evaluation.selected);
+      match = selected ? { name: selected.rule, rule: rules[selected.rule] } : null;
+    } else {
+      match = this.ruleEngine.findMatchingRule(rules, context);
+    }
+
+    if (match) {
+      return this.applyAdvancedAnalysis(this.buildRuleDecision(match.name, match.rule), classification);
+    }
+
+    // No configured rule matched - keep images on the vision model
     if (classification.content_type === 'image') {
       return {
         route_to: 'local',
@@ -188,48 +341,81 @@ class IntelligentRouter {
       };
     }
 
-    // Trading content with high complexity
-    if (classification.categories.includes('trading_content') && complexity.complexity_score > 0.7) {
-      return {
-        route_to: 'cloud',
-        model: 'abacus_gpt4o',
-        reasoning: 'Complex trading analysis requires advanced cloud model'
-      };
+    // Default to local general processing
+    return {
+      route_to: 'local',
+      model: 'general_processing',
+      reasoning: 'Default routing to local general model'
+    };
+  }
+
+  // Long content that a single model call would handle whole is split and routed chunk by chunk;
+  // conversations are sent whole and trimmed to the model's context window instead
+  applyChunking(routingDecision, content, complexity, classification, options, trace = null) {
+    const settings = this.contentChunker.settings;
+    if (!settings.enabled || options.chunk || routingDecision.route_to === 'workflow' || this.hasImages(options) ||
+        Array.isArray(options.messages)) {
+      return routingDecision;
     }
 
-    // Short, simple content
-    if (content.length < 500 && complexity.complexity_score < 0.3) {
-      return {
-        route_to: 'local',
-        model: 'classification',
-        reasoning: 'Short, simple content processed locally for speed'
-      };
+    const context = this.ruleEngine.createContext(content, complexity, classification, options);
+    let triggered = false;
+    try {
+      triggered = this.ruleEngine.evaluate(settings.condition, context);
+    } catch (error) {
+      this.logger.warn(`Cannot evaluate chunking condition "${settings.condition}": ${error.message}`);
     }
 
-    // Long content with medium complexity
-    if (content.length >= 2000 && complexity.complexity_score < 0.8) {
-      return {
-        route_to: 'local',
-        model: 'complex_reasoning',
-        reasoning: 'Long content processed with local advanced model',
-        fallback_to_cloud: true
+    const chunks = triggered ? this.contentChunker.split(content) : [];
+
+    if (trace) {
+      trace.chunking = {
+        condition: settings.condition,
+        triggered,
+        chunks: chunks.map(({ text, ...chunk }) => chunk)
       };
     }
 
-    // High complexity content
-    if (complexity.complexity_score >= 0.8) {
-      return {
-        route_to: 'cloud',
-        model: 'abacus_claude',
-        reasoning: 'High complexity requires cloud processing'
-      };
+    if (chunks.length < 2) {
+      return routingDecision;
     }
 
-    // Default to local general processing
     return {
-      route_to: 'local',
-      model: 'general_processing',
-      reasoning: 'Default routing to local general model'
+      route_to: 'chunked',
+      model: CHUNK_ACTION,
+      reasoning: `Content split into ${chunks.length} chunks of up to ${settings.chunk_tokens} tokens (${settings.condition})`,
+      content_type: classification.content_type,
+      chunk_count: chunks.length,
+      max_concurrency: settings.max_concurrency,
+      original_decision: routingDecision
+    };
+  }
+
+  // force_advanced_analysis groups push model routes onto the premium cloud model
+  applyAdvancedAnalysis(routingDecision, classification) {
+    if (!classification.force_advanced_analysis || routingDecision.route_to === 'workflow') {
+      return routingDecision;
+    }
+
+    const advancedModel = classification.advanced_analysis_model || 'abacus_gpt4o';
+    if (routingDecision.route_to === 'cloud' && routingDecision.model === advancedModel) {
+      return routingDecision;
+    }
+
+    return {
+      route_to: 'cloud',
+      model: advancedModel,
+      reasoning: `Priority tags (${classification.priority_tags.join(', ')}) force advanced analysis`,
+      priority_groups: classification.priority_groups.map(group => group.group),
+      original_decision: routingDecision
+    };
+  }
+
+  buildRuleDecision(ruleName, rule) {
+    const { condition, ...decision } = rule;
+    return {
+      ...decision,
+      rule: ruleName
     };
   }
 
@@ -265,6 +451,328 @@ class IntelligentRouter {
     return routingDecision;
   }
 
+  // A route outside the tenant's policy moves to the first allowed model of the same kind, then of the other
+  // kind; on the local side the budget guard's fallback model is tried first
+  applyTenantPolicy(routingDecision, options) {
+    const tenant = options.tenant;
+    if (!tenant || isRouteAllowed(tenant, routingDecision.route_to, routingDecision.model)) {
+      return routingDecision;
+    }
+
+    const route = `${routingDecision.route_to}:${routingDecision.model}`;
+    const kinds = routingDecision.route_to === 'cloud' ? ['cloud', 'local'] : ['local', 'cloud'];
+    const localFallback = this.budgetGuard.limits.local_fallback_model;
+    for (const routeTo of kinds) {
+      const models = routeTo === 'cloud' ? this.config.cloud_models : this.config.local_models;
+      const keys = Object.keys(models);
+      if (routeTo === 'local' && models[localFallback]) {
+        keys.sort((a, b) => (b === localFallback) - (a === localFallback));
+      }
+
+      const model = keys.find(key =>
+        isRouteAllowed(tenant, routeTo, key) && (!this.hasImages(options) || models[key].supports_images)
+      );
+
+      if (model) {
+        return {
+          route_to: routeTo,
+          model: model,
+          reasoning: `Tenant ${tenant.id} may not use ${route}; using ${routeTo}:${model}`,
+          content_category: routingDecision.content_category,
+          tenant_policy: { tenant: tenant.id, action: 'substituted', denied_route: route },
+          original_decision: routingDecision
+        };
+      }
+    }
+
+    return {
+      route_to: 'rejected',
+      model: routingDecision.model,
+      reasoning: `Tenant ${tenant.id} may not use ${route} and no allowed model can take the request`,
+      content_category: routingDecision.content_category,
+      tenant_policy: { tenant: tenant.id, action: 'rejected', denied_route: route },
+      original_decision: routingDecision
+    };
+  }
+
+  // An unavailable route moves to the first available model of the same kind, then of the other kind,
+  // that the tenant may use and that can take the input; on the cloud side the fallback model is tried
+  // first. With none left the route is kept and fails fast.
+  applyAvailability(routingDecision, content, options) {
+    if (this.isRouteAvailable(routingDecision.route_to, routingDecision.model)) {
+      return routingDecision;
+    }
+
+    const route = `${routingDecision.route_to}:${routingDecision.model}`;
+    const kinds = routingDecision.route_to === 'cloud' ? ['cloud', 'local'] : ['local', 'cloud'];
+    const cloudFallback = routingDecision.fallback_model || (this.config.routing_rules.fallback || {}).cloud_model;
+    for (const routeTo of kinds) {
+      const models = routeTo === 'cloud' ? this.config.cloud_models : this.config.local_models;
+      const keys = Object.keys(models);
+      if (routeTo === 'cloud' && models[cloudFallback]) {
+        keys.sort((a, b) => (b === cloudFallback) - (a === cloudFallback));
+      }
+
+      const model = keys.find(key =>
+        this.isRouteAvailable(routeTo, key) &&
+        isRouteAllowed(options.tenant, routeTo, key) &&
+        (!this.hasImages(options) || models[key].supports_images) &&
+        this.tokenCounter.checkContextWindow(content, models[key]).fits
+      );
+
+      if (model) {
+        return {
+          route_to: routeTo,
+          model: model,
+          reasoning: `${route} is unavailable (${this.getUnavailableReason(routingDecision)}); using ${routeTo}:${model}`,
+          content_category: routingDecision.content_category,
+          availability: { action: 'substituted', unavailable_route: route },
+          original_decision: routingDecision
+        };
+      }
+    }
+
+    this.logger.warn(`${route} is unavailable and no alternative model can take the request`);
+    return routingDecision;
+  }
+
+  getUnavailableReason(routingDecision) {
+    return routingDecision.route_to === 'local' && !this.isLocalModelReady(routingDecision.model) ? 'model still being pulled' : 'circuit open';
+  }
+
+  setLocalModelReadiness(isReady) {
+    this.isLocalModelReady = isReady;
+  }
+
+  // Routes without a model behind them (workflow, chunked, ...) are checked when their steps are routed
+  isRouteAvailable(routeTo, model) {
+    const modelConfig = this.getModelConfig({ route_to: routeTo, model });
+    if (!modelConfig) {
+      return true;
+    }
+    if (routeTo === 'local' && !this.isLocalModelReady(model)) {
+      return false;
+    }
+    return this.resilience.isAvailable(modelConfig.provider || 'ollama', modelConfig.model);
+  }
+
+  // Members come from options.ensemble (true, a route list or { models, aggregation }) or routing_rules.ensemble.
+  // Each member has to pass the same tenant, image, context window and budget checks as a routed model.
+  applyEnsemble(routingDecision, content, classification, options, trace = null) {
+    const requested = options.ensemble;
+    if (!requested || options.chunk || options.shadow) {
+      return routingDecision;
+    }
+
+    const settings = this.ensembleSettings;
+    const request = Array.isArray(requested) ? { models: requested } : (typeof requested === 'object' ? requested : {});
+    const routes = [...new Set(request.models || settings.models)].slice(0, settings.max_models);
+    const skipped = [];
+    let skipReason = null;
+
+    if (!settings.enabled) {
+      skipReason = 'ensemble mode is disabled';
+    } else if (routingDecision.route_to !== 'local' && routingDecision.route_to !== 'cloud') {
+      skipReason = `${routingDecision.route_to} routes are not run as an ensemble`;
+    }
+
+    const members = skipReason ? [] : routes.filter(route => {
+      const reason = this.getEnsembleSkipReason(route, content, classification, options, !!trace);
+      if (reason) {
+        skipped.push({ route, reason });
+      }
+      return !reason;
+    });
+
+    if (!skipReason && members.length < 2) {
+      skipReason = `only ${members.length} of ${routes.length} ensemble models can take the request`;
+    }
+
+    if (trace) {
+      trace.ensemble = { requested: routes, members, skipped, applied: !skipReason, reason: skipReason || undefined };
+    }
+
+    if (skipReason) {
+      if (!trace) {
+        this.logger.warn(`Ensemble not applied: ${skipReason}`);
+      }
+      return routingDecision;
+    }
+
+    return {
+      route_to: 'ensemble',
+      model: ENSEMBLE_ACTION,
+      reasoning: `Ensemble of ${members.length} models requested (${members.join(', ')})`,
+      content_category: routingDecision.content_category,
+      members: members,
+      aggregation: request.aggregation || settings.aggregation,
+      judge: settings.judge,
+      skipped_members: skipped.length > 0 ? skipped : undefined,
+      original_decision: routingDecision
+    };
+  }
+
+  getEnsembleSkipReason(route, content, classification, options, dryRun = false) {
+    const [routeTo, model] = route.split(':');
+    const modelConfig = this.getModelConfig({ route_to: routeTo, model });
+
+    if (!modelConfig) {
+      return 'unknown model';
+    }
+    if (!isRouteAllowed(options.tenant, routeTo, model)) {
+      return `tenant ${options.tenant.id} may not use it`;
+    }
+    if (!this.isRouteAvailable(routeTo, model)) {
+      return this.getUnavailableReason({ route_to: routeTo, model });
+    }
+    if (this.hasImages(options) && !modelConfig.supports_images) {
+      return 'cannot read image input';
+    }
+    if (!this.tokenCounter.checkContextWindow(content, modelConfig).fits) {
+      return 'input exceeds its context window';
+    }
+    if (routeTo === 'cloud') {
+      const checked = this.budgetGuard.check({ route_to: routeTo, model }, content, classification, options, { dryRun });
+      if (!checked.budget || checked.budget.action !== 'allowed') {
+        return `budget guard: ${checked.budget ? checked.budget.reason : checked.reasoning}`;
+      }
+    }
+    return null;
+  }
+
+  // Each override keeps the decision it replaced in original_decision; unwind the chain oldest first
+  collectOverrides(routingDecision) {
+    const overrides = [];
+    let decision = routingDecision;
+
+    while (decision && decision.original_decision) {
+      overrides.unshift({
+        from: `${decision.original_decision.route_to}:${decision.original_decision.model}`,
+        to: `${decision.route_to}:${decision.model}`,
+        reasoning: decision.reasoning
+      });
+      decision = decision.original_decision;
+    }
+
+    return overrides;
+  }
+
+  getModelConfig(routingDecision) {
+    if (routingDecision.route_to === 'cloud') {
+      return this.config.cloud_models[routingDecision.model];
+    }
+    if (routingDecision.route_to === 'local') {
+      return this.config.local_models[routingDecision.model];
+    }
+    return null;
+  }
+
+  hasImages(options) {
+    return Array.isArray(options.images) && options.images.length > 0;
+  }
+
+  // Rules may pick a text-only model for image input; move it onto a local vision model
+  applyImageInput(routingDecision, classification, options) {
+    if (!this.hasImages(options) || routingDecision.route_to === 'workflow') {
+      return routingDecision;
+    }
+
+    const modelConfig = this.getModelConfig(routingDecision);
+    if (modelConfig && modelConfig.supports_images) {
+      return routingDecision;
+    }
+
+    const visionModel = this.getVisionModel(classification);
+    if (!visionModel) {
+      this.logger.warn('Image input received but no local model has supports_images set');
+      return routingDecision;
+    }
+
+    return {
+      route_to: 'local',
+      model: visionModel,
+      reasoning: `${routingDecision.route_to}:${routingDecision.model} cannot read image input; using vision model ${visionModel}`,
+      content_category: routingDecision.content_category,
+      original_decision: routingDecision
+    };
+  }
+
+  // Honors chart_analysis_triggers.vision_model_selection when the selected model can take images
+  getVisionModel(classification) {
+    const selection = (this.config.chart_analysis_triggers || {}).vision_model_selection || {};
+    const preferred = classification.priority_tags.length > 0 ? selection.priority_tags : selection.standard;
+
+    if (preferred && (this.config.local_models[preferred] || {}).supports_images) {
+      return preferred;
+    }
+    return Object.keys(this.config.local_models).find(key => this.config.local_models[key].supports_images) || null;
+  }
+
+  // Moves content that overflows the chosen model onto the cheapest cloud model that can hold it
+  applyContextWindow(routingDecision, content) {
+    const modelConfig = this.getModelConfig(routingDecision);
+    if (!modelConfig) {
+      return routingDecision;
+    }
+
+    const contextCheck = this.tokenCounter.checkContextWindow(content, modelConfig);
+    if (contextCheck.fits) {
+      return routingDecision;
+    }
+
+    const alternative = Object.keys(this.config.cloud_models)
+      .filter(model => this.tokenCounter.checkContextWindow(content, this.config.cloud_models[model]).fits)
+      .map(model => ({ model, cost: this.estimateRouteCost({ route_to: 'cloud', model }, content).estimated_cost }))
+      .sort((a, b) => a.cost - b.cost)[0];
+
+    if (!alternative) {
+      this.logger.warn(`Input of ${contextCheck.input_tokens} tokens fits no configured model`);
+      return routingDecision;
+    }
+
+    return {
+      route_to: 'cloud',
+      model: alternative.model,
+      reasoning: `Input of ${contextCheck.input_tokens} tokens exceeds the ${contextCheck.context_window} token context window of ${routingDecision.model}`,
+      content_category: routingDecision.content_category,
+      original_decision: routingDecision
+    };
+  }
+
+  estimateRouteCost(routingDecision, content) {
+    if (routingDecision.route_to === 'ensemble') {
+      return routingDecision.members
+        .map(route => {
+          const [routeTo, model] = route.split(':');
+          return this.estimateRouteCost({ route_to: routeTo, model }, content);
+        })
+        .reduce((total, estimate) => ({
+          input_tokens: total.input_tokens + estimate.input_tokens,
+          max_output_tokens: total.max_output_tokens + estimate.max_output_tokens,
+          estimated_cost: total.estimated_cost + estimate.estimated_cost,
+          max_cost: total.max_cost + estimate.max_cost
+        }), { input_tokens: 0, max_output_tokens: 0, estimated_cost: 0, max_cost: 0 });
+    }
+
+    const modelConfig = routingDecision.route_to === 'cloud' && this.config.cloud_models[routingDecision.model];
+    if (!modelConfig) {
+      return { input_tokens: 0, max_output_tokens: 0, estimated_cost: 0, max_cost: 0 };
+    }
+
+    const inputTokens = this.tokenCounter.count(content, modelConfig.model, modelConfig);
+    const maxOutputTokens = modelConfig.max_tokens || 0;
+    const inputCost = (inputTokens / 1000) * (modelConfig.cost_per_1k_input || 0.001);
+    const outputCostPer1k = modelConfig.cost_per_1k_output || 0.002;
+
+    return {
+      input_tokens: inputTokens,
+      max_output_tokens: maxOutputTokens,
+      // Assumes a reply as long as the prompt, capped by max_tokens
+      estimated_cost: inputCost + (Math.min(inputTokens, maxOutputTokens) / 1000) * outputCostPer1k,
+      max_cost: inputCost + (maxOutputTokens / 1000) * outputCostPer1k
+    };
+  }
+
   getFallbackRoute(contentType) {
     return {
       route_to: 'local',
@@ -274,9 +782,7 @@ class IntelligentRouter {
   }
 
   getDailyCost() {
-    // Implementation to track daily costs
-    const today = new Date().toISOString().split('T')[0];
-    return this.costTracking.get(today) || 0;
+    return this.ledger.getDailyCost();
   }
 
   getModelPerformance(routeType, model) {
@@ -284,15 +790,49 @@ class IntelligentRouter {
     return this.performanceHistory.get(key);
   }
 
+  // Feeds every attempt of an executed route into the performance history and the learning router
+  recordOutcome(routingDecision, result) {
+    const attempts = result.attempts || [{
+      route: `${routingDecision.route_to}:${routingDecision.model}`,
+      status: result.status,
+      latency: result.processing_time,
+      cost: result.estimated_cost,
+      quality_score: result.quality_score
+    }];
+    const learningEnabled = this.config.monitoring.optimization.learning_enabled;
+
+    attempts.forEach(attempt => {
+      const [routeType, model] = attempt.route.split(':');
+      if (routeType !== 'local' && routeType !== 'cloud') {
+        return;
+      }
+
+      const metrics = {
+        latency: attempt.latency,
+        cost: attempt.cost,
+        success: attempt.status === 'success',
+        quality_score: attempt.quality_score
+      };
+
+      this.updatePerformanceHistory(routeType, model, metrics);
+
+      if (learningEnabled && routingDecision.content_category) {
+        this.adaptiveRouter.recordOutcome(routingDecision.content_category, attempt.route, metrics);
+      }
+    });
+  }
+
   updatePerformanceHistory(routeType, model, metrics) {
     const key = `${routeType}:${model}`;
-    const existing = this.performanceHistory.get(key) || { count: 0, total_latency: 0, total_cost: 0 };
+    const existing = this.performanceHistory.get(key) || { count: 0, total_latency: 0, total_cost: 0, successes: 0 };
     
     existing.count++;
     existing.total_latency += metrics.latency || 0;
     existing.total_cost += metrics.cost || 0;
+    existing.successes += metrics.success === false ? 0 : 1;
     existing.avg_latency = existing.total_latency / existing.count;
     existing.avg_cost = existing.total_cost / existing.count;
+    existing.success_rate = existing.successes / existing.count;
     
     this.performanceHistory.set(key, existing);
   }
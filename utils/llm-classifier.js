@@ -0,0 +1,202 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+
+const URGENCY_LEVELS = ['low', 'medium', 'high'];
+const DEFAULT_CATEGORIES = ['trading_content', 'technical_content', 'informational_content', 'general_content'];
+
+// Asks the local classification model for category, urgency and complexity labels.
+// Answers are cached by content hash; when the model misses the latency budget the caller
+// keeps its regex labels, and the late answer still lands in the cache for next time.
+class LlmClassifier {
+  constructor(config) {
+    this.logger = new Logger('LlmClassifier');
+    this.backend = null;
+    this.cache = new Map();
+    this.pending = new Map();
+    this.stats = { llm: 0, cache: 0, timeout: 0, error: 0 };
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    const settings = config.routing_rules.llm_classification || {};
+
+    this.settings = {
+      enabled: settings.enabled === true,
+      model: settings.model || this.loadPipelineModel(),
+      timeout_ms: settings.timeout_ms || 1500,
+      max_input_chars: settings.max_input_chars || 4000,
+      cache_size: settings.cache_size || 5000,
+      cache_ttl_ms: settings.cache_ttl_ms || 3600000,
+      categories: settings.categories || DEFAULT_CATEGORIES
+    };
+  }
+
+  // complexity_analyzer in the content analysis pipeline names its model as local.<key>
+  loadPipelineModel() {
+    try {
+      const workflowConfig = JSON.parse(fs.readFileSync('./config/workflow_config.json', 'utf8'));
+      const preprocessors = (workflowConfig.content_analysis_pipeline || {}).input_processors || [];
+      const analyzer = preprocessors.find(processor => processor.name === 'complexity_analyzer');
+      if (analyzer && analyzer.model) {
+        return analyzer.model.replace(/^local\./, '');
+      }
+    } catch (error) {
+      this.logger.warn(`Cannot read complexity_analyzer from workflow_config.json: ${error.message}`);
+    }
+    return 'classification';
+  }
+
+  // process(modelKey, prompt, options) of the local model manager
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  isEnabled() {
+    return this.settings.enabled && this.backend !== null;
+  }
+
+  // cachedOnly (dry runs) answers from the cache or not at all: no model call, no cache entry, no stats
+  async classify(content, contentType, { cachedOnly = false } = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const text = String(content || '');
+    const key = crypto.createHash('sha256').update(`${contentType}|${text}`).digest('hex');
+    const cached = this.getCached(key, !cachedOnly);
+    if (cached) {
+      if (!cachedOnly) {
+        this.stats.cache++;
+      }
+      return { source: 'cache', labels: cached, latency: 0 };
+    }
+    if (cachedOnly) {
+      return { source: 'regex', labels: null, latency: 0, reason: 'not cached; dry runs never call the classification model' };
+    }
+
+    const startTime = Date.now();
+    // Identical content already being classified shares the one model call
+    let request = this.pending.get(key);
+    if (!request) {
+      request = this.requestLabels(text, contentType)
+        .then(labels => {
+          this.setCached(key, labels);
+          return labels;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), this.settings.timeout_ms);
+    });
+
+    try {
+      const labels = await Promise.race([request, timeout]);
+      if (labels === 'timeout') {
+        this.stats.timeout++;
+        // Keep the rejection from surfacing as unhandled once nobody is waiting on it
+        request.catch(() => {});
+        return { source: 'regex', labels: null, latency: Date.now() - startTime, reason: `timed out after ${this.settings.timeout_ms}ms` };
+      }
+
+      this.stats.llm++;
+      return { source: 'llm', labels, latency: Date.now() - startTime };
+    } catch (error) {
+      this.stats.error++;
+      this.logger.warn(`LLM classification failed, using regex labels: ${error.message}`);
+      return { source: 'regex', labels: null, latency: Date.now() - startTime, reason: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async requestLabels(text, contentType) {
+    const prompt = [
+      'Classify the content below. Reply with JSON only, in this shape:',
+      `{"categories": [one or more of ${this.settings.categories.map(category => `"${category}"`).join(', ')}],`,
+      ' "urgency": "low" | "medium" | "high",',
+      ' "complexity": number from 0 (trivial) to 1 (expert analysis needed)}',
+      '',
+      `Content type: ${contentType || 'text'}`,
+      'Content:',
+      text.slice(0, this.settings.max_input_chars)
+    ].join('\n');
+
+    const result = await this.backend(this.settings.model, prompt, { format: 'json', max_tokens: 100 });
+    if (result.status !== 'success') {
+      throw new Error(result.error || result.status);
+    }
+    return this.parseLabels(result.result);
+  }
+
+  parseLabels(output) {
+    const match = String(output || '').match(/\{[\s\S]*\}/);
+    if (!match) {
+      throw new Error('classification model returned no JSON object');
+    }
+
+    const parsed = JSON.parse(match[0]);
+    const categories = (Array.isArray(parsed.categories) ? parsed.categories : [parsed.categories])
+      .filter(category => this.settings.categories.includes(category));
+    const complexity = Number(parsed.complexity);
+
+    if (categories.length === 0) {
+      throw new Error(`no known category in ${JSON.stringify(parsed.categories)}`);
+    }
+    if (!URGENCY_LEVELS.includes(parsed.urgency)) {
+      throw new Error(`unknown urgency ${JSON.stringify(parsed.urgency)}`);
+    }
+    if (!Number.isFinite(complexity)) {
+      throw new Error(`complexity ${JSON.stringify(parsed.complexity)} is not a number`);
+    }
+
+    return {
+      categories,
+      urgency: parsed.urgency,
+      complexity: Math.min(Math.max(complexity, 0), 1)
+    };
+  }
+
+  getCached(key, touch = true) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.stored_at > this.settings.cache_ttl_ms) {
+      if (touch) {
+        this.cache.delete(key);
+      }
+      return null;
+    }
+    if (!touch) {
+      return entry.labels;
+    }
+
+    // Re-insert so eviction drops the least recently used entry first
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry.labels;
+  }
+
+  setCached(key, labels) {
+    this.cache.set(key, { labels, stored_at: Date.now() });
+    while (this.cache.size > this.settings.cache_size) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      model: this.settings.model,
+      timeout_ms: this.settings.timeout_ms,
+      cache_entries: this.cache.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { LlmClassifier };
@@ -1,23 +1,58 @@
 const axios = require('axios');
 const { Logger } = require('./logger');
+const { getLedger } = require('./cost-ledger');
+const { getTokenCounter } = require('./tokenizer');
+const { getConfigLoader } = require('./config-loader');
+const { getProviderRegistry } = require('./model-providers');
+const { getResilience } = require('./provider-resilience');
+const { getScheduler } = require('./request-scheduler');
+const { ModelResidency } = require('./model-residency');
+const { ModelPullJobs } = require('./model-pulls');
 
 class LocalModelManager {
   constructor() {
     this.logger = new Logger('LocalModelManager');
-    this.ollamaHost = process.env.OLLAMA_HOST || 'localhost';
-    this.ollamaPort = process.env.OLLAMA_PORT || 11434;
-    this.baseUrl = `http://${this.ollamaHost}:${this.ollamaPort}`;
-    this.loadedModels = new Set();
-    this.modelConfig = JSON.parse(require('fs').readFileSync('./config/router_config.json', 'utf8')).local_models;
+    this.providers = getProviderRegistry();
+    this.resilience = getResilience();
+    this.scheduler = getScheduler();
+    this.ledger = getLedger();
+    this.tokenCounter = getTokenCounter();
+    this.modelConfig = getConfigLoader().get().local_models;
+    this.residency = new ModelResidency(getConfigLoader().get(), () => this.baseUrl);
+    this.pullSettings = getConfigLoader().get().model_pulls || {};
+    this.pulls = new ModelPullJobs(() => this.baseUrl, { maxJobs: this.pullSettings.max_jobs_kept });
+    // Configured models Ollama does not have yet; they are not served until their pull succeeds
+    this.missingModels = new Map();
+    this.pulls.onFinish(job => {
+      if (job.status === 'succeeded') {
+        this.missingModels.delete(job.model);
+      }
+    });
+    getConfigLoader().onChange(config => {
+      this.modelConfig = config.local_models;
+      this.residency.applyConfig(config);
+      this.pullSettings = config.model_pulls || {};
+    });
+  }
+
+  // Model management (tags, pull) goes to the Ollama provider's endpoint
+  get baseUrl() {
+    return this.providers.get('ollama').baseUrl;
   }
 
   async initialize() {
     this.logger.info('Initializing Local Model Manager...');
+    await this.tokenCounter.initialize();
     await this.checkOllamaHealth();
     await this.ensureModelsAvailable();
+    await this.residency.warmPinned();
   }
 
   async checkOllamaHealth() {
+    if (this.getOllamaModels().length === 0) {
+      return true;
+    }
+
     try {
       const response = await axios.get(`${this.baseUrl}/api/tags`);
       this.logger.info('Ollama connection successful');
@@ -28,16 +63,39 @@ class LocalModelManager {
     }
   }
 
+  // Starts a pull job for every configured model Ollama lacks. With model_pulls.startup "degraded" (the
+  // default) startup goes on while they download and routing avoids those models; "wait" blocks until done.
   async ensureModelsAvailable() {
-    const requiredModels = Object.values(this.modelConfig).map(config => config.model);
+    // Other providers serve whatever model their server was started with
+    const requiredModels = this.getOllamaModels();
     const availableModels = await this.listModels();
-    
+    const jobs = [];
+
     for (const model of requiredModels) {
       if (!availableModels.includes(model)) {
         this.logger.info(`Pulling missing model: ${model}`);
-        await this.pullModel(model);
+        this.missingModels.set(model, null);
+        jobs.push(this.pullModel(model));
+      }
+    }
+
+    if (jobs.length === 0) {
+      return;
+    }
+    if (this.pullSettings.startup === 'wait') {
+      const failed = (await Promise.all(jobs.map(job => this.pulls.wait(job.id)))).filter(job => job.status !== 'succeeded');
+      if (failed.length > 0) {
+        throw new Error(`Failed to pull ${failed.map(job => `${job.model} (${job.error || job.status})`).join(', ')}`);
       }
+      return;
     }
+    this.logger.warn(`Starting in degraded mode while ${jobs.length} models are pulled: ${jobs.map(job => job.model).join(', ')}`);
+  }
+
+  // Model keys whose model is still missing are not routed to
+  isModelReady(modelKey) {
+    const modelConfig = this.modelConfig[modelKey];
+    return !modelConfig || !this.missingModels.has(modelConfig.model);
   }
 
   async listModels() {
@@ -50,32 +108,27 @@ class LocalModelManager {
     }
   }
 
-  async pullModel(modelName) {
-    try {
-      this.logger.info(`Pulling model: ${modelName}`);
-      const response = await axios.post(`${this.baseUrl}/api/pull`, {
-        name: modelName
-      });
-      
-      return response.data;
-    } catch (error) {
-      this.logger.error(`Failed to pull model ${modelName}:`, error);
-      throw error;
+  // Pulls in the background; the job reports progress through getPull() until it finishes
+  pullModel(modelName) {
+    const job = this.pulls.start(modelName);
+    if (this.missingModels.has(modelName)) {
+      this.missingModels.set(modelName, job.id);
     }
+    return job;
+  }
+
+  getPull(id) {
+    return this.pulls.get(id);
   }
 
+  // Other providers serve the one model their server was started with; there is nothing to load or unload
   async loadModel(modelName) {
-    if (this.loadedModels.has(modelName)) {
-      return { status: 'already_loaded', model: modelName };
+    if (!this.isOllamaModel(modelName)) {
+      return { status: 'always_loaded', model: modelName };
     }
 
     try {
-      // Warmup the model by sending a simple request
-      await this.makeRequest(modelName, 'Hello', { max_tokens: 1 });
-      this.loadedModels.add(modelName);
-      this.logger.info(`Model loaded: ${modelName}`);
-      
-      return { status: 'loaded', model: modelName };
+      return await this.residency.load(modelName);
     } catch (error) {
       this.logger.error(`Failed to load model ${modelName}:`, error);
       throw error;
@@ -83,13 +136,41 @@ class LocalModelManager {
   }
 
   async unloadModel(modelName) {
-    // Ollama doesn't have explicit unload, but we can track it
-    this.loadedModels.delete(modelName);
-    this.logger.info(`Model unloaded: ${modelName}`);
-    return { status: 'unloaded', model: modelName };
+    if (!this.isOllamaModel(modelName)) {
+      return { status: 'always_loaded', model: modelName };
+    }
+
+    const result = await this.residency.unload(modelName);
+    const outcome = { pinned: 'is pinned, not unloaded', not_loaded: 'was not loaded' }[result.status] || 'unloaded';
+    this.logger.info(`Model ${outcome}: ${modelName}`);
+    return result;
   }
 
+  // Waits for a slot from the shared scheduler; the wait is reported in result.queue, not in processing_time
   async process(modelKey, content, options = {}) {
+    let slot;
+    try {
+      slot = await this.scheduler.acquire(`local:${modelKey}`, options);
+    } catch (error) {
+      this.logger.warn(`Local request for ${modelKey} not admitted: ${error.message}`);
+      return {
+        error: error.message,
+        model: modelKey,
+        processing_time: 0,
+        status: 'error',
+        route_type: 'local',
+        queue: error.queue
+      };
+    }
+
+    try {
+      return { ...(await this.execute(modelKey, content, options)), queue: slot.queue };
+    } finally {
+      slot.release();
+    }
+  }
+
+  async execute(modelKey, content, options = {}) {
     const startTime = Date.now();
     
     try {
@@ -99,18 +180,56 @@ class LocalModelManager {
       }
 
       const modelName = modelConfig.model;
+
+      if (this.missingModels.has(modelName)) {
+        const job = this.pulls.get(this.missingModels.get(modelName));
+        throw new Error(`${modelName} is not available yet: pull ${job ? `${job.status} at ${job.percent}%` : 'not started'}`);
+      }
+
+      if (Array.isArray(options.images) && options.images.length > 0 && !modelConfig.supports_images) {
+        throw new Error(`${modelName} does not accept image input`);
+      }
+
+      // Conversations lose their oldest turns before they would overflow the context window
+      const history = Array.isArray(options.messages) ? this.tokenCounter.fitMessages(options.messages, modelConfig) : null;
+      const contextCheck = this.tokenCounter.checkContextWindow(history ? history.text : content, modelConfig);
+      if (!contextCheck.fits) {
+        throw new Error(`Input of ${contextCheck.input_tokens} tokens exceeds the ${contextCheck.context_window} token context window of ${modelName}`);
+      }
       
-      // Ensure model is loaded
-      await this.loadModel(modelName);
-      
-      // Make the request
-      const result = await this.makeRequest(modelName, content, {
-        max_tokens: modelConfig.max_tokens,
+      const request = () => this.makeRequest(modelName, content, {
         temperature: modelConfig.temperature,
-        ...options
+        context_window: modelConfig.context_window,
+        ...options,
+        messages: history ? history.messages : undefined,
+        max_tokens: Math.min(options.max_tokens || modelConfig.max_tokens, contextCheck.max_output_tokens),
+        keep_alive: this.residency.getKeepAlive(modelName)
       });
 
+      // Ollama models are loaded first, evicting others if the memory budget requires it
+      const { content: result, usage: reportedUsage, finish_reason: finishReason, retries } = this.isOllamaModel(modelName)
+        ? await this.residency.use(modelName, request)
+        : await request();
+
       const processingTime = Date.now() - startTime;
+      const usage = reportedUsage || {
+        input_tokens: contextCheck.input_tokens,
+        output_tokens: this.tokenCounter.count(result || '', modelName, modelConfig),
+        source: this.tokenCounter.isExact(modelName, modelConfig) ? 'tokenizer' : 'estimate'
+      };
+
+      this.ledger.record({
+        routing_id: options.routing_id,
+        tenant: options.tenant && options.tenant.id,
+        route_type: 'local',
+        model_key: modelKey,
+        model: modelName,
+        input_tokens: usage.input_tokens,
+        output_tokens: usage.output_tokens,
+        cost: 0,
+        latency: processingTime,
+        status: 'success'
+      });
 
       return {
         result: result,
@@ -118,12 +237,26 @@ class LocalModelManager {
         processing_time: processingTime,
         status: 'success',
         route_type: 'local',
-        estimated_cost: 0 // Local processing is free
+        estimated_cost: 0, // Local processing is free
+        usage: usage,
+        finish_reason: finishReason,
+        retries: retries || undefined,
+        history: history ? { messages_sent: history.messages.length, messages_dropped: history.dropped } : undefined
       };
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
       this.logger.error(`Local processing failed for ${modelKey}:`, error);
+      this.ledger.record({
+        routing_id: options.routing_id,
+        tenant: options.tenant && options.tenant.id,
+        route_type: 'local',
+        model_key: modelKey,
+        model: this.modelConfig[modelKey]?.model,
+        cost: 0,
+        latency: processingTime,
+        status: 'error'
+      });
       
       return {
         error: error.message,
@@ -135,48 +268,46 @@ class LocalModelManager {
     }
   }
 
+  // Models without a provider field are served by Ollama
+  getProvider(modelName) {
+    const modelConfig = Object.values(this.modelConfig).find(config => config.model === modelName) || {};
+    return this.providers.get(modelConfig.provider || 'ollama');
+  }
+
+  isOllamaModel(modelName) {
+    return this.getProvider(modelName).type === 'ollama';
+  }
+
+  getOllamaModels() {
+    return Object.values(this.modelConfig)
+      .filter(config => this.providers.get(config.provider || 'ollama').type === 'ollama')
+      .map(config => config.model);
+  }
+
   async makeRequest(modelName, prompt, options = {}) {
-    const requestData = {
+    return this.resilience.complete(this.getProvider(modelName), {
+      ...options,
       model: modelName,
-      prompt: prompt,
-      options: {
-        num_predict: options.max_tokens || 1000,
-        temperature: options.temperature || 0.7,
-        top_p: options.top_p || 0.9,
-        top_k: options.top_k || 40
-      },
-      stream: false
-    };
-
-    try {
-      const response = await axios.post(`${this.baseUrl}/api/generate`, requestData, {
-        timeout: 60000 // 60 second timeout
-      });
-      
-      return response.data.response;
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama service is not running');
-      }
-      throw error;
-    }
+      prompt: prompt
+    });
   }
 
   getStatus() {
     return {
       connected: true,
-      loaded_models: Array.from(this.loadedModels),
+      residency: this.residency.getStatus(),
+      missing_models: [...this.missingModels.keys()],
       available_model_keys: Object.keys(this.modelConfig)
     };
   }
 
-  async getModelMetrics(modelName) {
-    // In a real implementation, you'd track performance metrics
+  async getModelMetrics(modelKey) {
+    const stats = this.ledger.getModelStats('local', modelKey);
     return {
-      model: modelName,
-      requests_processed: 0,
-      avg_latency: 0,
-      error_rate: 0
+      model: modelKey,
+      requests_processed: stats ? stats.count : 0,
+      avg_latency: stats ? stats.avg_latency : 0,
+      error_rate: stats ? stats.errors / stats.count : 0
     };
   }
 }
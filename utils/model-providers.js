@@ -0,0 +1,539 @@
+const axios = require('axios');
+const { Logger } = require('./logger');
+const { getConfigLoader } = require('./config-loader');
+const { readLines, readSseData } = require('./stream-lines');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Raised by every adapter for failed calls, with the HTTP status (or network error code) kept apart from the message
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// One backend API. complete() takes a prompt or chat messages and resolves to
+// { content, finish_reason, usage }; with onToken set it streams the reply piece by piece.
+class ModelProvider {
+  constructor(name, settings, defaults) {
+    this.logger = new Logger('ModelProvider');
+    this.name = name;
+    this.type = settings.type || name;
+    this.label = settings.label || defaults.label;
+    this.baseUrl = (settings.base_url_env && process.env[settings.base_url_env]) || settings.base_url || defaults.base_url;
+    this.apiKeyEnv = settings.api_key_env || defaults.api_key_env || null;
+    this.apiKey = this.apiKeyEnv ? process.env[this.apiKeyEnv] : null;
+    this.timeout = settings.timeout_ms || DEFAULT_TIMEOUT_MS;
+  }
+
+  // Providers that need a key are unusable without one
+  isConfigured() {
+    return !this.apiKeyEnv || !!this.apiKey;
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      base_url: this.baseUrl,
+      configured: this.isConfigured()
+    };
+  }
+
+  async post(path, body, request, headers = {}) {
+    if (!this.isConfigured()) {
+      throw new ProviderError(`${this.apiKeyEnv} environment variable not set`, { provider: this.name });
+    }
+
+    try {
+      return await axios.post(`${this.baseUrl}${path}`, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        responseType: request.onToken ? 'stream' : 'json',
+        signal: request.signal,
+        // A socket idle timeout, so a long reply that keeps streaming is not cut off
+        timeout: this.timeout
+      });
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+  }
+
+  toProviderError(error) {
+    if (error instanceof ProviderError) {
+      return error;
+    }
+    if (error.response) {
+      const data = error.response.data || {};
+      const detail = (data.error && (data.error.message || data.error)) || data.message || 'Unknown error';
+      const retryAfter = error.response.headers && error.response.headers['retry-after'];
+      return new ProviderError(`${this.label} API error: ${error.response.status} - ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, {
+        provider: this.name,
+        status: error.response.status,
+        retryAfter: retryAfter !== undefined ? retryAfter : null
+      });
+    }
+    const message = error.code === 'ECONNREFUSED' ? `${this.label} service is not running` : error.message;
+    return new ProviderError(message, { provider: this.name, code: error.code || null });
+  }
+
+  // Streams fail mid-body too; those errors are normalized like failed requests
+  async consume(iterate) {
+    try {
+      return await iterate();
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+  }
+
+  // Chat messages for providers that only take a single prompt
+  renderPrompt(request) {
+    if (!request.messages) {
+      return request.prompt;
+    }
+    const names = { system: 'System', user: 'User', assistant: 'Assistant' };
+    return `${request.messages.map(message => `${names[message.role]}: ${message.content}`).join('\n\n')}\n\nAssistant:`;
+  }
+
+  hasImages(request) {
+    return Array.isArray(request.images) && request.images.length > 0;
+  }
+
+  async complete() {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+}
+
+// POST /chat/completions; streams OpenAI-style SSE (data: lines until data: [DONE])
+class OpenAICompatibleProvider extends ModelProvider {
+  constructor(name, settings, defaults = { label: 'OpenAI', base_url: 'https://api.openai.com/v1', api_key_env: 'OPENAI_API_KEY' }) {
+    super(name, settings, defaults);
+  }
+
+  buildMessages(request) {
+    const messages = request.messages || [{ role: 'user', content: request.prompt }];
+    if (!this.hasImages(request)) {
+      return messages.map(({ role, content }) => ({ role, content }));
+    }
+
+    // Images ride on the latest message as data URL content parts
+    return messages.map(({ role, content }, index) => index < messages.length - 1 ? { role, content } : {
+      role,
+      content: [
+        { type: 'text', text: content },
+        ...request.images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mime_type};base64,${image.data}` } }))
+      ]
+    });
+  }
+
+  async complete(request) {
+    const body = {
+      model: request.model,
+      messages: this.buildMessages(request),
+      max_tokens: request.max_tokens || 1000,
+      temperature: request.temperature || 0.7
+    };
+    if (request.onToken) {
+      body.stream = true;
+      // Adds a last chunk with the token counts
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await this.post('/chat/completions', body, request, {
+      'Authorization': `Bearer ${this.apiKey}`,
+      ...(request.onToken ? { 'Accept': 'text/event-stream' } : {})
+    });
+
+    if (!request.onToken) {
+      const choice = response.data.choices[0];
+      return {
+        content: choice.message.content,
+        finish_reason: choice.finish_reason,
+        usage: this.parseUsage(response.data.usage)
+      };
+    }
+
+    return this.consume(async () => {
+      let content = '';
+      let finishReason = null;
+      let usage = null;
+
+      for await (const data of readSseData(response.data)) {
+        if (data === '[DONE]') {
+          break;
+        }
+
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new ProviderError(`${this.label} stream error: ${chunk.error.message || 'Unknown error'}`, { provider: this.name });
+        }
+
+        const choice = (chunk.choices || [])[0];
+        if (choice && choice.delta && choice.delta.content) {
+          content += choice.delta.content;
+          request.onToken(choice.delta.content);
+        }
+        if (choice && choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      return { content, finish_reason: finishReason, usage: this.parseUsage(usage) };
+    });
+  }
+
+  // Provider-reported counts win over our own tokenizer
+  parseUsage(usage) {
+    return usage ? {
+      input_tokens: usage.prompt_tokens,
+      output_tokens: usage.completion_tokens,
+      source: 'provider'
+    } : null;
+  }
+
+  async embed(text, model) {
+    const response = await this.post('/embeddings', { model, input: text }, {}, {
+      'Authorization': `Bearer ${this.apiKey}`
+    });
+    return response.data.data[0].embedding;
+  }
+}
+
+// Abacus.AI serves an OpenAI-compatible API
+class AbacusProvider extends OpenAICompatibleProvider {
+  constructor(name, settings) {
+    super(name, settings, { label: 'Abacus.AI', base_url: 'https://api.abacus.ai/v1', api_key_env: 'ABACUS_API_KEY' });
+  }
+}
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length' };
+
+// POST /messages; system prompts travel outside the message list
+class AnthropicProvider extends ModelProvider {
+  constructor(name, settings) {
+    super(name, settings, { label: 'Anthropic', base_url: 'https://api.anthropic.com/v1', api_key_env: 'ANTHROPIC_API_KEY' });
+  }
+
+  async complete(request) {
+    const messages = request.messages || [{ role: 'user', content: request.prompt }];
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const turns = messages.filter(message => message.role !== 'system');
+
+    const body = {
+      model: request.model,
+      max_tokens: request.max_tokens || 1000,
+      temperature: request.temperature || 0.7,
+      messages: turns.map(({ role, content }, index) => {
+        if (index < turns.length - 1 || !this.hasImages(request)) {
+          return { role, content };
+        }
+        return {
+          role,
+          content: [
+            ...request.images.map(image => ({ type: 'image', source: { type: 'base64', media_type: image.mime_type, data: image.data } })),
+            { type: 'text', text: content }
+          ]
+        };
+      })
+    };
+    if (system) {
+      body.system = system;
+    }
+    if (request.onToken) {
+      body.stream = true;
+    }
+
+    const response = await this.post('/messages', body, request, {
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    });
+
+    if (!request.onToken) {
+      return {
+        content: response.data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        finish_reason: ANTHROPIC_STOP_REASONS[response.data.stop_reason] || response.data.stop_reason,
+        usage: this.parseUsage(response.data.usage)
+      };
+    }
+
+    // message_start carries the input count, content_block_delta the text, message_delta the stop reason and output count
+    return this.consume(async () => {
+      let content = '';
+      let finishReason = null;
+      const usage = {};
+
+      for await (const data of readSseData(response.data)) {
+        const event = JSON.parse(data);
+        if (event.type === 'error') {
+          throw new ProviderError(`${this.label} stream error: ${(event.error || {}).message || 'Unknown error'}`, { provider: this.name });
+        }
+        if (event.type === 'message_start') {
+          Object.assign(usage, event.message.usage);
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          request.onToken(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          finishReason = ANTHROPIC_STOP_REASONS[event.delta.stop_reason] || event.delta.stop_reason;
+          Object.assign(usage, event.usage);
+        } else if (event.type === 'message_stop') {
+          break;
+        }
+      }
+
+      return { content, finish_reason: finishReason, usage: this.parseUsage(usage) };
+    });
+  }
+
+  parseUsage(usage) {
+    return usage && usage.input_tokens !== undefined ? {
+      input_tokens: usage.input_tokens,
+      output_tokens: usage.output_tokens,
+      source: 'provider'
+    } : null;
+  }
+}
+
+// Conversations go to /api/chat, single prompts to /api/generate; both stream NDJSON
+class OllamaProvider extends ModelProvider {
+  constructor(name, settings) {
+    super(name, settings, {
+      label: 'Ollama',
+      base_url: `http://${process.env.OLLAMA_HOST || 'localhost'}:${process.env.OLLAMA_PORT || 11434}`
+    });
+  }
+
+  async complete(request) {
+    const chat = Array.isArray(request.messages);
+    const body = {
+      model: request.model,
+      options: {
+        num_predict: request.max_tokens || 1000,
+        temperature: request.temperature || 0.7,
+        top_p: request.top_p || 0.9,
+        top_k: request.top_k || 40,
+        // Ollama defaults to a 2048 token window unless told otherwise
+        ...(request.context_window ? { num_ctx: request.context_window } : {})
+      },
+      stream: !!request.onToken
+    };
+
+    // Vision models take raw base64 images alongside the prompt, or on the latest chat message
+    const images = this.hasImages(request) ? request.images.map(image => image.data) : null;
+
+    if (chat) {
+      body.messages = request.messages.map((message, index) =>
+        images && index === request.messages.length - 1 ? { ...message, images } : message
+      );
+    } else {
+      body.prompt = request.prompt;
+      if (images) {
+        body.images = images;
+      }
+    }
+
+    // 'json' constrains the reply to a JSON document
+    if (request.format) {
+      body.format = request.format;
+    }
+    // How long the model stays loaded after the reply; -1 pins it, 0 unloads it right away
+    if (request.keep_alive !== undefined) {
+      body.keep_alive = request.keep_alive;
+    }
+
+    const response = await this.post(chat ? '/api/chat' : '/api/generate', body, request);
+
+    if (!request.onToken) {
+      return this.parseResponse(response.data, this.getReplyText(response.data));
+    }
+
+    // Each line carries the next piece of the reply, the last one (done: true) the counts
+    return this.consume(async () => {
+      let content = '';
+      let final = null;
+
+      for await (const line of readLines(response.data)) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        const message = JSON.parse(line);
+        if (message.error) {
+          throw new ProviderError(`${this.label} stream error: ${message.error}`, { provider: this.name });
+        }
+        const piece = this.getReplyText(message);
+        if (piece) {
+          content += piece;
+          request.onToken(piece);
+        }
+        if (message.done) {
+          final = message;
+        }
+      }
+
+      if (!final) {
+        throw new ProviderError(`${this.label} stream ended before the reply was complete`, { provider: this.name });
+      }
+      return this.parseResponse(final, content);
+    });
+  }
+
+  // /api/chat replies in message.content, /api/generate in response
+  getReplyText(data) {
+    return data.message ? data.message.content : data.response;
+  }
+
+  parseResponse(data, content) {
+    return {
+      content: content,
+      // 'length' when num_predict cut the reply short
+      finish_reason: data.done_reason,
+      usage: data.prompt_eval_count !== undefined ? {
+        input_tokens: data.prompt_eval_count,
+        output_tokens: data.eval_count,
+        source: 'provider'
+      } : null
+    };
+  }
+}
+
+// llama.cpp server POST /completion: a single prompt, the model is whatever the server was started with
+class LlamaCppProvider extends ModelProvider {
+  constructor(name, settings) {
+    super(name, settings, { label: 'llama.cpp', base_url: 'http://localhost:8081' });
+  }
+
+  async complete(request) {
+    if (this.hasImages(request)) {
+      throw new ProviderError(`${this.label} /completion does not accept image input`, { provider: this.name });
+    }
+
+    const body = {
+      prompt: this.renderPrompt(request),
+      n_predict: request.max_tokens || 1000,
+      temperature: request.temperature || 0.7,
+      top_p: request.top_p || 0.9,
+      top_k: request.top_k || 40,
+      stream: !!request.onToken
+    };
+    if (request.format === 'json') {
+      body.json_schema = { type: 'object' };
+    }
+
+    const response = await this.post('/completion', body, request);
+
+    if (!request.onToken) {
+      return this.parseResponse(response.data, response.data.content);
+    }
+
+    // SSE data: lines each carry the next piece; the one with stop: true carries the counts
+    return this.consume(async () => {
+      let content = '';
+      let final = null;
+
+      for await (const data of readSseData(response.data)) {
+        const chunk = JSON.parse(data);
+        if (chunk.content) {
+          content += chunk.content;
+          request.onToken(chunk.content);
+        }
+        if (chunk.stop) {
+          final = chunk;
+          break;
+        }
+      }
+
+      if (!final) {
+        throw new ProviderError(`${this.label} stream ended before the reply was complete`, { provider: this.name });
+      }
+      return this.parseResponse(final, content);
+    });
+  }
+
+  parseResponse(data, content) {
+    return {
+      content: content,
+      finish_reason: data.stopped_limit ? 'length' : 'stop',
+      usage: data.tokens_evaluated !== undefined ? {
+        input_tokens: data.tokens_evaluated,
+        output_tokens: data.tokens_predicted,
+        source: 'provider'
+      } : null
+    };
+  }
+}
+
+const PROVIDER_TYPES = {
+  openai: OpenAICompatibleProvider,
+  abacus: AbacusProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  llamacpp: LlamaCppProvider
+};
+
+// Resolves a model's provider field: a named entry of the providers config section,
+// or one of the adapter types with its default endpoint and key variable
+class ProviderRegistry {
+  constructor(config) {
+    this.logger = new Logger('ProviderRegistry');
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    this.settings = config.providers || {};
+    this.providers = new Map();
+  }
+
+  get(name) {
+    if (!this.providers.has(name)) {
+      const settings = this.settings[name] || {};
+      const Provider = PROVIDER_TYPES[settings.type || name];
+      if (!Provider) {
+        throw new Error(`Unknown provider "${name}"`);
+      }
+      this.providers.set(name, new Provider(name, settings));
+    }
+    return this.providers.get(name);
+  }
+
+  getStatus(names) {
+    return Object.fromEntries(names.map(name => {
+      try {
+        return [name, this.get(name).getStatus()];
+      } catch (error) {
+        return [name, { configured: false, error: error.message }];
+      }
+    }));
+  }
+}
+
+let sharedRegistry = null;
+
+// Both managers share one registry; it is rebuilt when router_config.json changes
+function getProviderRegistry() {
+  if (!sharedRegistry) {
+    const configLoader = getConfigLoader();
+    sharedRegistry = new ProviderRegistry(configLoader.get());
+    configLoader.onChange(config => sharedRegistry.applyConfig(config));
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  ModelProvider,
+  OpenAICompatibleProvider,
+  AbacusProvider,
+  AnthropicProvider,
+  OllamaProvider,
+  LlamaCppProvider,
+  ProviderError,
+  ProviderRegistry,
+  PROVIDER_TYPES,
+  getProviderRegistry
+};
@@ -0,0 +1,241 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('./logger');
+const { readLines } = require('./stream-lines');
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Raised for pull job requests that do not fit the job's state; the API answers with statusCode
+class PullJobError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'PullJobError';
+    this.statusCode = statusCode;
+  }
+}
+
+// POST /api/pull with stream: true. Ollama sends one NDJSON line per progress update: a status ("pulling
+// manifest", "pulling <digest>", "verifying sha256 digest", "success") and, while a layer downloads, its
+// digest with completed/total bytes. Layers already on disk, fully or partly, are not downloaded again.
+async function pullWithProgress(baseUrl, modelName, { signal, onProgress = () => {} } = {}) {
+  const response = await axios.post(`${baseUrl}/api/pull`, { name: modelName, stream: true }, {
+    responseType: 'stream',
+    signal: signal,
+    // A socket idle timeout; the download itself may take hours
+    timeout: 60000
+  });
+
+  const layers = new Map();
+  let status = null;
+
+  for await (const line of readLines(response.data)) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    const update = JSON.parse(line);
+    if (update.error) {
+      throw new Error(`Ollama pull error: ${update.error}`);
+    }
+
+    status = update.status;
+    if (update.digest && update.total) {
+      layers.set(update.digest, { total: update.total, completed: update.completed || 0 });
+    }
+
+    let bytesTotal = 0;
+    let bytesCompleted = 0;
+    layers.forEach(layer => {
+      bytesTotal += layer.total;
+      bytesCompleted += layer.completed;
+    });
+    onProgress({ status, bytes_completed: bytesCompleted, bytes_total: bytesTotal });
+  }
+
+  if (status !== 'success') {
+    throw new Error(`Ollama pull of ${modelName} ended with status "${status || 'none'}"`);
+  }
+}
+
+// Background pulls, one download at a time. Jobs live in memory; a cancelled or failed job can be resumed,
+// which pulls again and lets Ollama continue from the layers it already has.
+class ModelPullJobs {
+  constructor(getBaseUrl, { maxJobs = 50 } = {}) {
+    this.logger = new Logger('ModelPullJobs');
+    this.getBaseUrl = getBaseUrl;
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+    this.pullQueue = Promise.resolve();
+    this.listeners = [];
+  }
+
+  // Called with the job whenever one finishes
+  onFinish(listener) {
+    this.listeners.push(listener);
+  }
+
+  // A model with a job queued or running gets that job back instead of a second download
+  start(modelName) {
+    const active = this.findActive(modelName);
+    if (active) {
+      return active;
+    }
+
+    const job = {
+      id: uuidv4(),
+      model: modelName,
+      status: 'queued',
+      phase: null,
+      bytes_completed: 0,
+      bytes_total: 0,
+      percent: 0,
+      runs: 0,
+      error: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      finished_at: null
+    };
+    this.jobs.set(job.id, { job, controller: null, done: null });
+    this.trim();
+    this.enqueue(job.id);
+    return job;
+  }
+
+  findActive(modelName) {
+    for (const { job } of this.jobs.values()) {
+      if (job.model === modelName && !FINISHED_STATES.includes(job.status)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  enqueue(id) {
+    const entry = this.jobs.get(id);
+    entry.done = new Promise(resolve => {
+      // One job blowing up must not stall the jobs queued behind it
+      this.pullQueue = this.pullQueue
+        .then(() => this.run(entry))
+        .catch(error => this.logger.error(`Pull job for ${entry.job.model} failed unexpectedly:`, error))
+        .then(() => resolve(entry.job));
+    });
+  }
+
+  async run(entry) {
+    const { job } = entry;
+    // Cancelled while it was waiting its turn
+    if (job.status !== 'queued') {
+      return;
+    }
+
+    entry.controller = new AbortController();
+    job.runs++;
+    this.update(job, { status: 'running', error: null });
+    this.logger.info(`Pulling model: ${job.model}`);
+
+    try {
+      await pullWithProgress(this.getBaseUrl(), job.model, {
+        signal: entry.controller.signal,
+        onProgress: progress => this.update(job, {
+          phase: progress.status,
+          bytes_completed: progress.bytes_completed,
+          bytes_total: progress.bytes_total,
+          percent: progress.bytes_total > 0 ? Math.round((progress.bytes_completed / progress.bytes_total) * 1000) / 10 : 0
+        })
+      });
+      this.update(job, { status: 'succeeded', percent: 100, finished_at: new Date().toISOString() });
+      this.logger.info(`Model pulled: ${job.model}`);
+    } catch (error) {
+      if (entry.controller.signal.aborted) {
+        this.update(job, { status: 'cancelled', finished_at: new Date().toISOString() });
+        this.logger.info(`Pull of ${job.model} cancelled at ${job.percent}%`);
+      } else {
+        this.update(job, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+        this.logger.error(`Failed to pull model ${job.model}:`, error.message);
+      }
+    } finally {
+      entry.controller = null;
+    }
+
+    this.notify(job);
+  }
+
+  notify(job) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(job);
+      } catch (error) {
+        this.logger.error(`Pull job listener failed for ${job.model}:`, error);
+      }
+    });
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields, { updated_at: new Date().toISOString() });
+  }
+
+  get(id) {
+    const entry = this.jobs.get(id);
+    return entry ? entry.job : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(entry => entry.job).reverse();
+  }
+
+  // Resolves with the job once it has finished, whatever the outcome
+  wait(id) {
+    const entry = this.jobs.get(id);
+    return entry ? entry.done : Promise.resolve(null);
+  }
+
+  cancel(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      throw new PullJobError('Pull job not found', 404);
+    }
+    if (FINISHED_STATES.includes(entry.job.status)) {
+      throw new PullJobError(`Pull job is already ${entry.job.status}`);
+    }
+
+    if (entry.controller) {
+      entry.controller.abort();
+    } else {
+      this.update(entry.job, { status: 'cancelled', finished_at: new Date().toISOString() });
+      this.notify(entry.job);
+    }
+    return entry.job;
+  }
+
+  resume(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      throw new PullJobError('Pull job not found', 404);
+    }
+    if (entry.job.status !== 'cancelled' && entry.job.status !== 'failed') {
+      throw new PullJobError(`Only cancelled or failed pull jobs can be resumed; this one is ${entry.job.status}`);
+    }
+    const active = this.findActive(entry.job.model);
+    if (active) {
+      throw new PullJobError(`${entry.job.model} is already being pulled by job ${active.id}`);
+    }
+
+    this.update(entry.job, { status: 'queued', error: null, finished_at: null });
+    this.enqueue(id);
+    return entry.job;
+  }
+
+  // Oldest finished jobs go first once more than maxJobs are kept
+  trim() {
+    for (const [id, { job }] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) {
+        return;
+      }
+      if (FINISHED_STATES.includes(job.status)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { ModelPullJobs, PullJobError, pullWithProgress };
@@ -0,0 +1,244 @@
+const axios = require('axios');
+const { Logger } = require('./logger');
+
+const GB = 1024 ** 3;
+// Ollama keeps a model loaded for this long after a request; -1 keeps it until told otherwise
+const PINNED_KEEP_ALIVE = -1;
+
+// Ollama names a model without a tag ":latest"
+function normalizeModelName(name) {
+  return name.includes(':') ? name : `${name}:latest`;
+}
+
+function loadResidencySettings(config) {
+  const residency = config.model_residency || {};
+  return {
+    // 0 leaves eviction to Ollama (OLLAMA_MAX_LOADED_MODELS, keep_alive expiry)
+    memory_budget_bytes: (residency.memory_budget_gb || 0) * GB,
+    // vram counts only the part Ollama placed on the GPU, total counts RAM and VRAM together
+    budget_type: residency.budget_type || 'vram',
+    pinned: residency.pinned || [],
+    keep_alive: residency.keep_alive,
+    refresh_interval_ms: residency.refresh_interval_ms !== undefined ? residency.refresh_interval_ms : 5000
+  };
+}
+
+// Tracks which Ollama models are resident (GET /api/ps) and what each one costs in memory. Before a model is
+// loaded, least recently used models are unloaded (keep_alive: 0) until it fits the memory budget; pinned
+// models and models with requests in flight are never evicted.
+class ModelResidency {
+  constructor(config, getBaseUrl) {
+    this.logger = new Logger('ModelResidency');
+    this.getBaseUrl = getBaseUrl;
+    this.resident = new Map();
+    // Last known footprint per model, kept after it is unloaded so the next load can make room up front
+    this.footprints = new Map();
+    this.lastUsed = new Map();
+    this.inFlight = new Map();
+    this.refreshedAt = 0;
+    // Loads and evictions run one at a time, so two loads never evict for each other's room
+    this.loadQueue = Promise.resolve();
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    this.settings = loadResidencySettings(config);
+    const localModels = config.local_models || {};
+    this.pinned = new Set(this.settings.pinned
+      .filter(key => localModels[key])
+      .map(key => normalizeModelName(localModels[key].model)));
+  }
+
+  isPinned(modelName) {
+    return this.pinned.has(normalizeModelName(modelName));
+  }
+
+  // Pinned models are asked to stay loaded indefinitely; keep_alive otherwise comes from config or Ollama's default
+  getKeepAlive(modelName) {
+    return this.isPinned(modelName) ? PINNED_KEEP_ALIVE : this.settings.keep_alive;
+  }
+
+  async refresh(force = false) {
+    if (!force && Date.now() - this.refreshedAt < this.settings.refresh_interval_ms) {
+      return;
+    }
+
+    const response = await axios.get(`${this.getBaseUrl()}/api/ps`, { timeout: 10000 });
+    this.resident = new Map((response.data.models || []).map(model => {
+      const footprint = { size: model.size || 0, size_vram: model.size_vram || 0 };
+      this.footprints.set(model.name, footprint);
+      return [model.name, { ...footprint, expires_at: model.expires_at }];
+    }));
+    this.refreshedAt = Date.now();
+  }
+
+  // /api/tags reports the file size, a lower bound for models that have never been resident here
+  async learnFootprints() {
+    try {
+      const response = await axios.get(`${this.getBaseUrl()}/api/tags`, { timeout: 10000 });
+      (response.data.models || []).forEach(model => {
+        if (!this.footprints.has(model.name)) {
+          this.footprints.set(model.name, { size: model.size || 0, size_vram: model.size || 0 });
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`Cannot read model sizes: ${error.message}`);
+    }
+  }
+
+  getFootprint(modelName) {
+    const footprint = this.footprints.get(modelName);
+    if (!footprint) {
+      return 0;
+    }
+    return this.settings.budget_type === 'total' ? footprint.size : footprint.size_vram;
+  }
+
+  getUsedMemory() {
+    let used = 0;
+    this.resident.forEach((model, name) => { used += this.getFootprint(name); });
+    return used;
+  }
+
+  async isResident(modelName) {
+    await this.refresh();
+    return this.resident.has(normalizeModelName(modelName));
+  }
+
+  // Runs a request against the model: loads it first (making room if needed) and keeps it from being
+  // evicted until the request is done
+  async use(modelName, task) {
+    const name = normalizeModelName(modelName);
+    this.inFlight.set(name, (this.inFlight.get(name) || 0) + 1);
+    this.lastUsed.set(name, Date.now());
+
+    try {
+      try {
+        if (!(await this.isResident(name))) {
+          await this.load(name);
+        }
+      } catch (error) {
+        // Ollama loads the model on the request itself; the request's own error handling sees a dead service
+        this.logger.warn(`Cannot manage residency of ${name}: ${error.message}`);
+      }
+      return await task();
+    } finally {
+      this.inFlight.set(name, this.inFlight.get(name) - 1);
+      this.lastUsed.set(name, Date.now());
+    }
+  }
+
+  load(modelName) {
+    const name = normalizeModelName(modelName);
+    const run = this.loadQueue.then(async () => {
+      await this.refresh(true);
+      if (this.resident.has(name)) {
+        return { status: 'already_loaded', model: name };
+      }
+
+      if (!this.footprints.has(name)) {
+        await this.learnFootprints();
+      }
+      const evicted = await this.makeRoom(this.getFootprint(name), name);
+
+      // A request without a prompt only loads the model
+      await axios.post(`${this.getBaseUrl()}/api/generate`, {
+        model: name,
+        keep_alive: this.getKeepAlive(name)
+      }, { timeout: 300000 });
+      this.lastUsed.set(name, Date.now());
+      await this.refresh(true);
+
+      // The footprint is only known for sure once the model is resident
+      const overflow = await this.makeRoom(0, name);
+      this.logger.info(`Model loaded: ${name}`);
+      return { status: 'loaded', model: name, evicted: [...evicted, ...overflow] };
+    });
+
+    this.loadQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Unloads least recently used models until `needed` more bytes fit the budget
+  async makeRoom(needed, loading) {
+    const budget = this.settings.memory_budget_bytes;
+    const evicted = [];
+    if (!budget) {
+      return evicted;
+    }
+
+    const candidates = [...this.resident.keys()]
+      .filter(name => name !== loading && !this.pinned.has(name) && !this.inFlight.get(name))
+      .sort((a, b) => (this.lastUsed.get(a) || 0) - (this.lastUsed.get(b) || 0));
+
+    while (this.getUsedMemory() + needed > budget && candidates.length > 0) {
+      const name = candidates.shift();
+      await this.evict(name);
+      evicted.push(name);
+    }
+
+    if (this.getUsedMemory() + needed > budget) {
+      this.logger.warn(`${loading} needs ${(needed / GB).toFixed(1)}GB; ${(this.getUsedMemory() / GB).toFixed(1)}GB of the ` +
+        `${(budget / GB).toFixed(1)}GB budget is held by pinned or busy models`);
+    }
+    return evicted;
+  }
+
+  // keep_alive: 0 makes Ollama drop the model right away
+  async evict(modelName) {
+    await axios.post(`${this.getBaseUrl()}/api/generate`, { model: modelName, keep_alive: 0 }, { timeout: 30000 });
+    this.resident.delete(modelName);
+    this.logger.info(`Model evicted: ${modelName}`);
+  }
+
+  async unload(modelName) {
+    const name = normalizeModelName(modelName);
+    if (this.isPinned(name)) {
+      return { status: 'pinned', model: name };
+    }
+
+    const run = this.loadQueue.then(async () => {
+      // Asking Ollama to unload a model it does not hold would load it just to drop it again
+      await this.refresh(true);
+      if (!this.resident.has(name)) {
+        return { status: 'not_loaded', model: name };
+      }
+
+      await this.evict(name);
+      return { status: 'unloaded', model: name };
+    });
+    this.loadQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Pinned models are loaded at startup so the first classification request does not pay for it
+  async warmPinned() {
+    for (const name of this.pinned) {
+      try {
+        await this.load(name);
+      } catch (error) {
+        this.logger.warn(`Cannot warm pinned model ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      budget_type: this.settings.budget_type,
+      memory_budget_gb: this.settings.memory_budget_bytes / GB,
+      used_gb: this.getUsedMemory() / GB,
+      refreshed_at: this.refreshedAt ? new Date(this.refreshedAt).toISOString() : null,
+      resident: [...this.resident].map(([name, model]) => ({
+        model: name,
+        size_gb: model.size / GB,
+        size_vram_gb: model.size_vram / GB,
+        pinned: this.pinned.has(name),
+        in_flight: this.inFlight.get(name) || 0,
+        last_used: this.lastUsed.has(name) ? new Date(this.lastUsed.get(name)).toISOString() : undefined,
+        expires_at: model.expires_at
+      }))
+    };
+  }
+}
+
+module.exports = { ModelResidency, normalizeModelName, loadResidencySettings };
@@ -0,0 +1,103 @@
+const { Logger } = require('./logger');
+const { extractUrlFilterTags, containsWord, decodeUrl } = require('./rule-engine');
+
+class PriorityTagDetector {
+  constructor(config) {
+    this.logger = new Logger('PriorityTagDetector');
+    this.config = config;
+    this.groups = this.compileGroups(config.priority_tags || {});
+    this.urlTagPatterns = this.compilePatterns((config.url_analysis || {}).tag_patterns || [], 'gi');
+  }
+
+  compileGroups(priorityTags) {
+    return Object.entries(priorityTags).map(([name, group]) => ({
+      name,
+      tags: (group.tags || []).map(tag => tag.toLowerCase()),
+      patterns: this.compilePatterns(group.patterns || [], 'i'),
+      url_patterns: this.compilePatterns(group.url_patterns || [], 'i'),
+      priority_multiplier: group.priority_multiplier || 1,
+      force_advanced_analysis: group.force_advanced_analysis === true,
+      advanced_analysis_model: group.advanced_analysis_model
+    }));
+  }
+
+  compilePatterns(patterns, flags) {
+    return patterns.reduce((compiled, pattern) => {
+      try {
+        compiled.push(new RegExp(pattern, flags));
+      } catch (error) {
+        this.logger.warn(`Ignoring invalid priority pattern ${pattern}: ${error.message}`);
+      }
+      return compiled;
+    }, []);
+  }
+
+  detect(content, options = {}) {
+    const text = typeof content === 'string' ? content : String(content || '');
+    const url = decodeUrl(options.source_url);
+    const urlTags = extractUrlFilterTags(options.source_url, this.urlTagPatterns);
+    const callerTags = (options.tags || []).map(tag => String(tag).toLowerCase());
+
+    const matchedGroups = [];
+
+    for (const group of this.groups) {
+      const matchedTags = new Set();
+      const sources = new Set();
+
+      for (const pattern of group.patterns) {
+        const match = text.match(pattern);
+        if (match) {
+          matchedTags.add(match[0].toLowerCase());
+          sources.add('text');
+        }
+      }
+
+      for (const tag of group.tags) {
+        if (containsWord(text, tag)) {
+          matchedTags.add(tag);
+          sources.add('text');
+        }
+        if (urlTags.includes(tag)) {
+          matchedTags.add(tag);
+          sources.add('url');
+        }
+        if (callerTags.includes(tag)) {
+          matchedTags.add(tag);
+          sources.add('caller');
+        }
+      }
+
+      for (const pattern of group.url_patterns) {
+        const match = url.match(pattern);
+        if (match) {
+          matchedTags.add((match[1] || match[0]).toLowerCase());
+          sources.add('url');
+        }
+      }
+
+      if (matchedTags.size > 0) {
+        matchedGroups.push({
+          group: group.name,
+          matched_tags: Array.from(matchedTags),
+          sources: Array.from(sources),
+          priority_multiplier: group.priority_multiplier,
+          force_advanced_analysis: group.force_advanced_analysis,
+          advanced_analysis_model: group.advanced_analysis_model
+        });
+      }
+    }
+
+    const forcingGroup = matchedGroups.find(group => group.force_advanced_analysis);
+
+    return {
+      has_priority_tags: matchedGroups.length > 0,
+      matched_groups: matchedGroups,
+      tags: Array.from(new Set(matchedGroups.flatMap(group => group.matched_tags))),
+      priority_multiplier: matchedGroups.reduce((max, group) => Math.max(max, group.priority_multiplier), 1),
+      force_advanced_analysis: !!forcingGroup,
+      advanced_analysis_model: forcingGroup ? forcingGroup.advanced_analysis_model : undefined
+    };
+  }
+}
+
+module.exports = { PriorityTagDetector };
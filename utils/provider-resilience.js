@@ -0,0 +1,301 @@
+const { Logger } = require('./logger');
+const { getConfigLoader } = require('./config-loader');
+
+// HTTP statuses that say "try again later" rather than "this request is wrong"
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// A refused connection means the service is down: it trips the breaker but is not retried
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+const DOWN_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND'];
+// axios reports an aborted request (the client went away) with this code
+const CANCELED_CODE = 'ERR_CANCELED';
+
+// Thrown instead of calling a provider whose breaker is open
+class CircuitOpenError extends Error {
+  constructor(key, retryAt) {
+    super(`Circuit open for ${key} after repeated failures; next trial after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.key = key;
+    this.retryAt = retryAt;
+  }
+}
+
+// closed -> open after failure_threshold failures within window_ms; after open_ms a single
+// trial request is let through (half_open), which closes the breaker or opens it again
+class CircuitBreaker {
+  constructor(key, settings) {
+    this.key = key;
+    this.settings = settings;
+    this.state = 'closed';
+    this.failures = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  canRequest(now = Date.now()) {
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'open') {
+      return now >= this.getRetryAt();
+    }
+    return !this.trialInFlight;
+  }
+
+  acquire() {
+    if (this.state !== 'closed') {
+      this.state = 'half_open';
+      this.trialInFlight = true;
+    }
+  }
+
+  // Errors that say nothing about availability (a rejected request) only end the trial
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = [];
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.lastError = error.message;
+    this.trialInFlight = false;
+    this.failures = this.failures.filter(time => now - time < this.settings.window_ms);
+    this.failures.push(now);
+
+    if (this.state === 'half_open' || this.failures.length >= this.settings.failure_threshold) {
+      this.state = 'open';
+      this.openedAt = now;
+      return true;
+    }
+    return false;
+  }
+
+  getRetryAt() {
+    return this.openedAt + this.settings.open_ms;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      recent_failures: this.failures.length,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : undefined,
+      next_trial_at: this.state === 'open' ? new Date(this.getRetryAt()).toISOString() : undefined,
+      last_error: this.lastError || undefined
+    };
+  }
+}
+
+function loadResilienceSettings(config) {
+  const resilience = config.resilience || {};
+  const retry = resilience.retry || {};
+  const breaker = resilience.circuit_breaker || {};
+
+  return {
+    retry: {
+      max_attempts: retry.max_attempts || 3,
+      base_delay_ms: retry.base_delay_ms !== undefined ? retry.base_delay_ms : 500,
+      max_delay_ms: retry.max_delay_ms || 8000,
+      max_retry_after_ms: retry.max_retry_after_ms || 30000
+    },
+    circuit_breaker: {
+      enabled: breaker.enabled !== false,
+      failure_threshold: breaker.failure_threshold || 5,
+      window_ms: breaker.window_ms || 60000,
+      open_ms: breaker.open_ms || 30000
+    }
+  };
+}
+
+// Wraps provider calls with retries and circuit breakers. Connection failures count against the
+// provider as a whole (one dead server takes all its models down), HTTP failures against provider:model.
+class ProviderResilience {
+  constructor(config) {
+    this.logger = new Logger('ProviderResilience');
+    this.breakers = new Map();
+    this.applyConfig(config);
+  }
+
+  // Breaker state survives a reload; only the thresholds change
+  applyConfig(config) {
+    this.settings = loadResilienceSettings(config);
+    this.breakers.forEach(breaker => { breaker.settings = this.settings.circuit_breaker; });
+  }
+
+  getBreaker(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(key, this.settings.circuit_breaker));
+    }
+    return this.breakers.get(key);
+  }
+
+  getBreakers(providerName, model) {
+    return [this.getBreaker(providerName), this.getBreaker(`${providerName}:${model}`)];
+  }
+
+  // Read-only: also true when an open breaker is due for its trial request
+  isAvailable(providerName, model) {
+    if (!this.settings.circuit_breaker.enabled) {
+      return true;
+    }
+    return this.getBreakers(providerName, model).every(breaker => breaker.canRequest());
+  }
+
+  // provider.complete(request) with retries. A stream is only retried until its first token:
+  // after that the caller has already forwarded part of the reply.
+  async complete(provider, request) {
+    const { max_attempts: maxAttempts } = this.settings.retry;
+    const breakers = this.getBreakers(provider.name, request.model);
+    let streamed = false;
+    const attemptRequest = request.onToken ? {
+      ...request,
+      onToken: token => {
+        streamed = true;
+        request.onToken(token);
+      }
+    } : request;
+
+    for (let attempt = 1; ; attempt++) {
+      this.checkBreakers(breakers);
+
+      try {
+        const result = await provider.complete(attemptRequest);
+        breakers.forEach(breaker => breaker.recordSuccess());
+        return { ...result, retries: attempt - 1 };
+      } catch (error) {
+        this.recordFailure(breakers, error);
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (attempt >= maxAttempts || streamed || delay === null || (request.signal && request.signal.aborted)) {
+          throw error;
+        }
+
+        this.logger.warn(`${provider.name}:${request.model} attempt ${attempt} failed (${error.message}); retrying in ${delay}ms`);
+        await this.sleep(delay, request.signal);
+      }
+    }
+  }
+
+  checkBreakers(breakers) {
+    if (!this.settings.circuit_breaker.enabled) {
+      return;
+    }
+    const open = breakers.find(breaker => !breaker.canRequest());
+    if (open) {
+      throw new CircuitOpenError(open.key, open.state === 'open' ? open.getRetryAt() : Date.now());
+    }
+    breakers.forEach(breaker => breaker.acquire());
+  }
+
+  recordFailure([providerBreaker, modelBreaker], error) {
+    const kind = this.classifyError(error);
+    const tripped = kind === 'connection' ? providerBreaker : kind === 'http' ? modelBreaker : null;
+
+    [providerBreaker, modelBreaker].forEach(breaker => {
+      if (breaker !== tripped) {
+        breaker.release();
+      }
+    });
+    if (tripped && tripped.recordFailure(error)) {
+      this.logger.warn(`Circuit opened for ${tripped.key}: ${error.message}`);
+    }
+  }
+
+  // 'connection' and 'http' failures count against a breaker; anything else (a rejected request,
+  // a missing API key, a cancelled call) is the caller's problem, not the provider's
+  classifyError(error) {
+    if (error.code === CANCELED_CODE) {
+      return null;
+    }
+    if (error.status) {
+      return RETRYABLE_STATUSES.includes(error.status) ? 'http' : null;
+    }
+    if (RETRYABLE_CODES.includes(error.code) || DOWN_CODES.includes(error.code)) {
+      return 'connection';
+    }
+    return null;
+  }
+
+  // null when the error should not be retried. Retry-After (seconds or an HTTP date) wins over the
+  // jittered backoff; one longer than max_retry_after_ms is not waited out.
+  getRetryDelay(error, attempt) {
+    const retryable = RETRYABLE_STATUSES.includes(error.status) || RETRYABLE_CODES.includes(error.code);
+    if (!retryable) {
+      return null;
+    }
+
+    const retryAfter = this.parseRetryAfter(error.retryAfter);
+    if (retryAfter !== null) {
+      return retryAfter <= this.settings.retry.max_retry_after_ms ? retryAfter : null;
+    }
+
+    // Full jitter: a random delay up to the exponential cap, so clients that failed together spread out
+    const { base_delay_ms: base, max_delay_ms: max } = this.settings.retry;
+    return Math.round(Math.random() * Math.min(max, base * 2 ** (attempt - 1)));
+  }
+
+  parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        const error = new Error('Request cancelled during retry backoff');
+        error.code = CANCELED_CODE;
+        reject(error);
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Breakers that never saw a failure are left out
+  getStatus() {
+    const breakers = {};
+    this.breakers.forEach((breaker, key) => {
+      if (breaker.state !== 'closed' || breaker.failures.length > 0) {
+        breakers[key] = breaker.getStatus();
+      }
+    });
+    return {
+      enabled: this.settings.circuit_breaker.enabled,
+      max_attempts: this.settings.retry.max_attempts,
+      breakers
+    };
+  }
+}
+
+let sharedResilience = null;
+
+// The managers and the router share breaker state, so routing sees what dispatch has seen
+function getResilience() {
+  if (!sharedResilience) {
+    const configLoader = getConfigLoader();
+    sharedResilience = new ProviderResilience(configLoader.get());
+    configLoader.onChange(config => sharedResilience.applyConfig(config));
+  }
+  return sharedResilience;
+}
+
+module.exports = { ProviderResilience, CircuitBreaker, CircuitOpenError, loadResilienceSettings, getResilience };
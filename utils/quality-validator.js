@@ -0,0 +1,269 @@
+const fs = require('fs');
+const { Logger } = require('./logger');
+const { isRouteAllowed } = require('./tenant-registry');
+
+const REFUSAL_PATTERNS = [
+  /\b(i'?m|i am) (sorry|unable|not able)\b/i,
+  /\bi (can'?t|cannot|won'?t) (help|assist|provide|comply|do that)\b/i,
+  /\bas an ai( language model)?\b/i
+];
+
+// The quality_validator post-processor: scores every model result and, when the score falls
+// below threshold, retries the route or climbs the configured model ladder.
+class QualityValidator {
+  constructor(router, run, judge = null) {
+    this.logger = new Logger('QualityValidator');
+    this.router = router;
+    this.run = run;
+    this.judge = judge;
+    this.settings = this.loadSettings(router.config);
+    router.configLoader.onChange(config => { this.settings = this.loadSettings(config); });
+  }
+
+  loadSettings(config) {
+    const validation = config.routing_rules.quality_validation || {};
+    const judge = validation.judge || {};
+    let validator = {};
+
+    try {
+      const workflowConfig = JSON.parse(fs.readFileSync('./config/workflow_config.json', 'utf8'));
+      const postProcessors = (workflowConfig.content_analysis_pipeline || {}).post_processors || [];
+      validator = (postProcessors.find(processor => processor.name === 'quality_validator') || {}).config || {};
+    } catch (error) {
+      this.logger.warn(`Cannot read quality_validator from workflow_config.json: ${error.message}`);
+    }
+
+    return {
+      enabled: validation.enabled !== false,
+      min_quality_score: validator.min_quality_score !== undefined ? validator.min_quality_score : 0.7,
+      priority_content_min_score: validator.priority_content_min_score !== undefined ? validator.priority_content_min_score : 0.85,
+      retry_on_low_quality: validator.retry_on_low_quality === true,
+      upgrade_model_on_failure: validator.upgrade_model_on_failure === true,
+      max_retries: validation.max_retries !== undefined ? validation.max_retries : 1,
+      model_ladder: validation.model_ladder || [],
+      judge: {
+        enabled: judge.enabled === true,
+        model: judge.model || 'classification',
+        max_input_chars: judge.max_input_chars || 4000
+      }
+    };
+  }
+
+  isPriority(routingDecision, options) {
+    return routingDecision.content_category === 'priority_tagged_content' || options.priority === 'high';
+  }
+
+  getThreshold(routingDecision, options) {
+    return this.isPriority(routingDecision, options)
+      ? this.settings.priority_content_min_score
+      : this.settings.min_quality_score;
+  }
+
+  async score(result, content, routingDecision, options = {}) {
+    if (!this.settings.enabled) {
+      return result;
+    }
+
+    const threshold = this.getThreshold(routingDecision, options);
+    const heuristics = this.scoreHeuristics(result, content);
+    let score = heuristics.score;
+    let judgeScore;
+
+    // The judge only weighs in on answers that survived the cheap checks
+    if (this.settings.judge.enabled && this.judge && score >= threshold) {
+      judgeScore = await this.runJudge(result, content, options);
+      if (judgeScore !== null) {
+        score = (score + judgeScore) / 2;
+      }
+    }
+
+    return {
+      ...result,
+      quality_score: score,
+      quality: {
+        score,
+        threshold,
+        passed: score >= threshold,
+        issues: heuristics.issues,
+        judge_score: judgeScore === null ? undefined : judgeScore
+      }
+    };
+  }
+
+  scoreHeuristics(result, content) {
+    if (result.status !== 'success') {
+      return { score: 0, issues: ['no_output'] };
+    }
+
+    const output = (typeof result.result === 'string' ? result.result : JSON.stringify(result.result || '')).trim();
+    if (!output) {
+      return { score: 0, issues: ['empty_output'] };
+    }
+
+    const input = String(content || '').trim();
+    const issues = [];
+    let score = 1;
+
+    if (REFUSAL_PATTERNS.some(pattern => pattern.test(output.slice(0, 300)))) {
+      score -= 0.6;
+      issues.push('refusal');
+    }
+
+    if (result.finish_reason === 'length') {
+      score -= 0.3;
+      issues.push('truncated');
+    } else if (output.length > 200 && !/[.!?)"'`*\]]$/.test(output)) {
+      score -= 0.15;
+      issues.push('possibly_truncated');
+    }
+
+    if (input.length > 500 && output.length < 20) {
+      score -= 0.3;
+      issues.push('too_short');
+    }
+
+    if (output === input) {
+      score -= 0.5;
+      issues.push('echoed_input');
+    }
+
+    return { score: Math.max(0, Math.round(score * 100) / 100), issues };
+  }
+
+  // LLM-as-judge on a small local model; returns null when no usable verdict comes back
+  async runJudge(result, content, options) {
+    const { model, max_input_chars: maxChars } = this.settings.judge;
+    const output = typeof result.result === 'string' ? result.result : JSON.stringify(result.result);
+    const prompt = [
+      'Rate how well the RESPONSE answers the REQUEST on a scale from 0 to 10.',
+      'Consider relevance, correctness and completeness. Reply with the number only.',
+      '',
+      'REQUEST:',
+      String(content).slice(0, maxChars),
+      '',
+      'RESPONSE:',
+      output.slice(0, maxChars)
+    ].join('\n');
+
+    try {
+      const verdict = await this.judge(model, prompt, { routing_id: options.routing_id, max_tokens: 5 });
+      if (verdict.status !== 'success') {
+        throw new Error(verdict.error || verdict.status);
+      }
+
+      const match = String(verdict.result).match(/\d+(\.\d+)?/);
+      if (!match) {
+        throw new Error(`unparseable verdict "${verdict.result}"`);
+      }
+      return Math.min(Math.max(parseFloat(match[0]) / 10, 0), 1);
+    } catch (error) {
+      this.logger.warn(`Quality judge unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  async execute(routingDecision, content, options = {}) {
+    let decision = routingDecision;
+    let result = await this.run(decision, content, options);
+    const runs = [result];
+    const steps = [];
+
+    while (this.needsRetry(result) && steps.length < this.settings.max_retries) {
+      const next = this.getNextDecision(decision, content, options);
+      if (!next) {
+        break;
+      }
+
+      const from = `${decision.route_to}:${decision.model}`;
+      const to = `${next.route_to}:${next.model}`;
+      this.logger.warn(`Quality ${result.quality.score.toFixed(2)} below ${result.quality.threshold} on ${from}; retrying on ${to}`);
+      steps.push({ from, to, quality_score: result.quality.score, issues: result.quality.issues });
+
+      decision = next;
+      result = await this.run(decision, content, options);
+      runs.push(result);
+    }
+
+    return runs.length === 1 ? result : this.buildResult(runs, steps);
+  }
+
+  // Failed calls are retried by the provider layer and the fallback executor, not as low quality
+  needsRetry(result) {
+    return this.settings.retry_on_low_quality && result.status === 'success' &&
+      result.quality !== undefined && !result.quality.passed;
+  }
+
+  getNextDecision(decision, content, options) {
+    const current = `${decision.route_to}:${decision.model}`;
+    const ladder = this.settings.model_ladder;
+    const index = ladder.indexOf(current);
+
+    // Routes off the ladder, the top rung and image input (the ladder is text-only) retry in place
+    if (!this.settings.upgrade_model_on_failure || index === -1 || index === ladder.length - 1 ||
+        (Array.isArray(options.images) && options.images.length > 0)) {
+      // A cloud retry is a second paid call, so it has to fit the budget like any other
+      return this.checkBudget({
+        ...decision,
+        reasoning: `Quality retry on ${current}`,
+        original_decision: decision
+      }, content, options);
+    }
+
+    // Rungs the tenant may not use are stepped over
+    const nextRung = ladder.slice(index + 1).find(route => {
+      const [routeTo, model] = route.split(':');
+      return isRouteAllowed(options.tenant, routeTo, model);
+    });
+    if (!nextRung) {
+      return null;
+    }
+
+    const [routeTo, model] = nextRung.split(':');
+    return this.checkBudget({
+      route_to: routeTo,
+      model: model,
+      reasoning: `Quality upgrade from ${current}`,
+      content_category: decision.content_category,
+      routing_id: decision.routing_id,
+      original_decision: decision
+    }, content, options);
+  }
+
+  // Cloud retries go through the budget guard; null unless it allows the spend as asked, since a
+  // downgraded retry would just run a cheaper model than the one that already fell short
+  checkBudget(decision, content, options) {
+    if (decision.route_to !== 'cloud') {
+      return decision;
+    }
+
+    const checked = this.router.budgetGuard.check(decision, content, {}, options);
+    if (!checked.budget || checked.budget.action !== 'allowed') {
+      return null;
+    }
+    return { ...checked, routing_id: decision.routing_id };
+  }
+
+  // Keeps the best-scoring answer but accounts for every run
+  buildResult(runs, steps) {
+    let bestIndex = 0;
+    runs.forEach((run, index) => {
+      if ((run.quality_score || 0) >= (runs[bestIndex].quality_score || 0)) {
+        bestIndex = index;
+      }
+    });
+
+    return {
+      ...runs[bestIndex],
+      estimated_cost: runs.reduce((sum, run) => sum + (run.estimated_cost || 0), 0),
+      processing_time: runs.reduce((sum, run) => sum + (run.processing_time || 0), 0),
+      attempts: runs.flatMap(run => run.attempts || []),
+      quality_escalation: {
+        retries: steps.length,
+        steps,
+        selected_run: bestIndex
+      }
+    };
+  }
+}
+
+module.exports = { QualityValidator };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+const DEFAULT_REQUEST_LOG_PATH = './data/requests/route-requests.jsonl';
+
+// Append-only JSONL of /route requests for offline replay (scripts/replay-routing.js).
+// Images are kept as their metadata only; routing never looks at the pixels.
+class RequestLog {
+  constructor(filePath = process.env.ROUTE_REQUEST_LOG_PATH || DEFAULT_REQUEST_LOG_PATH) {
+    this.logger = new Logger('RequestLog');
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    this.prepared = false;
+  }
+
+  record(request, routingDecision) {
+    if (!this.prepared) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.prepared = true;
+    }
+
+    const { tenant, images, ...options } = request.options || {};
+    const entry = {
+      timestamp: new Date().toISOString(),
+      routing_id: routingDecision.routing_id,
+      tenant: tenant && tenant.id,
+      content: request.content,
+      content_type: request.content_type,
+      options: {
+        ...options,
+        images: Array.isArray(images) ? images.map(({ data, ...metadata }) => metadata) : undefined
+      },
+      route: `${routingDecision.route_to}:${routingDecision.model || routingDecision.workflow}`
+    };
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`))
+      .catch(error => this.logger.error('Failed to append to request log:', error));
+
+    return entry;
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+// Recorded entries, or bare /route bodies, one per line; unparseable lines are reported and skipped
+function readRequestLog(filePath) {
+  const entries = [];
+  const skipped = [];
+
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      skipped.push({ line: index + 1, error: error.message });
+    }
+  });
+
+  return { entries, skipped };
+}
+
+module.exports = { RequestLog, readRequestLog };
@@ -0,0 +1,212 @@
+const { Logger } = require('./logger');
+const { getConfigLoader } = require('./config-loader');
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+const DEFAULT_PRIORITY = 'medium';
+
+// Raised when a request cannot get a model slot: its queue is full, it waited too long or the caller went away
+class SchedulerError extends Error {
+  constructor(message, { reason, queue, code = null }) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.reason = reason;
+    this.queue = queue;
+    this.code = code;
+  }
+}
+
+function loadSchedulerSettings(config) {
+  const scheduler = config.scheduler || {};
+  const envLimit = parseInt(process.env.MAX_CONCURRENT_REQUESTS, 10);
+  const envParallel = parseInt(process.env.OLLAMA_NUM_PARALLEL, 10);
+
+  return {
+    max_concurrent_requests: envLimit > 0 ? envLimit : (scheduler.max_concurrent_requests || 10),
+    // Ollama serves each loaded model OLLAMA_NUM_PARALLEL requests at a time and queues the rest itself
+    default_local_concurrency: envParallel > 0 ? envParallel : (scheduler.default_local_concurrency || 1),
+    default_cloud_concurrency: scheduler.default_cloud_concurrency || 8,
+    model_concurrency: scheduler.model_concurrency || {},
+    max_queue_depth: scheduler.max_queue_depth || 50,
+    max_wait_ms: scheduler.max_wait_ms || 120000
+  };
+}
+
+// Admission control in front of the model managers. Each route ("local:complex_reasoning") has a
+// concurrency limit and a bounded queue, and all routes together stay under max_concurrent_requests.
+// A free slot goes to the highest priority waiter, oldest first, whose own route has room.
+class RequestScheduler {
+  constructor(config) {
+    this.logger = new Logger('RequestScheduler');
+    this.routes = new Map();
+    this.running = 0;
+    this.sequence = 0;
+    this.applyConfig(config);
+  }
+
+  // Lowered limits apply as running requests finish; nothing already admitted is cut off
+  applyConfig(config) {
+    this.settings = loadSchedulerSettings(config);
+    this.pump();
+  }
+
+  getLimit(route) {
+    const configured = this.settings.model_concurrency[route];
+    if (configured) {
+      return configured;
+    }
+    return route.startsWith('cloud:') ? this.settings.default_cloud_concurrency : this.settings.default_local_concurrency;
+  }
+
+  getRoute(route) {
+    if (!this.routes.has(route)) {
+      this.routes.set(route, { running: 0, queue: [] });
+    }
+    return this.routes.get(route);
+  }
+
+  // Resolves to a slot ({ queue, release() }) once the request may call the model; release() must follow
+  acquire(route, options = {}) {
+    const state = this.getRoute(route);
+    const priority = PRIORITY_ORDER[options.priority] !== undefined ? options.priority : DEFAULT_PRIORITY;
+    const job = {
+      route,
+      priority,
+      sequence: this.sequence++,
+      enqueuedAt: Date.now(),
+      depth: state.queue.length
+    };
+
+    if (state.queue.length >= this.settings.max_queue_depth) {
+      return Promise.reject(new SchedulerError(`Queue for ${route} is full (${state.queue.length} waiting)`, {
+        reason: 'queue_full',
+        queue: this.getMetadata(job)
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+
+      job.timer = setTimeout(() => this.cancel(job, new SchedulerError(
+        `Waited ${this.settings.max_wait_ms}ms for a ${route} slot`,
+        { reason: 'wait_timeout', queue: this.getMetadata(job) }
+      )), this.settings.max_wait_ms);
+
+      if (options.signal) {
+        job.signal = options.signal;
+        job.onAbort = () => this.cancel(job, new SchedulerError(
+          `Request cancelled while queued for ${route}`,
+          // Same code axios uses, so callers treat it like any other cancelled request
+          { reason: 'cancelled', queue: this.getMetadata(job), code: 'ERR_CANCELED' }
+        ));
+        options.signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      state.queue.push(job);
+      this.pump();
+    });
+  }
+
+  cancel(job, error) {
+    const state = this.getRoute(job.route);
+    const index = state.queue.indexOf(job);
+    if (index === -1) {
+      return;
+    }
+    state.queue.splice(index, 1);
+    this.cleanup(job);
+    this.logger.warn(error.message);
+    job.reject(error);
+  }
+
+  cleanup(job) {
+    clearTimeout(job.timer);
+    if (job.signal) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+  }
+
+  // Starts waiters while there is global room, best priority first across all routes with room of their own
+  pump() {
+    while (this.running < this.settings.max_concurrent_requests) {
+      let next = null;
+      for (const [route, state] of this.routes) {
+        if (state.queue.length === 0 || state.running >= this.getLimit(route)) {
+          continue;
+        }
+        const candidate = state.queue.reduce((best, job) => this.compare(job, best) < 0 ? job : best);
+        if (!next || this.compare(candidate, next) < 0) {
+          next = candidate;
+        }
+      }
+      if (!next) {
+        return;
+      }
+      this.start(next);
+    }
+  }
+
+  compare(a, b) {
+    return PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || a.sequence - b.sequence;
+  }
+
+  start(job) {
+    const state = this.getRoute(job.route);
+    state.queue.splice(state.queue.indexOf(job), 1);
+    state.running++;
+    this.running++;
+    this.cleanup(job);
+
+    let released = false;
+    job.resolve({
+      queue: this.getMetadata(job, Date.now() - job.enqueuedAt),
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        state.running--;
+        this.running--;
+        this.pump();
+      }
+    });
+  }
+
+  // Reported with every model result: how many were waiting ahead of it and how long it waited
+  getMetadata(job, waitMs = Date.now() - job.enqueuedAt) {
+    return {
+      route: job.route,
+      priority: job.priority,
+      queue_depth: job.depth,
+      wait_ms: waitMs,
+      concurrency_limit: this.getLimit(job.route)
+    };
+  }
+
+  getStatus() {
+    const routes = {};
+    this.routes.forEach((state, route) => {
+      routes[route] = { running: state.running, queued: state.queue.length, limit: this.getLimit(route) };
+    });
+    return {
+      running: this.running,
+      max_concurrent_requests: this.settings.max_concurrent_requests,
+      max_queue_depth: this.settings.max_queue_depth,
+      routes
+    };
+  }
+}
+
+let sharedScheduler = null;
+
+// One scheduler for both managers, so max_concurrent_requests covers local and cloud calls together
+function getScheduler() {
+  if (!sharedScheduler) {
+    const configLoader = getConfigLoader();
+    sharedScheduler = new RequestScheduler(configLoader.get());
+    configLoader.onChange(config => sharedScheduler.applyConfig(config));
+  }
+  return sharedScheduler;
+}
+
+module.exports = { RequestScheduler, SchedulerError, PRIORITY_ORDER, loadSchedulerSettings, getScheduler };
@@ -0,0 +1,438 @@
+const { Logger } = require('./logger');
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const COMPARISON_OPERATORS = ['<=', '>=', '==', '!=', '<', '>'];
+// Duration literals such as 45s compare against millisecond timings
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000 };
+const FILTER_TAG_PATTERN = /filters\[tag\]=([^&\s]+)/gi;
+
+class RuleEngine {
+  constructor(config) {
+    this.logger = new Logger('RuleEngine');
+    this.config = config;
+    this.parsedConditions = new Map();
+    this.predicates = new Map();
+    this.registerDefaultPredicates();
+  }
+
+  registerPredicate(name, fn) {
+    this.predicates.set(name, fn);
+  }
+
+  registerDefaultPredicates() {
+    this.registerPredicate('contains_priority_tags', (context, args) => {
+      const detected = context.classification.priority_tags;
+      if (args.length === 0 && Array.isArray(detected)) {
+        return detected.length > 0;
+      }
+
+      const tags = args.length > 0 ? args.flat() : this.getConfiguredPriorityTags();
+      const callerTags = (context.options.tags || []).map(tag => String(tag).toLowerCase());
+
+      return tags.some(tag => {
+        const normalized = String(tag).toLowerCase();
+        return callerTags.includes(normalized) ||
+          (detected || []).includes(normalized) ||
+          containsWord(context.text, normalized);
+      });
+    });
+
+    this.registerPredicate('url_contains_filter_tags', (context, args) => {
+      const tags = args.flat().map(tag => String(tag).toLowerCase());
+      const urlTags = extractUrlFilterTags(context.options.source_url);
+
+      if (tags.length === 0) {
+        return urlTags.length > 0;
+      }
+      return urlTags.some(tag => tags.includes(tag));
+    });
+
+    this.registerPredicate('contains_keywords', (context, args) => {
+      const lowerText = context.text.toLowerCase();
+      return args.flat().some(keyword => lowerText.includes(String(keyword).toLowerCase()));
+    });
+
+    this.registerPredicate('contains_video_links', (context, args) => {
+      const domains = args.length > 0 ? args.flat() : ['youtube.com', 'youtu.be'];
+      const haystack = `${context.text} ${context.options.source_url || ''}`.toLowerCase();
+      return domains.some(domain => haystack.includes(String(domain).toLowerCase()));
+    });
+
+    this.registerPredicate('has_images', (context) => {
+      const images = context.options.images;
+      return context.content_type === 'image' ||
+        context.options.has_images === true ||
+        (Array.isArray(images) && images.length > 0);
+    });
+
+    this.registerPredicate('has_multiple_attachments', (context) => {
+      const attachments = context.options.attachments;
+      return Array.isArray(attachments) && attachments.length > 1;
+    });
+  }
+
+  createContext(content, complexity, classification, options = {}) {
+    const text = typeof content === 'string' ? content : String(content || '');
+
+    return {
+      text,
+      content_type: classification.content_type,
+      complexity,
+      classification,
+      options,
+      variables: {
+        length: text.length,
+        content_length: text.length,
+        tokens: complexity.tokens !== undefined ? complexity.tokens : Math.ceil(text.length / 4),
+        complexity_score: complexity.complexity_score,
+        content_type: classification.content_type,
+        batch_size: options.batch_size || 0,
+        priority: options.priority || classification.priority,
+        // The tenant's tier is authoritative; user_tier in options only counts for tenant-less calls
+        user_tier: options.tenant ? options.tenant.tier : options.user_tier,
+        tenant: options.tenant ? options.tenant.id : undefined,
+        cost_mode: options.cost_mode,
+        quality_mode: options.quality_mode
+      }
+    };
+  }
+
+  // Rules are evaluated in declaration order; the first matching rule wins
+  findMatchingRule(rules, context) {
+    for (const [name, rule] of Object.entries(rules || {})) {
+      if (!rule.condition) {
+        continue;
+      }
+
+      try {
+        if (this.evaluate(rule.condition, context)) {
+          return { name, rule };
+        }
+      } catch (error) {
+        this.logger.warn(`Skipping rule ${name}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  // Evaluates every rule, marking the one findMatchingRule would pick
+  explainRules(rules, context) {
+    let selected = false;
+
+    return Object.entries(rules || {}).map(([name, rule]) => {
+      const evaluation = { rule: name, condition: rule.condition || null, matched: false, selected: false };
+
+      if (!rule.condition) {
+        evaluation.skipped = 'no condition';
+        return evaluation;
+      }
+
+      try {
+        evaluation.matched = this.evaluate(rule.condition, context);
+      } catch (error) {
+        evaluation.error = error.message;
+      }
+
+      if (evaluation.matched && !selected) {
+        evaluation.selected = true;
+        selected = true;
+      }
+      return evaluation;
+    });
+  }
+
+  evaluate(condition, context) {
+    return Boolean(this.evaluateNode(this.parse(condition), context));
+  }
+
+  parse(condition) {
+    if (!this.parsedConditions.has(condition)) {
+      const parser = new ConditionParser(tokenize(condition));
+      this.parsedConditions.set(condition, parser.parse());
+    }
+    return this.parsedConditions.get(condition);
+  }
+
+  evaluateNode(node, context) {
+    switch (node.type) {
+      case 'or':
+        return this.evaluateNode(node.left, context) || this.evaluateNode(node.right, context);
+
+      case 'and':
+        return this.evaluateNode(node.left, context) && this.evaluateNode(node.right, context);
+
+      case 'not':
+        return !this.evaluateNode(node.operand, context);
+
+      case 'compare':
+        return compare(node.operator, this.evaluateNode(node.left, context), this.evaluateNode(node.right, context));
+
+      case 'literal':
+        return node.value;
+
+      case 'list':
+        return node.items.map(item => this.evaluateNode(item, context));
+
+      case 'call':
+        return this.callPredicate(node.name, node.args.map(arg => this.evaluateNode(arg, context)), context);
+
+      case 'identifier':
+        if (this.predicates.has(node.name)) {
+          return this.callPredicate(node.name, [], context);
+        }
+        if (Object.prototype.hasOwnProperty.call(context.variables, node.name)) {
+          return context.variables[node.name];
+        }
+        throw new Error(`Unknown identifier: ${node.name}`);
+
+      default:
+        throw new Error(`Unsupported expression node: ${node.type}`);
+    }
+  }
+
+  callPredicate(name, args, context) {
+    const predicate = this.predicates.get(name);
+    if (!predicate) {
+      throw new Error(`Unknown predicate: ${name}`);
+    }
+    return predicate(context, args);
+  }
+
+  getConfiguredPriorityTags() {
+    const groups = Object.values(this.config.priority_tags || {});
+    return groups.flatMap(group => group.tags || []);
+  }
+}
+
+function decodeUrl(url) {
+  if (!url) {
+    return '';
+  }
+  try {
+    return decodeURIComponent(url);
+  } catch (error) {
+    // Malformed escapes - match against the raw URL instead
+    return url;
+  }
+}
+
+// Tags from Patreon-style filters[tag]=... query parameters; patterns must be global and capture the tag
+function extractUrlFilterTags(url, patterns = [FILTER_TAG_PATTERN]) {
+  const decoded = decodeUrl(url);
+  const tags = [];
+  if (!decoded) {
+    return tags;
+  }
+
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(decoded)) !== null) {
+      tags.push(match[1].replace(/\+/g, ' ').toLowerCase());
+    }
+  }
+  return tags;
+}
+
+function containsWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+}
+
+function tokenize(condition) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < condition.length) {
+    const char = condition[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if ('()[],'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    const operator = COMPARISON_OPERATORS.find(op => condition.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      const end = condition.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated string at position ${i} in condition: ${condition}`);
+      }
+      tokens.push({ type: 'literal', value: condition.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    const number = condition.slice(i).match(/^-?\d+(\.\d+)?(ms|s|m)?(?![A-Za-z0-9_])/);
+    if (number) {
+      const multiplier = number[2] ? DURATION_UNITS[number[2]] : 1;
+      tokens.push({ type: 'literal', value: parseFloat(number[0]) * multiplier });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = condition.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+    if (word) {
+      if (KEYWORDS.includes(word[0])) {
+        tokens.push({ type: word[0] });
+      } else if (word[0] === 'true' || word[0] === 'false') {
+        tokens.push({ type: 'literal', value: word[0] === 'true' });
+      } else {
+        tokens.push({ type: 'identifier', value: word[0] });
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${char}' at position ${i} in condition: ${condition}`);
+  }
+
+  return tokens;
+}
+
+class ConditionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  parse() {
+    const node = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected token '${this.describe(this.peek())}'`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.match('OR')) {
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.match('AND')) {
+      node = { type: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.match('NOT')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    const token = this.peek();
+    if (token && token.type === 'operator') {
+      this.position++;
+      return { type: 'compare', operator: token.value, left, right: this.parseOperand() };
+    }
+    return left;
+  }
+
+  parseOperand() {
+    const token = this.next();
+
+    if (!token) {
+      throw new Error('Unexpected end of condition');
+    }
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === '(') {
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.type === '[') {
+      return { type: 'list', items: this.parseSequence(']') };
+    }
+
+    if (token.type === 'identifier') {
+      if (this.match('(')) {
+        return { type: 'call', name: token.value, args: this.parseSequence(')') };
+      }
+      return { type: 'identifier', name: token.value };
+    }
+
+    throw new Error(`Unexpected token '${this.describe(token)}'`);
+  }
+
+  parseSequence(closing) {
+    const items = [];
+    if (this.match(closing)) {
+      return items;
+    }
+
+    do {
+      items.push(this.parseOperand());
+    } while (this.match(','));
+
+    this.expect(closing);
+    return items;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  match(type) {
+    const token = this.peek();
+    if (token && token.type === type) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(type) {
+    if (!this.match(type)) {
+      const token = this.peek();
+      throw new Error(`Expected '${type}' but found '${token ? this.describe(token) : 'end of condition'}'`);
+    }
+  }
+
+  describe(token) {
+    return token.value !== undefined ? token.value : token.type;
+  }
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    default: throw new Error(`Unsupported operator: ${operator}`);
+  }
+}
+
+module.exports = { RuleEngine, extractUrlFilterTags, containsWord, decodeUrl };
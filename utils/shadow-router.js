@@ -0,0 +1,270 @@
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+const { getShadowStore } = require('./shadow-store');
+const { isRouteAllowed } = require('./tenant-registry');
+
+const PREVIEW_CHARS = 200;
+const MAX_DIFF_LINES = 500;
+
+// Mirrors a sample of live requests onto a candidate model. Shadow runs happen after the
+// caller has its answer; their output is only ever stored for comparison.
+class ShadowRouter {
+  constructor(router, dispatch, store = getShadowStore()) {
+    this.logger = new Logger('ShadowRouter');
+    this.router = router;
+    this.dispatch = dispatch;
+    this.store = store;
+    this.inFlight = 0;
+    this.skipped = { in_flight: 0, budget: 0 };
+    this.applyConfig(router.config);
+    router.configLoader.onChange(config => this.applyConfig(config));
+  }
+
+  applyConfig(config) {
+    const shadow = config.routing_rules.shadow_routing || {};
+    const defaultRate = shadow.sample_rate !== undefined ? shadow.sample_rate : 0.1;
+
+    this.settings = {
+      enabled: shadow.enabled === true,
+      max_in_flight: shadow.max_in_flight || 2,
+      max_output_chars: shadow.max_output_chars !== undefined ? shadow.max_output_chars : 4000,
+      experiments: Object.entries(shadow.experiments || {}).map(([name, experiment]) => ({
+        name,
+        rule: experiment.rule || null,
+        shadow_route: experiment.shadow_route,
+        sample_rate: experiment.sample_rate !== undefined ? experiment.sample_rate : defaultRate
+      }))
+    };
+    this.store.setLimit(shadow.max_records || 1000);
+  }
+
+  // Starts a shadow run when an experiment samples this request; callers must not await it
+  maybeShadow(routingDecision, content, options, primaryResult) {
+    if (!this.settings.enabled || options.shadow ||
+        (routingDecision.route_to !== 'local' && routingDecision.route_to !== 'cloud')) {
+      return null;
+    }
+
+    const primaryRoute = `${routingDecision.route_to}:${routingDecision.model}`;
+    const rule = this.getRule(routingDecision);
+    const experiment = this.settings.experiments.find(candidate =>
+      (!candidate.rule || candidate.rule === rule) &&
+      candidate.shadow_route !== primaryRoute &&
+      isRouteAllowed(options.tenant, ...candidate.shadow_route.split(':')) &&
+      Math.random() < candidate.sample_rate
+    );
+
+    if (!experiment) {
+      return null;
+    }
+    if (this.inFlight >= this.settings.max_in_flight) {
+      this.skipped.in_flight++;
+      return null;
+    }
+
+    this.inFlight++;
+    return this.runShadow(experiment, routingDecision, rule, content, options, primaryResult)
+      .catch(error => {
+        this.logger.error(`Shadow run for ${experiment.name} failed:`, error);
+        return null;
+      })
+      .finally(() => {
+        this.inFlight--;
+      });
+  }
+
+  async runShadow(experiment, routingDecision, rule, content, options, primaryResult) {
+    const [routeTo, model] = experiment.shadow_route.split(':');
+    let shadowDecision = {
+      route_to: routeTo,
+      model: model,
+      reasoning: `Shadow run for experiment ${experiment.name}`,
+      content_category: routingDecision.content_category,
+      routing_id: routingDecision.routing_id
+    };
+
+    // Shadow spend is real spend, so it has to fit the budget as is
+    if (routeTo === 'cloud') {
+      const checked = this.router.budgetGuard.check(shadowDecision, content, {}, options);
+      if (!checked.budget || checked.budget.action !== 'allowed') {
+        this.skipped.budget++;
+        return null;
+      }
+      shadowDecision = { ...checked, routing_id: routingDecision.routing_id };
+    }
+
+    const shadowResult = await this.dispatch(shadowDecision, content, { ...options, shadow: true });
+    const primary = this.summarize(`${routingDecision.route_to}:${routingDecision.model}`, primaryResult);
+    const shadow = this.summarize(experiment.shadow_route, shadowResult);
+
+    return this.store.record({
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      experiment: experiment.name,
+      tenant: options.tenant ? options.tenant.id : null,
+      routing_id: routingDecision.routing_id,
+      rule: rule,
+      content_hash: crypto.createHash('sha256').update(String(content)).digest('hex'),
+      content_preview: String(content).slice(0, PREVIEW_CHARS),
+      primary,
+      shadow,
+      comparison: this.compare(primary, shadow)
+    });
+  }
+
+  // The rule survives in the chain of decisions even after later overrides
+  getRule(routingDecision) {
+    let decision = routingDecision;
+    while (decision) {
+      if (decision.rule) {
+        return decision.rule;
+      }
+      decision = decision.original_decision;
+    }
+    return null;
+  }
+
+  summarize(route, result) {
+    const output = typeof result.result === 'string' ? result.result : JSON.stringify(result.result || '');
+
+    return {
+      route,
+      model: result.model,
+      status: result.status,
+      latency: result.processing_time || 0,
+      cost: result.estimated_cost || 0,
+      quality_score: result.quality_score,
+      usage: result.usage,
+      error: result.error,
+      output: output.slice(0, this.settings.max_output_chars),
+      output_truncated: output.length > this.settings.max_output_chars
+    };
+  }
+
+  compare(primary, shadow) {
+    return {
+      same_status: primary.status === shadow.status,
+      latency_delta: shadow.latency - primary.latency,
+      cost_delta: shadow.cost - primary.cost,
+      quality_delta: typeof primary.quality_score === 'number' && typeof shadow.quality_score === 'number'
+        ? shadow.quality_score - primary.quality_score
+        : null,
+      output_similarity: this.similarity(primary.output, shadow.output)
+    };
+  }
+
+  // Jaccard overlap of the two outputs' word sets
+  similarity(a, b) {
+    const words = text => new Set(String(text || '').toLowerCase().match(/[a-z0-9']+/g) || []);
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 && right.size === 0) {
+      return 1;
+    }
+
+    let shared = 0;
+    left.forEach(word => {
+      if (right.has(word)) {
+        shared++;
+      }
+    });
+    return shared / (left.size + right.size - shared);
+  }
+
+  list(filters) {
+    return this.store.list(filters).map(({ primary, shadow, ...record }) => ({
+      ...record,
+      primary: { ...primary, output: primary.output.slice(0, PREVIEW_CHARS) },
+      shadow: { ...shadow, output: shadow.output.slice(0, PREVIEW_CHARS) }
+    }));
+  }
+
+  // Comparisons hold request content, so tenants only see their own; tenant null sees them all
+  getComparison(id, tenant = null) {
+    const record = this.store.get(id);
+    if (!record || (tenant && record.tenant !== tenant)) {
+      return null;
+    }
+    return { ...record, diff: this.diffLines(record.primary.output, record.shadow.output) };
+  }
+
+  // Line diff (longest common subsequence) of the stored primary and shadow outputs
+  diffLines(primaryOutput, shadowOutput) {
+    const a = primaryOutput.split('\n').slice(0, MAX_DIFF_LINES);
+    const b = shadowOutput.split('\n').slice(0, MAX_DIFF_LINES);
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        diff.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        diff.push({ type: 'primary_only', text: a[i] });
+        i++;
+      } else {
+        diff.push({ type: 'shadow_only', text: b[j] });
+        j++;
+      }
+    }
+    return diff;
+  }
+
+  getReport(tenant = null) {
+    const experiments = {};
+
+    for (const record of this.store.all().filter(candidate => !tenant || candidate.tenant === tenant)) {
+      const stats = experiments[record.experiment] || (experiments[record.experiment] = {
+        comparisons: 0,
+        shadow_errors: 0,
+        primary_latency: 0,
+        shadow_latency: 0,
+        primary_cost: 0,
+        shadow_cost: 0,
+        quality_delta: 0,
+        quality_samples: 0,
+        output_similarity: 0
+      });
+
+      stats.comparisons++;
+      stats.shadow_errors += record.shadow.status === 'success' ? 0 : 1;
+      stats.primary_latency += record.primary.latency;
+      stats.shadow_latency += record.shadow.latency;
+      stats.primary_cost += record.primary.cost;
+      stats.shadow_cost += record.shadow.cost;
+      stats.output_similarity += record.comparison.output_similarity;
+      if (record.comparison.quality_delta !== null) {
+        stats.quality_delta += record.comparison.quality_delta;
+        stats.quality_samples++;
+      }
+    }
+
+    return {
+      enabled: this.settings.enabled,
+      in_flight: this.inFlight,
+      skipped: { ...this.skipped },
+      experiments: Object.fromEntries(Object.entries(experiments).map(([name, stats]) => [name, {
+        comparisons: stats.comparisons,
+        shadow_error_rate: stats.shadow_errors / stats.comparisons,
+        avg_primary_latency: stats.primary_latency / stats.comparisons,
+        avg_shadow_latency: stats.shadow_latency / stats.comparisons,
+        total_primary_cost: stats.primary_cost,
+        total_shadow_cost: stats.shadow_cost,
+        avg_quality_delta: stats.quality_samples > 0 ? stats.quality_delta / stats.quality_samples : null,
+        avg_output_similarity: stats.output_similarity / stats.comparisons
+      }]))
+    };
+  }
+}
+
+module.exports = { ShadowRouter };
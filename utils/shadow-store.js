@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+const DEFAULT_SHADOW_PATH = './data/shadow/shadow-comparisons.jsonl';
+const DEFAULT_MAX_RECORDS = 1000;
+
+// Append-only JSONL of primary/shadow comparisons. The file keeps everything; memory keeps
+// the most recent records for the listing endpoint.
+class ShadowStore {
+  constructor(filePath = process.env.SHADOW_LOG_PATH || DEFAULT_SHADOW_PATH) {
+    this.logger = new Logger('ShadowStore');
+    this.filePath = filePath;
+    this.records = [];
+    this.maxRecords = DEFAULT_MAX_RECORDS;
+    this.writeQueue = Promise.resolve();
+    this.loaded = false;
+  }
+
+  setLimit(maxRecords) {
+    this.maxRecords = maxRecords;
+    this.trim();
+  }
+
+  load() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+      }
+    }
+    this.trim();
+
+    this.logger.info(`Loaded ${this.records.length} shadow comparisons from ${this.filePath}`);
+  }
+
+  record(comparison) {
+    this.load();
+    this.records.push(comparison);
+    this.trim();
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(comparison)}\n`))
+      .catch(error => this.logger.error('Failed to append shadow comparison:', error));
+
+    return comparison;
+  }
+
+  trim() {
+    if (this.records.length > this.maxRecords) {
+      this.records.splice(0, this.records.length - this.maxRecords);
+    }
+  }
+
+  // Newest first; tenant null lists every tenant's comparisons
+  list({ experiment = null, tenant = null, limit = 50 } = {}) {
+    this.load();
+    return this.records
+      .filter(record => !experiment || record.experiment === experiment)
+      .filter(record => !tenant || record.tenant === tenant)
+      .slice(-limit)
+      .reverse();
+  }
+
+  get(id) {
+    this.load();
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  all() {
+    this.load();
+    return this.records.slice();
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+const stores = new Map();
+
+function getShadowStore(filePath = process.env.SHADOW_LOG_PATH || DEFAULT_SHADOW_PATH) {
+  if (!stores.has(filePath)) {
+    stores.set(filePath, new ShadowStore(filePath));
+  }
+  return stores.get(filePath);
+}
+
+module.exports = { ShadowStore, getShadowStore };
@@ -0,0 +1,30 @@
+// Yields complete lines from a streamed HTTP body. Ollama streams NDJSON and OpenAI-style APIs
+// stream Server-Sent Events; both are line based, and chunks can end mid-line or mid-character.
+async function* readLines(stream) {
+  stream.setEncoding('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  if (buffer) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+// The payloads of an SSE stream's data: lines; comments, event names and blank lines are skipped
+async function* readSseData(stream) {
+  for await (const line of readLines(stream)) {
+    if (line.startsWith('data:')) {
+      yield line.slice(5).trim();
+    }
+  }
+}
+
+module.exports = { readLines, readSseData };
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+
+const DEFAULT_TENANT_ID = 'default';
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+// allowed_models entries are routes such as 'cloud:abacus_claude_haiku'; 'local:*' allows every local model.
+// Requests without a tenant and non-model routes (workflow, chunked, ...) are never restricted here.
+function isRouteAllowed(tenant, routeTo, model) {
+  if (!tenant || (routeTo !== 'local' && routeTo !== 'cloud')) {
+    return true;
+  }
+  if (tenant.local_only && routeTo === 'cloud') {
+    return false;
+  }
+  if (!tenant.allowed_models) {
+    return true;
+  }
+  return tenant.allowed_models.some(pattern => pattern === `${routeTo}:${model}` || pattern === `${routeTo}:*`);
+}
+
+// Maps API keys to tenants and their routing policy (tenancy in router_config.json).
+// Keys never appear in the config: tenants name an environment variable or list SHA-256 hashes.
+class TenantRegistry {
+  constructor(config) {
+    this.logger = new Logger('TenantRegistry');
+    this.applyConfig(config);
+  }
+
+  applyConfig(config) {
+    const tenancy = config.tenancy || {};
+    this.defaultTenantId = tenancy.default_tenant || DEFAULT_TENANT_ID;
+    this.tenants = new Map();
+    this.keyHashes = new Map();
+
+    for (const [id, definition] of Object.entries(tenancy.tenants || {})) {
+      this.tenants.set(id, this.buildTenant(id, definition));
+
+      const hashes = [...(definition.api_key_sha256 || [])];
+      if (definition.api_key_env) {
+        if (process.env[definition.api_key_env]) {
+          hashes.push(hashApiKey(process.env[definition.api_key_env]));
+        } else {
+          this.logger.warn(`Tenant ${id}: environment variable ${definition.api_key_env} is not set`);
+        }
+      }
+
+      for (const hash of hashes) {
+        const owner = this.keyHashes.get(hash.toLowerCase());
+        if (owner && owner !== id) {
+          this.logger.warn(`Tenant ${id} shares an API key with tenant ${owner}; the key stays with ${owner}`);
+          continue;
+        }
+        this.keyHashes.set(hash.toLowerCase(), id);
+      }
+    }
+  }
+
+  buildTenant(id, definition = {}) {
+    return {
+      id,
+      tier: definition.tier || 'standard',
+      default_priority: definition.default_priority || null,
+      local_only: definition.local_only === true,
+      allowed_models: definition.allowed_models || null,
+      daily_cost_limit: definition.daily_cost_limit,
+      // Admins see reports across tenants (shadow comparisons, the learning router)
+      admin: definition.admin === true
+    };
+  }
+
+  authenticate(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+    const id = this.keyHashes.get(hashApiKey(apiKey));
+    return id ? this.tenants.get(id) : null;
+  }
+
+  get(id) {
+    return this.tenants.get(id) || null;
+  }
+
+  // Callers without a tenant of their own (the shared API_KEY, direct router calls) get this one
+  getDefault() {
+    return this.tenants.get(this.defaultTenantId) || this.buildTenant(this.defaultTenantId);
+  }
+
+  getStatus() {
+    return {
+      default_tenant: this.defaultTenantId,
+      tenants: Array.from(this.tenants.values()).map(tenant => ({
+        ...tenant,
+        api_keys: Array.from(this.keyHashes.values()).filter(id => id === tenant.id).length
+      }))
+    };
+  }
+}
+
+module.exports = { TenantRegistry, isRouteAllowed, hashApiKey };
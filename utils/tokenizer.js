@@ -0,0 +1,160 @@
+const { Logger } = require('./logger');
+
+// Routing thresholds are measured in local-model (Llama 3) tokens
+const DEFAULT_FAMILY = 'llama3';
+// Role markers and separators the chat templates add around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const FAMILY_PATTERNS = [
+  { family: 'o200k', pattern: /^(gpt-4o|o1|o3)/i },
+  { family: 'cl100k', pattern: /^(gpt-4|gpt-3\.5|text-embedding)/i },
+  { family: 'claude', pattern: /^claude/i },
+  { family: 'llama3', pattern: /^llama3/i }
+];
+
+// Offline BPE vocabularies ship with these packages; a family whose package
+// is missing falls back to the length/4 estimate
+const LOADERS = {
+  o200k: async () => {
+    const { Tiktoken } = require('js-tiktoken/lite');
+    const encoder = new Tiktoken(require('js-tiktoken/ranks/o200k_base'));
+    return text => encoder.encode(text).length;
+  },
+  cl100k: async () => {
+    const { Tiktoken } = require('js-tiktoken/lite');
+    const encoder = new Tiktoken(require('js-tiktoken/ranks/cl100k_base'));
+    return text => encoder.encode(text).length;
+  },
+  claude: async () => {
+    const { countTokens } = require('@anthropic-ai/tokenizer');
+    return text => countTokens(text);
+  },
+  llama3: async () => {
+    const { default: llama3Tokenizer } = await import('llama3-tokenizer-js');
+    return text => llama3Tokenizer.encode(text, { bos: false, eos: false }).length;
+  }
+};
+
+class TokenCounter {
+  constructor() {
+    this.logger = new Logger('TokenCounter');
+    this.counters = new Map();
+    this.initializing = null;
+  }
+
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.loadCounters();
+    }
+    return this.initializing;
+  }
+
+  async loadCounters() {
+    for (const [family, load] of Object.entries(LOADERS)) {
+      try {
+        this.counters.set(family, await load());
+      } catch (error) {
+        this.logger.warn(`Tokenizer for ${family} unavailable, estimating from length: ${error.message}`);
+      }
+    }
+    this.logger.info(`Tokenizers loaded: ${Array.from(this.counters.keys()).join(', ') || 'none'}`);
+  }
+
+  // modelConfig.tokenizer overrides the family inferred from the model name
+  getFamily(modelName, modelConfig = {}) {
+    if (modelConfig.tokenizer) {
+      return modelConfig.tokenizer;
+    }
+    if (!modelName) {
+      return DEFAULT_FAMILY;
+    }
+
+    const match = FAMILY_PATTERNS.find(({ pattern }) => pattern.test(modelName));
+    return match ? match.family : 'estimate';
+  }
+
+  count(text, modelName = null, modelConfig = {}) {
+    const value = typeof text === 'string' ? text : String(text || '');
+    if (!value) {
+      return 0;
+    }
+
+    const counter = this.counters.get(this.getFamily(modelName, modelConfig));
+    if (counter) {
+      try {
+        return counter(value);
+      } catch (error) {
+        this.logger.warn(`Token counting failed, estimating from length: ${error.message}`);
+      }
+    }
+
+    return Math.ceil(value.length / 4);
+  }
+
+  isExact(modelName = null, modelConfig = {}) {
+    return this.counters.has(this.getFamily(modelName, modelConfig));
+  }
+
+  // Reports whether the prompt plus the reply budget fits the model's context window
+  checkContextWindow(text, modelConfig) {
+    const inputTokens = this.count(text, modelConfig.model, modelConfig);
+    const contextWindow = modelConfig.context_window;
+    const maxOutputTokens = modelConfig.max_tokens || 0;
+
+    if (!contextWindow) {
+      return { input_tokens: inputTokens, context_window: null, fits: true, max_output_tokens: maxOutputTokens };
+    }
+
+    return {
+      input_tokens: inputTokens,
+      context_window: contextWindow,
+      fits: inputTokens < contextWindow,
+      // Shrink the reply budget rather than overflow the window
+      max_output_tokens: Math.max(0, Math.min(maxOutputTokens, contextWindow - inputTokens))
+    };
+  }
+
+  // Drops the oldest turns until the conversation plus the full reply budget fits the context window.
+  // System messages and the latest message are always sent; checkContextWindow judges what is left.
+  fitMessages(messages, modelConfig) {
+    const cost = message => this.count(message.content, modelConfig.model, modelConfig) + MESSAGE_OVERHEAD_TOKENS;
+    const budget = modelConfig.context_window
+      ? modelConfig.context_window - (modelConfig.max_tokens || 0)
+      : Infinity;
+
+    const last = messages.length - 1;
+    let used = messages.reduce((sum, message, index) =>
+      message.role === 'system' || index === last ? sum + cost(message) : sum, 0);
+    const kept = new Set();
+
+    for (let index = last - 1; index >= 0; index--) {
+      if (messages[index].role === 'system') {
+        continue;
+      }
+      const tokens = cost(messages[index]);
+      if (used + tokens > budget) {
+        break;
+      }
+      used += tokens;
+      kept.add(index);
+    }
+
+    const fitted = messages.filter((message, index) => message.role === 'system' || index === last || kept.has(index));
+    return {
+      messages: fitted,
+      dropped: messages.length - fitted.length,
+      text: fitted.map(message => message.content).join('\n\n')
+    };
+  }
+}
+
+let sharedCounter = null;
+
+function getTokenCounter() {
+  if (!sharedCounter) {
+    sharedCounter = new TokenCounter();
+  }
+  return sharedCounter;
+}
+
+module.exports = { TokenCounter, getTokenCounter };
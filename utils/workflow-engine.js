@@ -1,5 +1,6 @@
 const fs = require('fs');
 const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
 const { Logger } = require('./logger');
 
 class WorkflowEngine {
@@ -25,6 +26,17 @@ class WorkflowEngine {
         this.logger.info(`Loaded workflow: ${categoryName}.${workflowName}`);
       }
     }
+
+    // Video pipelines are routing targets; their processing_steps run as workflow steps
+    const videoPipelines = this.config.video_processing_pipeline || {};
+
+    for (const [pipelineName, pipeline] of Object.entries(videoPipelines)) {
+      this.workflows.set(`video_processing_pipeline.${pipelineName}`, {
+        ...pipeline,
+        steps: pipeline.processing_steps
+      });
+      this.logger.info(`Loaded workflow: video_processing_pipeline.${pipelineName}`);
+    }
   }
 
   async scheduleAutomaticWorkflows() {
@@ -50,9 +62,12 @@ class WorkflowEngine {
         throw new Error(`Workflow not found: ${workflowName}`);
       }
 
-      this.logger.info(`Executing workflow: ${workflowName}`);
+      const runId = uuidv4();
+      this.logger.info(`Executing workflow: ${workflowName} (run ${runId})`);
       
       const context = {
+        run_id: runId,
+        routing_id: options.routing_id,
         workflow_name: workflowName,
         input_data: inputData,
         options: options,
@@ -74,6 +89,8 @@ class WorkflowEngine {
       this.logger.info(`Workflow completed: ${workflowName} in ${context.duration}ms`);
       
       return {
+        run_id: context.run_id,
+        routing_id: context.routing_id,
         workflow: workflowName,
         result: context.result,
         duration: context.duration,
@@ -91,14 +108,16 @@ class WorkflowEngine {
     let currentData = context.current_data;
     
     for (const step of steps) {
+      const stepName = typeof step === 'string' ? step : step.name;
+
       try {
-        this.logger.info(`Executing step: ${step}`);
+        this.logger.info(`Executing step: ${stepName}`);
         
         // Execute the step - this would integrate with your specific step implementations
         const stepResult = await this.executeStep(step, currentData, context);
         
         context.steps_completed.push({
-          step: step,
+          step: stepName,
           result: stepResult,
           timestamp: new Date()
         });
@@ -107,7 +126,7 @@ class WorkflowEngine {
         currentData = stepResult.output || currentData;
         
       } catch (error) {
-        this.logger.error(`Step execution failed: ${step}`, error);
+        this.logger.error(`Step execution failed: ${stepName}`, error);
         throw error;
       }
     }